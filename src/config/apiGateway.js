@@ -27,6 +27,12 @@ export const SERVICES = {
   SOCKET: process.env.SOCKET_GATEWAY_URL || 'http://localhost:3002',
 };
 
+// Service names used as `aud` of the service tokens sent to each service
+export const SERVICE_AUDIENCES = {
+  AUTH: process.env.AUTH_SERVICE_AUDIENCE || 'auth-service',
+  CHAT: process.env.CHAT_SERVICE_AUDIENCE || 'chat-service',
+};
+
 // ============================================================================
 // API Gateway Configuration
 // ============================================================================
@@ -101,8 +107,8 @@ export const createServiceClient = (baseURL, options = {}) => {
 // Pre-configured Service Clients
 // ============================================================================
 
-export const authServiceClient = attachServiceAuth(createServiceClient(SERVICES.AUTH));
-export const chatServiceClient = attachServiceAuth(createServiceClient(SERVICES.CHAT));
+export const authServiceClient = attachServiceAuth(createServiceClient(SERVICES.AUTH), SERVICE_AUDIENCES.AUTH);
+export const chatServiceClient = attachServiceAuth(createServiceClient(SERVICES.CHAT), SERVICE_AUDIENCES.CHAT);
 export const socketServiceClient = createServiceClient(SERVICES.SOCKET);
 
 // ============================================================================
@@ -147,6 +153,7 @@ export const checkServicesHealth = async () => {
 
 export default {
   SERVICES,
+  SERVICE_AUDIENCES,
   API_CONFIG,
   createServiceClient,
   authServiceClient,
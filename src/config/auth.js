@@ -0,0 +1,95 @@
+/**
+ * Auth Configuration
+ *
+ * Selects how user tokens are verified at the handshake and on refresh_token.
+ *
+ * Architecture Decision:
+ * - 'remote' (default): auth-service verifies every token; its answers are
+ *   cached by token hash for a short time so reconnect storms don't turn
+ *   into a request per handshake
+ * - 'local': tokens are verified in-process with the HS256 secret or the
+ *   public keys auth-service signs them with; auth-service is not called
+ * - When auth-service is unreachable the fallback policy decides whether
+ *   handshakes are rejected or served from the cache / local verification
+ */
+
+import fs from 'fs';
+import { createLogger } from '../middleware/logger.js';
+
+const logger = createLogger('AuthConfig');
+
+export const VERIFY_MODES = ['remote', 'local'];
+export const VERIFY_FALLBACKS = ['reject', 'cache', 'local'];
+
+/**
+ * Split a PEM bundle into its keys (several keys allow rotation)
+ *
+ * @param {string} pem - One or more PEM-encoded public keys
+ * @returns {string[]} PEM keys
+ */
+const splitPem = (pem) => pem.match(/-----BEGIN [A-Z ]+-----[\s\S]+?-----END [A-Z ]+-----/g) || [];
+
+/**
+ * Public keys from AUTH_JWT_PUBLIC_KEY (inline, `\n` may be escaped) or AUTH_JWT_PUBLIC_KEY_FILE
+ *
+ * @returns {string[]} PEM keys
+ */
+const loadPublicKeys = () => {
+  try {
+    if (process.env.AUTH_JWT_PUBLIC_KEY_FILE) {
+      return splitPem(fs.readFileSync(process.env.AUTH_JWT_PUBLIC_KEY_FILE, 'utf8'));
+    }
+    if (process.env.AUTH_JWT_PUBLIC_KEY) {
+      return splitPem(process.env.AUTH_JWT_PUBLIC_KEY.replace(/\\n/g, '\n'));
+    }
+  } catch (error) {
+    logger.error('Failed to load token public keys', error, { file: process.env.AUTH_JWT_PUBLIC_KEY_FILE });
+  }
+  return [];
+};
+
+export const AUTH_CONFIG = {
+  // Token verification: 'remote' (auth-service) or 'local' (in-process)
+  verifyMode: process.env.AUTH_VERIFY_MODE || 'remote',
+
+  // When auth-service is unreachable in remote mode: 'reject', 'cache'
+  // (recently verified tokens stay valid) or 'local' (verify in-process)
+  fallback: process.env.AUTH_VERIFY_FALLBACK || 'reject',
+
+  // HS256 secret auth-service signs user tokens with (local verification)
+  secret: process.env.AUTH_JWT_SECRET || null,
+
+  // Public keys auth-service signs user tokens with (local verification)
+  publicKeys: loadPublicKeys(),
+
+  // Accepted algorithms for public keys
+  publicKeyAlgorithms: (process.env.AUTH_JWT_ALGORITHMS || 'RS256,ES256').split(','),
+
+  // Expected `iss` / `aud` claims (checked when set)
+  issuer: process.env.AUTH_JWT_ISSUER || undefined,
+  audience: process.env.AUTH_JWT_AUDIENCE || undefined,
+
+  // How long auth-service answers are reused (milliseconds)
+  cacheTtl: parseInt(process.env.AUTH_VERIFY_CACHE_TTL || '30000', 10),
+
+  // How long cached answers may be used by the 'cache' fallback (milliseconds)
+  staleTtl: parseInt(process.env.AUTH_VERIFY_STALE_TTL || '300000', 10),
+
+  // Maximum number of cached answers
+  cacheMaxEntries: parseInt(process.env.AUTH_VERIFY_CACHE_MAX_ENTRIES || '10000', 10),
+};
+
+if (!VERIFY_MODES.includes(AUTH_CONFIG.verifyMode)) {
+  logger.warn('Unknown token verification mode, falling back to remote', { mode: AUTH_CONFIG.verifyMode });
+  AUTH_CONFIG.verifyMode = 'remote';
+}
+
+if (!VERIFY_FALLBACKS.includes(AUTH_CONFIG.fallback)) {
+  logger.warn('Unknown token verification fallback, falling back to reject', { fallback: AUTH_CONFIG.fallback });
+  AUTH_CONFIG.fallback = 'reject';
+}
+
+const needsKeys = AUTH_CONFIG.verifyMode === 'local' || AUTH_CONFIG.fallback === 'local';
+if (needsKeys && !AUTH_CONFIG.secret && AUTH_CONFIG.publicKeys.length === 0) {
+  logger.error('Local token verification needs AUTH_JWT_SECRET or AUTH_JWT_PUBLIC_KEY(_FILE); it will reject every token');
+}
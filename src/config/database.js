@@ -10,7 +10,7 @@
  * 
  * • User status updates → auth-service via HTTP
  * • Message persistence → chat-service via HTTP
- * • Presence tracking → In-memory Map (onlineUsers)
+ * • Presence tracking → In-memory session registry (userId → sockets)
  * 
  * Benefits:
  * • True separation of concerns
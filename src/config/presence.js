@@ -0,0 +1,78 @@
+/**
+ * Presence Configuration
+ *
+ * Selects where presence state lives and how gateway instances share it.
+ *
+ * Architecture Decision:
+ * - 'memory' (default): single instance, presence kept in-process
+ * - 'redis': presence kept in any Redis-protocol server and messages routed
+ *   across instances through the Socket.IO Redis adapter
+ * - Every instance has an ID so its sessions can be purged when it dies
+ */
+
+import os from 'os';
+import { createClient } from 'redis';
+import { createAdapter } from '@socket.io/redis-adapter';
+import { createLogger } from '../middleware/logger.js';
+
+const logger = createLogger('PresenceConfig');
+
+export const PRESENCE_CONFIG = {
+  // Presence store backend: 'memory' or 'redis'
+  store: process.env.PRESENCE_STORE || (process.env.REDIS_URL ? 'redis' : 'memory'),
+
+  // Redis-protocol server URL (Redis, KeyDB, Dragonfly, local stand-in, ...)
+  redisUrl: process.env.REDIS_URL || 'redis://localhost:6379',
+
+  // Prefix for every key written by the gateway
+  keyPrefix: process.env.PRESENCE_KEY_PREFIX || 'socket-gateway:',
+
+  // Unique ID of this gateway instance
+  instanceId: process.env.GATEWAY_INSTANCE_ID || `${os.hostname()}:${process.pid}`,
+
+  // How often this instance reports itself alive (milliseconds)
+  heartbeatInterval: parseInt(process.env.PRESENCE_HEARTBEAT_INTERVAL || '15000', 10),
+
+  // Instances silent for longer than this are considered dead (milliseconds)
+  instanceTtl: parseInt(process.env.PRESENCE_INSTANCE_TTL || '60000', 10),
+
+  // Also send online_users / user_connected / user_disconnected to every client
+  // (small deployments only; otherwise clients use subscribe_presence)
+  globalBroadcast: process.env.PRESENCE_GLOBAL_BROADCAST === 'true',
+};
+
+/**
+ * Connect the Redis clients used for presence and cross-instance routing
+ *
+ * @returns {Promise<object>} { client, pubClient, subClient }
+ */
+export const connectRedis = async () => {
+  const client = createClient({ url: PRESENCE_CONFIG.redisUrl });
+  const pubClient = client.duplicate();
+  const subClient = client.duplicate();
+
+  for (const [name, redisClient] of Object.entries({ client, pubClient, subClient })) {
+    redisClient.on('error', (error) => {
+      logger.error('Redis client error', error, { client: name });
+    });
+  }
+
+  await Promise.all([client.connect(), pubClient.connect(), subClient.connect()]);
+  logger.info('Connected to Redis', { instanceId: PRESENCE_CONFIG.instanceId });
+
+  return { client, pubClient, subClient };
+};
+
+/**
+ * Attach the Socket.IO Redis adapter so room broadcasts (user rooms, group
+ * rooms) reach sockets connected to any gateway instance
+ *
+ * @param {object} io - Socket.io server instance
+ * @param {object} clients - Clients returned by connectRedis()
+ */
+export const attachRedisAdapter = (io, { pubClient, subClient }) => {
+  io.adapter(createAdapter(pubClient, subClient, {
+    key: `${PRESENCE_CONFIG.keyPrefix}socket.io`,
+  }));
+  logger.info('Socket.IO Redis adapter attached');
+};
@@ -0,0 +1,186 @@
+import { verifyToken, getTokenClaims } from '../middleware/tokenVerifier.js';
+import { createLogger } from '../middleware/logger.js';
+import { validateTokenData } from '../utils/validation.js';
+import { rateLimiters } from '../utils/rateLimiter.js';
+import { withAck } from '../utils/socketAck.js';
+import { isTokenRevoked } from '../utils/tokenRevocation.js';
+import { getUserRoom } from '../utils/sessionRegistry.js';
+
+const logger = createLogger('Auth');
+
+// Warn clients this long before their token expires (milliseconds)
+const TOKEN_EXPIRY_WARNING = parseInt(process.env.TOKEN_EXPIRY_WARNING || '60000', 10);
+
+// Allowance for clock skew and refreshes in flight after expiry (milliseconds)
+const TOKEN_EXPIRY_LEEWAY = parseInt(process.env.TOKEN_EXPIRY_LEEWAY || '5000', 10);
+
+// Longest delay setTimeout supports; later expiries are re-checked
+const MAX_TIMER_DELAY = 2147483647;
+
+/**
+ * ┌─────────────────────────────────────────────────────────────────────────┐
+ * │                          Auth Handlers                                   │
+ * │                                                                          │
+ * │ Keeps a socket's authentication valid for as long as it stays          │
+ * │ connected, not just at the handshake.                                   │
+ * │                                                                          │
+ * │ Architecture Decisions:                                                 │
+ * │ ─────────────────────────                                               │
+ * │ • Expiry from the verification result or the token's `exp` claim      │
+ * │ • 'token_expiring' is sent TOKEN_EXPIRY_WARNING ms before expiry;      │
+ * │   clients answer with 'refresh_token' and a new token                  │
+ * │ • A refreshed token is verified like at the handshake, must belong to  │
+ * │   the same user and replaces the handshake token for backend calls    │
+ * │ • Without a refresh the socket is told why ('session_terminated') and  │
+ * │   disconnected once the token has expired                              │
+ * │ • Revoked tokens (see tokenRevocation.js) can't be refreshed to; their │
+ * │   sockets get 'force_logout' on every instance via the user room       │
+ * └─────────────────────────────────────────────────────────────────────────┘
+ */
+
+/**
+ * Tell a socket why it is being disconnected, then disconnect it
+ *
+ * @param {object} socket - Socket.io socket instance
+ * @param {string} reason - Machine-readable reason (e.g. 'token_expired')
+ */
+export const terminateSocket = (socket, reason) => {
+  logger.info('Terminating socket session', { socketId: socket.id, userId: socket.userId, reason });
+
+  socket.emit('session_terminated', {
+    reason,
+    timestamp: new Date().toISOString(),
+  });
+  socket.disconnect(true);
+};
+
+/**
+ * Log out a user's sockets on every instance after a revocation
+ *
+ * @param {object} io - Socket.io server instance
+ * @param {string} userId - User whose sockets are logged out
+ * @param {object} [options]
+ * @param {string|null} [options.tokenId] - Only sockets connected with this token
+ * @param {string} [options.reason] - Reason sent to the clients
+ * @returns {Promise<number>} Number of sockets disconnected
+ */
+export const forceLogout = async (io, userId, { tokenId = null, reason = 'revoked' } = {}) => {
+  const sockets = await io.in(getUserRoom(userId)).fetchSockets();
+  const targets = tokenId ? sockets.filter(target => target.data.tokenId === tokenId) : sockets;
+  const timestamp = new Date().toISOString();
+
+  for (const target of targets) {
+    target.emit('force_logout', { reason, timestamp });
+    target.disconnect(true);
+  }
+
+  logger.info('Forced logout', { userId, tokenId, reason, sockets: targets.length });
+  return targets.length;
+};
+
+export const registerAuthHandlers = (io, socket) => {
+  let warningTimer = null;
+  let expiryTimer = null;
+
+  const clearTimers = () => {
+    clearTimeout(warningTimer);
+    clearTimeout(expiryTimer);
+    warningTimer = null;
+    expiryTimer = null;
+  };
+
+  // ─── Token expiry timers ───────────────────────────────────────────────
+  const scheduleExpiry = () => {
+    clearTimers();
+
+    const expiresAt = socket.tokenExpiresAt;
+    if (!socket.connected || expiresAt === null || expiresAt === undefined) {
+      return;
+    }
+
+    const untilExpiry = expiresAt - Date.now();
+    if (untilExpiry - TOKEN_EXPIRY_WARNING > MAX_TIMER_DELAY) {
+      expiryTimer = setTimeout(scheduleExpiry, MAX_TIMER_DELAY);
+      return;
+    }
+
+    warningTimer = setTimeout(() => {
+      socket.emit('token_expiring', {
+        expires_at: new Date(expiresAt).toISOString(),
+        expires_in_ms: Math.max(0, expiresAt - Date.now()),
+      });
+    }, Math.max(0, untilExpiry - TOKEN_EXPIRY_WARNING));
+
+    expiryTimer = setTimeout(() => {
+      terminateSocket(socket, 'token_expired');
+    }, Math.max(0, untilExpiry + TOKEN_EXPIRY_LEEWAY));
+  };
+
+  scheduleExpiry();
+
+  socket.on('disconnect', clearTimers);
+
+  // ─── Replace the socket's token ────────────────────────────────────────
+  socket.on('refresh_token', withAck(socket, 'refresh_token', async (data, respond) => {
+    // Check rate limit
+    if (!rateLimiters.refresh_token(socket, respond)) return;
+
+    const { token } = data;
+
+    try {
+      validateTokenData({ token });
+    } catch (validationError) {
+      respond.error(validationError);
+      return;
+    }
+
+    let user;
+    try {
+      user = await verifyToken(token);
+    } catch (error) {
+      if (error.code === 'UPSTREAM_UNAVAILABLE') {
+        respond.error(error);
+      } else {
+        respond.fail('UNAUTHORIZED', 'Token verification failed');
+      }
+      return;
+    }
+
+    if (user.userId !== socket.userId) {
+      logger.warn('Rejected refresh with a token of another user', { userId: socket.userId, tokenUserId: user.userId });
+      respond.fail('FORBIDDEN', 'Token belongs to another user');
+      return;
+    }
+
+    const claims = getTokenClaims(token, user);
+    const { expiresAt } = claims;
+    if (expiresAt !== null && expiresAt <= Date.now()) {
+      respond.fail('UNAUTHORIZED', 'Token expired');
+      return;
+    }
+
+    try {
+      if (await isTokenRevoked(socket.userId, claims)) {
+        respond.fail('UNAUTHORIZED', 'Token revoked');
+        return;
+      }
+    } catch (error) {
+      logger.error('Error checking token revocation', error, { userId: socket.userId });
+      respond.error(error);
+      return;
+    }
+
+    // Backend calls read the token from the handshake
+    socket.handshake.auth.token = token;
+    socket.user = user;
+    socket.tokenExpiresAt = expiresAt;
+    socket.data.tokenId = claims.tokenId;
+    scheduleExpiry();
+
+    logger.info('Token refreshed', { userId: socket.userId, socketId: socket.id });
+
+    const result = { expires_at: expiresAt === null ? null : new Date(expiresAt).toISOString() };
+    socket.emit('token_refreshed', result);
+    respond.ok(result);
+  }));
+};
@@ -1,14 +1,34 @@
-import { onlineUsers } from '../server.js';
-import { updateUserStatus } from '../services/userService.js';
+import { getPrivacySettings } from '../services/userService.js';
 import { sendPresenceEvent } from '../services/presenceClient.js';
 import { sendQuantumRoomEvent } from '../services/quantumRoomClient.js';
+import { isSocketGroupMember, invalidateMembership } from '../services/groupService.js';
 import { createLogger } from '../middleware/logger.js';
 import { validateRoomData, validateGroupData, validateTypingData } from '../utils/validation.js';
 import { rateLimiters } from '../utils/rateLimiter.js';
-import { setTypingTimer, clearTypingTimer, clearUserTypingTimers } from '../utils/typingTimers.js';
+import { withAck } from '../utils/socketAck.js';
+import { PRESENCE_CONFIG } from '../config/presence.js';
+import { THREAD_ROOM_PREFIX } from './threadHandlers.js';
+import { syncOnConnect } from './syncHandlers.js';
+import {
+  PRESENCE_ROOM_PREFIX,
+  connectSession,
+  getChosenStatus,
+  getOnlineUsersForSocket,
+} from './presenceHandlers.js';
+import { setTypingTimer, clearTypingTimer, clearSocketTypingTimers } from '../utils/typingTimers.js';
+import {
+  getUserSessions,
+  getOnlineUserCount,
+  emitToUser,
+  getUserRoom,
+  USER_ROOM_PREFIX,
+} from '../utils/sessionRegistry.js';
 
 const logger = createLogger('Connection');
 
+// Server-side event telling other gateway instances that group membership changed
+export const GROUP_MEMBERSHIP_CHANGED_EVENT = 'group_membership_changed';
+
 /**
  * ┌─────────────────────────────────────────────────────────────────────────┐
  * │                      Connection Handlers                                 │
@@ -18,91 +38,164 @@ const logger = createLogger('Connection');
  * │ Architecture Decisions:                                                 │
  * │ ─────────────────────────                                               │
  * │ • Auto-registration: Users are marked online immediately on connect     │
- * │ • In-memory tracking: onlineUsers Map for fast O(1) lookups            │
+ * │ • Multi-device: session registry tracks every socket per user          │
+ * │ • User rooms: `user:<id>` reaches every device on any instance         │
  * │ • Room-based routing: Socket.IO rooms for private/group chats          │
+ * │ • Group rooms: joining `group_<id>` requires membership (chat-service) │
+ * │   and removed members are taken out (applyGroupMembershipChange)       │
  * │ • Broadcast patterns: emit (all), socket.to() (specific), broadcast    │
+ * │ • Acks: every event accepts an optional callback ({ ok, data, error }) │
+ * │ • Presence: followers get 'presence_changed' (presenceHandlers); the  │
+ * │   global broadcasts are opt-in (PRESENCE_GLOBAL_BROADCAST)             │
+ * │ • Privacy: users who hide their online status are left out of presence │
+ * │   updates; typing indicators can be turned off too                     │
  * │                                                                          │
  * │ User Journey:                                                           │
  * │ ──────────────                                                          │
  * │ 1. Client connects with JWT → middleware verifies → socket.userId set  │
- * │ 2. onlineUsers.set(userId, socketId) → fast message routing            │
- * │ 3. Emit 'user_connected' → other clients update UI                     │
- * │ 4. Join rooms → enable private/group messaging                          │
- * │ 5. On disconnect → cleanup, emit 'user_disconnected'                   │
+ * │ 2. addSession(userId, socket) → fan-out to every device of the user    │
+ * │ 3. 'presence_changed' on first device → followers update UI           │
+ * │ 4. Missed messages are synced ('sync_batch', syncHandlers)             │
+ * │ 5. Join rooms → enable private/group messaging                          │
+ * │ 6. On last device disconnect → cleanup, followers told it's offline   │
  * │                                                                          │
  * │ Scalability Note:                                                       │
  * │ ────────────────────                                                    │
- * │ For horizontal scaling, replace in-memory Map with Redis:              │
- * │   await redis.hset('online_users', userId, socketId)                   │
- * │   const socketId = await redis.hget('online_users', userId)            │
+ * │ With PRESENCE_STORE=redis, presence is shared between instances and   │
+ * │ the Socket.IO Redis adapter delivers room emits cluster-wide.          │
  * │                                                                          │
  * └─────────────────────────────────────────────────────────────────────────┘
  */
 
 /**
- * Helper function to broadcast the current online users list to all connected clients
+ * Apply a group membership change reported by chat-service
+ *
+ * Cached answers are dropped on every instance, so the next check asks
+ * chat-service (and fails closed while it is down). Removed users' sockets
+ * leave the group room on every instance and are told about it.
+ *
+ * @param {object} io - Socket.io server instance
+ * @param {object} change - { group_id, user_id?, removed? }; without user_id
+ *   the change applies to every member (e.g. the group was deleted)
+ * @returns {Promise<number>} Number of sockets removed from the group room
  */
-const broadcastOnlineUsers = (io) => {
-  const onlineUsersList = Array.from(onlineUsers.keys());
-  io.emit('online_users', onlineUsersList);
-  logger.info(`Broadcasting online users`, { count: onlineUsersList.length });
+export const applyGroupMembershipChange = async (io, { group_id, user_id, removed = false }) => {
+  invalidateMembership(group_id, user_id);
+  if (PRESENCE_CONFIG.store === 'redis') {
+    io.serverSideEmit(GROUP_MEMBERSHIP_CHANGED_EVENT, { group_id, user_id });
+  }
+
+  if (!removed) {
+    return 0;
+  }
+
+  const roomId = `group_${group_id}`;
+  const members = io.in(user_id ? getUserRoom(user_id) : roomId);
+  const sockets = (await members.fetchSockets()).filter(target => target.rooms.has(roomId));
+
+  members.socketsLeave(roomId);
+  for (const target of sockets) {
+    target.emit('group_removed', { group_id });
+  }
+
+  logger.info('Removed from group', { groupId: group_id, userId: user_id, sockets: sockets.length });
+  return sockets.length;
 };
 
 export const registerConnectionHandlers = (io, socket) => {
   // ─── Initial connection - automatically register user as online ────────
   const userId = socket.userId;
 
-  // Store user's socket ID in the map
-  onlineUsers.set(userId, socket.id);
+  const registerPresence = async () => {
+    // Register this device in the session registry right away (joins the
+    // user room). Followers are told the user came online (or is back from
+    // away) in the background, the new status is persisted in auth-service
+    // and sent to the presence-engine
+    if (!(await connectSession(io, userId, socket))) {
+      return;
+    }
+    const devices = (await getUserSessions(userId)).length;
+
+    // Notify the connecting user with their connection info and chosen status
+    socket.emit('connected', {
+      socket_id: socket.id,
+      user_id: userId,
+      sessions: devices,
+      status: await getChosenStatus(userId),
+    });
+
+    if (PRESENCE_CONFIG.globalBroadcast) {
+      // The list is only broadcast when someone comes online; another device
+      // of an online user (or a reconnect within the offline grace period) needs it too
+      socket.emit('online_users', await getOnlineUsersForSocket(socket));
+    }
 
-  // Update user status in database
-  updateUserStatus(userId, 'online').catch(err => {
-    logger.error('Failed to update user status on connection', err, { userId });
-  });
+    logger.info(`User connected`, {
+      userId,
+      socketId: socket.id,
+      devices,
+      totalOnline: await getOnlineUserCount(),
+    });
 
-  // Send presence event to presence-engine
-  sendPresenceEvent(userId, 'user_connected');
+    // Push messages that arrived while the user was offline
+    await syncOnConnect(io, socket);
+  };
 
-  // Notify the connecting user with their connection info
-  socket.emit('connected', {
-    socket_id: socket.id,
-    user_id: userId
+  registerPresence().catch(error => {
+    logger.error('Failed to register presence', error, { userId, socketId: socket.id });
   });
 
-  // Notify all OTHER users that this user came online
-  socket.broadcast.emit('user_connected', { user_id: userId });
-
-  // Broadcast updated online users list to ALL clients (including this one)
-  broadcastOnlineUsers(io);
-
-  logger.info(`User connected`, { userId, socketId: socket.id, totalOnline: onlineUsers.size });
-
   // ─── Manual user_connected event (legacy support) ──────────────────────
-  socket.on('user_connected', async (data) => {
-    try {
-      // Already handled in auto-registration above, but keep for compatibility
-      logger.debug(`Manual user_connected event from ${userId}`);
-    } catch (error) {
-      logger.error('Error handling user_connected', error);
-    }
-  });
+  socket.on('user_connected', withAck(socket, 'user_connected', async (data, respond) => {
+    // Already handled in auto-registration above, but keep for compatibility
+    logger.debug(`Manual user_connected event from ${userId}`);
+    respond.ok({ user_id: userId });
+  }));
 
   // ─── Join a room (for private conversations or groups) ────────────────
-  socket.on('join_room', (data) => {
+  socket.on('join_room', withAck(socket, 'join_room', async (data, respond) => {
     // Check rate limit
-    if (!rateLimiters.join_room(socket)) return;
+    if (!rateLimiters.join_room(socket, respond)) return;
 
-    try {
-      const { room_id } = data;
+    const { room_id } = data;
 
+    try {
       // Validate room data
       try {
         validateRoomData({ room_id });
       } catch (validationError) {
-        socket.emit('error', { message: validationError.message });
+        respond.error(validationError);
+        return;
+      }
+
+      // User rooms are managed by the gateway and carry private traffic
+      if (room_id.startsWith(USER_ROOM_PREFIX)) {
+        respond.fail('FORBIDDEN', 'Cannot join a reserved room', { room_id });
         return;
       }
 
+      // Thread rooms are authorized against the thread root
+      if (room_id.startsWith(THREAD_ROOM_PREFIX)) {
+        respond.fail('FORBIDDEN', 'Use subscribe_thread to follow a thread', { room_id });
+        return;
+      }
+
+      // Presence rooms are managed through subscribe_presence
+      if (room_id.startsWith(PRESENCE_ROOM_PREFIX)) {
+        respond.fail('FORBIDDEN', 'Use subscribe_presence to follow presence', { room_id });
+        return;
+      }
+
+      // Group rooms carry every group message; only members may listen
+      if (room_id.startsWith('group_')) {
+        const groupId = room_id.replace('group_', '');
+        if (!(await isSocketGroupMember(socket, groupId))) {
+          logger.warn('Rejected join of group room by non-member', { userId, room_id });
+          respond.fail('NOT_MEMBER', 'Not a member of this group', { room_id });
+          return;
+        }
+      }
+
       socket.join(room_id);
       logger.info(`Socket joined room`, { socketId: socket.id, userId: socket.userId, room_id });
 
@@ -114,25 +207,32 @@ export const registerConnectionHandlers = (io, socket) => {
 
       // Acknowledge join
       socket.emit('room_joined', { room_id, success: true });
+      respond.ok({ room_id });
     } catch (error) {
       logger.error('Error joining room', error, { room_id });
-      socket.emit('error', { message: 'Failed to join room', error: error.message });
+      respond.error(error, { room_id });
     }
-  });
+  }));
 
   // ─── Leave a room ──────────────────────────────────────────────────────
-  socket.on('leave_room', (data) => {
+  socket.on('leave_room', withAck(socket, 'leave_room', async (data, respond) => {
     // Check rate limit
-    if (!rateLimiters.leave_room(socket)) return;
+    if (!rateLimiters.leave_room(socket, respond)) return;
 
-    try {
-      const { room_id } = data;
+    const { room_id } = data;
 
+    try {
       // Validate room data
       try {
         validateRoomData({ room_id });
       } catch (validationError) {
-        socket.emit('error', { message: validationError.message });
+        respond.error(validationError);
+        return;
+      }
+
+      // User rooms are managed by the gateway and carry private traffic
+      if (room_id.startsWith(USER_ROOM_PREFIX)) {
+        respond.fail('FORBIDDEN', 'Cannot leave a reserved room', { room_id });
         return;
       }
 
@@ -147,22 +247,32 @@ export const registerConnectionHandlers = (io, socket) => {
 
       // Acknowledge leave
       socket.emit('room_left', { room_id, success: true });
+      respond.ok({ room_id });
     } catch (error) {
       logger.error('Error leaving room', error, { room_id });
+      respond.error(error, { room_id });
     }
-  });
+  }));
 
   // ─── Join a group (convenience method) ────────────────────────────────
-  socket.on('join_group', (data) => {    // Check rate limit
-    if (!rateLimiters.join_group(socket)) return;
-    try {
-      const { group_id } = data;
+  socket.on('join_group', withAck(socket, 'join_group', async (data, respond) => {
+    // Check rate limit
+    if (!rateLimiters.join_group(socket, respond)) return;
 
+    const { group_id } = data;
+
+    try {
       // Validate group data
       try {
         validateGroupData({ group_id });
       } catch (validationError) {
-        socket.emit('error', { message: validationError.message });
+        respond.error(validationError);
+        return;
+      }
+
+      if (!(await isSocketGroupMember(socket, group_id))) {
+        logger.warn('Rejected join_group by non-member', { userId, group_id });
+        respond.fail('NOT_MEMBER', 'Not a member of this group', { group_id });
         return;
       }
 
@@ -180,23 +290,26 @@ export const registerConnectionHandlers = (io, socket) => {
       });
 
       socket.emit('group_joined', { group_id, success: true });
+      respond.ok({ group_id });
     } catch (error) {
       logger.error('Error joining group', error, { group_id });
-      socket.emit('error', { message: 'Failed to join group', error: error.message });
+      respond.error(error, { group_id });
     }
-  });
+  }));
 
   // ─── Leave a group (convenience method) ───────────────────────────────
-  socket.on('leave_group', (data) => {    // Check rate limit
-    if (!rateLimiters.leave_group(socket)) return;
-    try {
-      const { group_id } = data;
+  socket.on('leave_group', withAck(socket, 'leave_group', async (data, respond) => {
+    // Check rate limit
+    if (!rateLimiters.leave_group(socket, respond)) return;
 
+    const { group_id } = data;
+
+    try {
       // Validate group data
       try {
         validateGroupData({ group_id });
       } catch (validationError) {
-        socket.emit('error', { message: validationError.message });
+        respond.error(validationError);
         return;
       }
 
@@ -214,18 +327,37 @@ export const registerConnectionHandlers = (io, socket) => {
       });
 
       socket.emit('group_left', { group_id, success: true });
+      respond.ok({ group_id });
     } catch (error) {
       logger.error('Error leaving group', error, { group_id });
+      respond.error(error, { group_id });
     }
-  });
+  }));
 
   // ─── Typing indicator (with debouncing on server side) ──────────────────
-  socket.on('typing', (data) => {
-    try {
-      if (!rateLimiters.typing(socket)) return;
+  socket.on('typing', withAck(socket, 'typing', async (data, respond) => {
+    if (!rateLimiters.typing(socket, respond)) return;
 
-      const { receiver_id, group_id } = data;
+    const { receiver_id, group_id } = data;
+
+    try {
       validateTypingData({ receiver_id, group_id });
+    } catch (validationError) {
+      respond.error(validationError);
+      return;
+    }
+
+    try {
+      if (group_id && !(await isSocketGroupMember(socket, group_id))) {
+        respond.fail('NOT_MEMBER', 'Not a member of this group', { group_id });
+        return;
+      }
+
+      // The user turned typing indicators off: nobody is told
+      if (!(await getPrivacySettings(socket.userId)).typing_indicators) {
+        respond.ok();
+        return;
+      }
 
       // Send presence event (debounced - only if not sent recently)
       sendPresenceEvent(socket.userId, 'typing_start', { receiver_id, group_id });
@@ -247,14 +379,11 @@ export const registerConnectionHandlers = (io, socket) => {
           `group:${group_id}`
         );
       } else if (receiver_id) {
-        // Private typing indicator
-        const receiverSocketId = onlineUsers.get(receiver_id);
-        if (receiverSocketId) {
-          io.to(receiverSocketId).emit('user_typing', {
-            user_id: socket.userId,
-            timestamp: new Date().toISOString(),
-          });
-        }
+        // Private typing indicator (all of the receiver's devices)
+        emitToUser(io, receiver_id, 'user_typing', {
+          user_id: socket.userId,
+          timestamp: new Date().toISOString(),
+        });
 
         // Set timer with receiver context
         setTypingTimer(
@@ -264,18 +393,20 @@ export const registerConnectionHandlers = (io, socket) => {
           `user:${receiver_id}`
         );
       }
+
+      respond.ok();
     } catch (error) {
       logger.error('Error handling typing event', error, { user_id: socket.userId });
-      socket.emit('error', { message: error.message });
+      respond.error(error);
     }
-  });
+  }));
 
-  socket.on('stop_typing', (data) => {
-    try {
-      if (!rateLimiters.stop_typing(socket)) return;
+  socket.on('stop_typing', withAck(socket, 'stop_typing', async (data, respond) => {
+    if (!rateLimiters.stop_typing(socket, respond)) return;
 
+    try {
       const { receiver_id, group_id } = data;
-      
+
       // Clear timers for this user
       if (group_id) {
         clearTypingTimer(socket.userId, `group:${group_id}`);
@@ -294,29 +425,52 @@ export const registerConnectionHandlers = (io, socket) => {
           group_id,
         });
       } else if (receiver_id) {
-        // Private stop typing
-        const receiverSocketId = onlineUsers.get(receiver_id);
-        if (receiverSocketId) {
-          io.to(receiverSocketId).emit('user_stopped_typing', {
-            user_id: socket.userId,
-          });
-        }
+        // Private stop typing (all of the receiver's devices)
+        emitToUser(io, receiver_id, 'user_stopped_typing', {
+          user_id: socket.userId,
+        });
       }
+
+      respond.ok();
     } catch (error) {
       logger.error('Error handling stop typing event', error, { user_id: socket.userId });
-      socket.emit('error', { message: error.message });
+      respond.error(error);
     }
-  });
+  }));
 
   // Cleanup typing timers on disconnect
   socket.on('disconnect', () => {
-    // Clear all typing timers for this user
-    clearUserTypingTimers(socket.userId);
+    // Clear typing timers started from this device only; other devices stay active
+    clearSocketTypingTimers(socket.id);
   });
 
   // ─── Request online users list ─────────────────────────────────────────
-  socket.on('get_online_users', () => {
-    const onlineUsersList = Array.from(onlineUsers.keys());
-    socket.emit('online_users', onlineUsersList);
-  });
+  socket.on('get_online_users', withAck(socket, 'get_online_users', async (data, respond) => {
+    try {
+      const users = await getOnlineUsersForSocket(socket);
+      socket.emit('online_users', users);
+      respond.ok({ users });
+    } catch (error) {
+      logger.error('Error fetching online users', error, { userId });
+      respond.error(error);
+    }
+  }));
+
+  // ─── Request this user's active sessions (devices) ─────────────────────
+  socket.on('get_sessions', withAck(socket, 'get_sessions', async (data, respond) => {
+    try {
+      const sessions = (await getUserSessions(userId)).map(({ socketId, device, connectedAt }) => ({
+        socket_id: socketId,
+        device,
+        connected_at: connectedAt,
+        current: socketId === socket.id,
+      }));
+
+      socket.emit('sessions', { user_id: userId, sessions });
+      respond.ok({ sessions });
+    } catch (error) {
+      logger.error('Error fetching sessions', error, { userId });
+      respond.error(error);
+    }
+  }));
 };
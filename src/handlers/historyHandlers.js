@@ -0,0 +1,81 @@
+import { getHistory } from '../services/messageService.js';
+import { isSocketGroupMember } from '../services/groupService.js';
+import { createLogger } from '../middleware/logger.js';
+import { validateHistoryData } from '../utils/validation.js';
+import { rateLimiters } from '../utils/rateLimiter.js';
+import { withAck } from '../utils/socketAck.js';
+
+const logger = createLogger('History');
+
+// Page size when the client does not send a limit
+const HISTORY_PAGE_SIZE = parseInt(process.env.HISTORY_PAGE_SIZE || '50', 10);
+
+/**
+ * ┌─────────────────────────────────────────────────────────────────────────┐
+ * │                        History Handlers                                  │
+ * │                                                                          │
+ * │ Loads conversation history over the socket, so clients don't need a    │
+ * │ second HTTP connection and auth flow.                                   │
+ * │                                                                          │
+ * │ Architecture Decisions:                                                 │
+ * │ ─────────────────────────                                               │
+ * │ • Private history is always between the authenticated user and         │
+ * │   `receiver_id`; the user ID is never taken from the payload            │
+ * │ • Group history requires membership, like joining the group room       │
+ * │ • Cursor pagination: no cursor = newest page, `before` pages back,     │
+ * │   `after` pages forward; messages in a page are oldest first           │
+ * │ • chat-service is called through the circuit breaker with retries      │
+ * └─────────────────────────────────────────────────────────────────────────┘
+ */
+
+export const registerHistoryHandlers = (io, socket) => {
+  // ─── Fetch a page of conversation history ─────────────────────────────
+  socket.on('fetch_history', withAck(socket, 'fetch_history', async (data, respond) => {
+    // Check rate limit
+    if (!rateLimiters.fetch_history(socket, respond)) return;
+
+    const { receiver_id, group_id, before, after, limit = HISTORY_PAGE_SIZE } = data;
+
+    try {
+      validateHistoryData({ receiver_id, group_id, before, after, limit });
+    } catch (validationError) {
+      respond.error(validationError);
+      return;
+    }
+
+    try {
+      if (group_id && !(await isSocketGroupMember(socket, group_id))) {
+        logger.warn('Rejected history fetch by non-member', { userId: socket.userId, group_id });
+        respond.fail('NOT_MEMBER', 'Not a member of this group', { group_id });
+        return;
+      }
+
+      const token = socket.handshake?.auth?.token;
+      const page = await getHistory(
+        group_id ? { groupId: group_id } : { userId: socket.userId, peerId: receiver_id },
+        { before, after, limit },
+        token
+      );
+
+      const result = {
+        ...(group_id ? { group_id } : { receiver_id }),
+        messages: page.messages,
+        has_more: page.hasMore,
+        cursor: page.nextCursor,
+      };
+
+      logger.debug('History fetched', {
+        userId: socket.userId,
+        receiver_id,
+        group_id,
+        count: page.messages.length,
+      });
+
+      socket.emit('history', result);
+      respond.ok(result);
+    } catch (error) {
+      logger.error('Error handling fetch_history', error, { userId: socket.userId, receiver_id, group_id });
+      respond.error(error, group_id ? { group_id } : { receiver_id });
+    }
+  }));
+};
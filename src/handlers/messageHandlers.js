@@ -1,35 +1,146 @@
-import { onlineUsers } from '../server.js';
-import { saveMessage } from '../services/messageService.js';
+import {
+  saveMessage,
+  getMessageById,
+  deleteMessage,
+  editMessage,
+  addReaction,
+  removeReaction,
+} from '../services/messageService.js';
 import { sendPresenceEvent } from '../services/presenceClient.js';
+import { getPrivacySettings } from '../services/userService.js';
 import { sendQuantumRoomEvent } from '../services/quantumRoomClient.js';
+import { isSocketGroupMember, isSocketMessageParticipant } from '../services/groupService.js';
 import { analyzeMessage } from '../services/aiEngineClient.js';
 import { createLogger } from '../middleware/logger.js';
-import { validateMessage, validateTypingData, validateMessageStatusData } from '../utils/validation.js';
+import { hasRole } from '../middleware/permissions.js';
+import {
+  validateMessage,
+  validateTypingData,
+  validateMessageStatusData,
+  validateDeleteData,
+  validateEditData,
+  validateEditWindow,
+  validateReactionData,
+} from '../utils/validation.js';
 import { rateLimiters } from '../utils/rateLimiter.js';
+import { emitToUser, emitToConversation, isUserOnline, getUserRoom } from '../utils/sessionRegistry.js';
+import { runIdempotent } from '../utils/idempotency.js';
+import { withAck } from '../utils/socketAck.js';
+import { queueStatusUpdates, queueDeliveryAcks } from '../utils/statusCoalescer.js';
+import { scheduleExpiry, cancelExpiry } from '../utils/expiryScheduler.js';
+import { resolveReplyFields, announceThreadReply } from './threadHandlers.js';
+import { recordSocketGroupRead, recordSocketGroupReads } from './receiptHandlers.js';
 
 const logger = createLogger('Messages');
 
+// Roles allowed to delete other users' messages for everyone
+const MODERATOR_ROLES = (process.env.MESSAGE_MODERATOR_ROLES || 'admin,moderator').split(',');
+
+/**
+ * Check whether the socket's user holds a moderator role
+ */
+const isModerator = (socket) => hasRole(socket, MODERATOR_ROLES);
+
+/**
+ * Aggregate reactions per emoji for broadcasting
+ * Accepts chat-service's raw list ([{ emoji, user_id }]) or an already
+ * aggregated one ([{ emoji, count, user_ids }])
+ *
+ * @param {object[]} reactions - Reactions from chat-service
+ * @returns {object[]} [{ emoji, count, user_ids }] in first-reaction order
+ */
+const aggregateReactions = (reactions) => {
+  const byEmoji = new Map();
+
+  for (const reaction of reactions) {
+    const entry = byEmoji.get(reaction.emoji) || { emoji: reaction.emoji, count: 0, user_ids: [] };
+    if (Array.isArray(reaction.user_ids)) {
+      entry.user_ids.push(...reaction.user_ids);
+      entry.count += reaction.count ?? reaction.user_ids.length;
+    } else {
+      if (reaction.user_id) entry.user_ids.push(reaction.user_id);
+      entry.count += 1;
+    }
+    byEmoji.set(reaction.emoji, entry);
+  }
+
+  return Array.from(byEmoji.values()).filter(entry => entry.count > 0);
+};
+
+/**
+ * Check whether the socket's user shares read receipts (privacy settings)
+ */
+const sharesReadReceipts = async (socket) => (await getPrivacySettings(socket.userId)).read_receipts;
+
+/**
+ * Expire a Live Thought Mode message (run by the expiry scheduler)
+ *
+ * Clients get the legacy 'delete_message' event, then the message is deleted
+ * in chat-service with service auth. A message chat-service no longer has
+ * counts as expired.
+ *
+ * @param {object} io - Socket.io server instance
+ * @param {object} job - Expiry job ({ messageId, senderId, receiverId, groupId, notified })
+ * @throws {Error} If chat-service could not delete the message (the job is retried)
+ */
+export const expireMessage = async (io, { messageId, senderId, receiverId, groupId, notified }) => {
+  if (!notified) {
+    if (groupId) {
+      io.to(`group_${groupId}`).emit('delete_message', {
+        message_id: messageId,
+        group_id: groupId,
+        reason: 'expired'
+      });
+    } else {
+      // Notify both sender and receiver on all of their devices
+      emitToUser(io, senderId, 'delete_message', {
+        message_id: messageId,
+        receiver_id: receiverId,
+        reason: 'expired'
+      });
+      emitToUser(io, receiverId, 'delete_message', {
+        message_id: messageId,
+        sender_id: senderId,
+        reason: 'expired'
+      });
+    }
+  }
+
+  try {
+    await deleteMessage(messageId, 'for_everyone');
+  } catch (error) {
+    if (error.response?.status !== 404) {
+      throw error;
+    }
+  }
+};
+
 export const registerMessageHandlers = (io, socket) => {
   // ─── Send message (private or group) ───────────────────────────────────
-  socket.on('send_message', async (data) => {
+  socket.on('send_message', withAck(socket, 'send_message', async (data, respond) => {
     // Check rate limit
-    if (!rateLimiters.send_message(socket)) return;
+    if (!rateLimiters.send_message(socket, respond)) return;
 
     try {
-      const { sender_id, receiver_id, group_id, content, message_type = 'text', expires_at } = data;
+      const {
+        sender_id, receiver_id, group_id, content, message_type = 'text', expires_at, client_msg_id,
+        reply_to, thread_root_id,
+      } = data;
 
       // Validate message data
       try {
-        validateMessage({ sender_id, receiver_id, group_id, content, message_type, expires_at });
+        validateMessage({
+          sender_id, receiver_id, group_id, content, message_type, expires_at, client_msg_id, reply_to, thread_root_id,
+        });
       } catch (validationError) {
-        socket.emit('error', { message: validationError.message });
+        respond.error(validationError);
         return;
       }
 
       // Verify sender matches authenticated user
       if (socket.userId !== sender_id) {
         logger.warn('Sender mismatch', { socket_user: socket.userId, claimed_sender: sender_id });
-        socket.emit('error', { message: 'Sender ID must match authenticated user' });
+        respond.fail('FORBIDDEN', 'Sender ID must match authenticated user');
         return;
       }
 
@@ -37,7 +148,14 @@ export const registerMessageHandlers = (io, socket) => {
       const isGroupMessage = !!group_id;
 
       if (!isGroupMessage && !receiver_id) {
-        socket.emit('error', { message: 'Invalid message data: receiver_id or group_id required' });
+        respond.fail('VALIDATION_FAILED', 'Invalid message data: receiver_id or group_id required');
+        return;
+      }
+
+      // Only group members may post to a group
+      if (isGroupMessage && !(await isSocketGroupMember(socket, group_id))) {
+        logger.warn('Rejected group message from non-member', { sender_id, group_id });
+        respond.fail('NOT_MEMBER', 'Not a member of this group', { group_id });
         return;
       }
 
@@ -63,11 +181,41 @@ export const registerMessageHandlers = (io, socket) => {
         message.expires_at = expires_at;
       }
 
+      // Client-generated ID used to deduplicate resends after reconnects
+      if (client_msg_id) {
+        message.client_msg_id = client_msg_id;
+      }
+
+      const token = socket.handshake?.auth?.token;
+
+      // Quoted parent and thread root must be in this conversation
+      if (reply_to || thread_root_id) {
+        Object.assign(message, await resolveReplyFields(
+          { sender_id, receiver_id: message.receiver_id, group_id: message.group_id },
+          { reply_to, thread_root_id },
+          token
+        ));
+      }
+
       // Forward to chat-service API for persistence in MongoDB.
       // Pass the socket's auth token so the chat-service can authenticate
       // the request through its JWT middleware.
-      const token = socket.handshake?.auth?.token;
-      const savedMessage = await saveMessage(message, token);
+      const { result: savedMessage, duplicate } = await runIdempotent(
+        sender_id,
+        client_msg_id,
+        () => saveMessage(message, token)
+      );
+
+      // Resend of a message we already handled: confirm again, don't re-broadcast
+      if (duplicate) {
+        socket.emit('message_sent', {
+          success: true,
+          message: savedMessage,
+          duplicate: true
+        });
+        respond.ok({ message: savedMessage, duplicate: true });
+        return;
+      }
 
       // Analyze message with AI Engine (non-blocking)
       analyzeMessage(sender_id, content).catch(err => {
@@ -90,53 +238,29 @@ export const registerMessageHandlers = (io, socket) => {
           messageType: message_type,
           hasExpiry: !!expires_at
         });
-
-        // Schedule auto-deletion if expires_at is set
-        if (savedMessage.expires_at) {
-          const expiryTime = new Date(savedMessage.expires_at).getTime() - Date.now();
-          if (expiryTime > 0) {
-            setTimeout(() => {
-              io.to(roomId).emit('delete_message', {
-                message_id: savedMessage._id || savedMessage.id,
-                group_id: group_id,
-                reason: 'expired'
-              });
-              logger.debug(`Auto-deleted expired group message`, { message_id: savedMessage._id || savedMessage.id, group_id });
-            }, expiryTime);
-          }
-        }
       } else {
-        // ── Private message: send to specific receiver ─────────────────
-        const receiverSocketId = onlineUsers.get(receiver_id);
-        if (receiverSocketId) {
-          io.to(receiverSocketId).emit('receive_message', savedMessage);
+        // ── Private message: fan out to every device of the receiver ───
+        emitToUser(io, receiver_id, 'receive_message', savedMessage);
+        if (await isUserOnline(receiver_id)) {
           logger.info(`Private message sent`, { sender_id, receiver_id });
         } else {
-          logger.info(`Receiver offline, message saved to database`, { sender_id, receiver_id });
+          logger.info(`Receiver offline, message saved for sync`, { sender_id, receiver_id });
         }
 
-        // Schedule auto-deletion if expires_at is set
-        if (savedMessage.expires_at) {
-          const expiryTime = new Date(savedMessage.expires_at).getTime() - Date.now();
-          if (expiryTime > 0) {
-            setTimeout(() => {
-              // Notify both sender and receiver
-              socket.emit('delete_message', {
-                message_id: savedMessage._id || savedMessage.id,
-                receiver_id: receiver_id,
-                reason: 'expired'
-              });
-              if (receiverSocketId) {
-                io.to(receiverSocketId).emit('delete_message', {
-                  message_id: savedMessage._id || savedMessage.id,
-                  sender_id: sender_id,
-                  reason: 'expired'
-                });
-              }
-              logger.debug(`Auto-deleted expired private message`, { message_id: savedMessage._id || savedMessage.id, receiver_id });
-            }, expiryTime);
-          }
-        }
+        // Keep the sender's other devices in sync with the conversation
+        socket.to(getUserRoom(sender_id)).emit('receive_message', savedMessage);
+      }
+
+      // Live Thought Mode (queued messages: once persisted)
+      if (savedMessage.expires_at && savedMessage.status !== 'pending') {
+        scheduleExpiry(savedMessage).catch(err => {
+          logger.error('Failed to schedule message expiry', err, { message_id: savedMessage._id || savedMessage.id });
+        });
+      }
+
+      // Thread followers and reply count (queued replies: once persisted)
+      if (savedMessage.thread_root_id && savedMessage.status !== 'pending') {
+        announceThreadReply(io, savedMessage, token);
       }
 
       // ── Confirm to sender ─────────────────────────────────────────────
@@ -144,36 +268,43 @@ export const registerMessageHandlers = (io, socket) => {
         success: true,
         message: savedMessage
       });
+      respond.ok({ message: savedMessage, duplicate: false });
 
     } catch (error) {
-      logger.error('Error handling send_message', error, { sender_id });
-      socket.emit('error', {
-        message: 'Failed to send message',
-        error: error.message
-      });
+      logger.error('Error handling send_message', error, { sender_id: data.sender_id });
+      respond.error(error);
     }
-  });
+  }));
 
   // ─── Send group message (dedicated event) ─────────────────────────────
-  socket.on('send_group_message', async (data) => {
+  socket.on('send_group_message', withAck(socket, 'send_group_message', async (data, respond) => {
     // Check rate limit
-    if (!rateLimiters.send_group_message(socket)) return;
+    if (!rateLimiters.send_group_message(socket, respond)) return;
 
     try {
-      const { sender_id, group_id, content, message_type = 'text', expires_at } = data;
+      const {
+        sender_id, group_id, content, message_type = 'text', expires_at, client_msg_id, reply_to, thread_root_id,
+      } = data;
 
       // Validate message data
       try {
-        validateMessage({ sender_id, group_id, content, message_type, expires_at });
+        validateMessage({ sender_id, group_id, content, message_type, expires_at, client_msg_id, reply_to, thread_root_id });
       } catch (validationError) {
-        socket.emit('error', { message: validationError.message });
+        respond.error(validationError);
         return;
       }
       
       // Verify sender matches authenticated user
       if (socket.userId !== sender_id) {
         logger.warn('Sender mismatch in group message', { socket_user: socket.userId, claimed_sender: sender_id });
-        socket.emit('error', { message: 'Sender ID must match authenticated user' });
+        respond.fail('FORBIDDEN', 'Sender ID must match authenticated user');
+        return;
+      }
+
+      // Only group members may post to a group
+      if (!(await isSocketGroupMember(socket, group_id))) {
+        logger.warn('Rejected group message from non-member', { sender_id, group_id });
+        respond.fail('NOT_MEMBER', 'Not a member of this group', { group_id });
         return;
       }
 
@@ -193,9 +324,35 @@ export const registerMessageHandlers = (io, socket) => {
         message.expires_at = expires_at;
       }
 
-      // Forward to chat-service API for persistence
+      // Client-generated ID used to deduplicate resends after reconnects
+      if (client_msg_id) {
+        message.client_msg_id = client_msg_id;
+      }
+
       const token = socket.handshake?.auth?.token;
-      const savedMessage = await saveMessage(message, token);
+
+      // Quoted parent and thread root must be in this group
+      if (reply_to || thread_root_id) {
+        Object.assign(message, await resolveReplyFields({ sender_id, group_id }, { reply_to, thread_root_id }, token));
+      }
+
+      // Forward to chat-service API for persistence
+      const { result: savedMessage, duplicate } = await runIdempotent(
+        sender_id,
+        client_msg_id,
+        () => saveMessage(message, token)
+      );
+
+      // Resend of a message we already handled: confirm again, don't re-broadcast
+      if (duplicate) {
+        socket.emit('message_sent', {
+          success: true,
+          message: savedMessage,
+          duplicate: true
+        });
+        respond.ok({ message: savedMessage, duplicate: true });
+        return;
+      }
 
       // Analyze message with AI Engine (non-blocking)
       analyzeMessage(sender_id, content).catch(err => {
@@ -207,19 +364,16 @@ export const registerMessageHandlers = (io, socket) => {
       io.to(roomId).emit('receive_message', savedMessage);
       logger.info(`Group message sent`, { group_id, sender_id });
 
-      // Schedule auto-deletion if expires_at is set
-      if (savedMessage.expires_at) {
-        const expiryTime = new Date(savedMessage.expires_at).getTime() - Date.now();
-        if (expiryTime > 0) {
-          setTimeout(() => {
-            io.to(roomId).emit('delete_message', {
-              message_id: savedMessage._id || savedMessage.id,
-              group_id: group_id,
-              reason: 'expired'
-            });
-            logger.debug(`Auto-deleted expired message from group`, { message_id: savedMessage._id, group_id });
-          }, expiryTime);
-        }
+      // Live Thought Mode (queued messages: once persisted)
+      if (savedMessage.expires_at && savedMessage.status !== 'pending') {
+        scheduleExpiry(savedMessage).catch(err => {
+          logger.error('Failed to schedule message expiry', err, { message_id: savedMessage._id || savedMessage.id });
+        });
+      }
+
+      // Thread followers and reply count (queued replies: once persisted)
+      if (savedMessage.thread_root_id && savedMessage.status !== 'pending') {
+        announceThreadReply(io, savedMessage, token);
       }
 
       // Confirm to sender
@@ -227,145 +381,315 @@ export const registerMessageHandlers = (io, socket) => {
         success: true,
         message: savedMessage
       });
+      respond.ok({ message: savedMessage, duplicate: false });
 
     } catch (error) {
-      logger.error('Error handling send_group_message', error, { sender_id, group_id });
-      socket.emit('error', {
-        message: 'Failed to send group message',
-        error: error.message
-      });
+      logger.error('Error handling send_group_message', error, { sender_id: data.sender_id, group_id: data.group_id });
+      respond.error(error, { group_id: data.group_id });
     }
-  });
+  }));
 
 
   // ─── Mark message as read ──────────────────────────────────────────────
-  socket.on('message_read', async (data) => {
+  socket.on('message_read', withAck(socket, 'message_read', async (data, respond) => {
     // Check rate limit
-    if (!rateLimiters.message_read(socket)) return;
+    if (!rateLimiters.message_read(socket, respond)) return;
+
+    const { message_id, sender_id, group_id } = data;
 
     try {
-      const { message_id, sender_id } = data;
+      // Validate message status data
+      try {
+        validateMessageStatusData({ message_id, sender_id, group_id });
+      } catch (validationError) {
+        respond.error(validationError);
+        return;
+      }
 
-      // Get sender's socket ID
-      const senderSocketId = onlineUsers.get(sender_id);
+      // The reader turned read receipts off: nobody is told
+      if (!(await sharesReadReceipts(socket))) {
+        respond.ok({ message_id });
+        return;
+      }
 
-      // Notify sender that message was read
-      if (senderSocketId) {
-        io.to(senderSocketId).emit('message_read_receipt', {
-          message_id,
-          read_by: socket.userId,
-          timestamp: new Date().toISOString()
-        });
+      // Group reads are aggregated into 'message_receipts_summary' for the sender
+      if (group_id) {
+        const recorded = await recordSocketGroupRead(socket, message_id, group_id);
+        respond.ok({ message_id, group_id, recorded });
+        return;
       }
+
+      // Notify sender (all devices) that message was read
+      emitToUser(io, sender_id, 'message_read_receipt', {
+        message_id,
+        read_by: socket.userId,
+        timestamp: new Date().toISOString()
+      });
+      respond.ok({ message_id });
     } catch (error) {
       logger.error('Error handling message_read', error, { message_id, sender_id });
+      respond.error(error, { message_id });
     }
-  });
+  }));
 
   // ─── Delete message ────────────────────────────────────────────────────
-  socket.on('delete_message', async (data) => {    // Check rate limit
-    if (!rateLimiters.delete_message(socket)) return;
+  /**
+   * Architecture Decision:
+   * - The message is loaded from chat-service so routing never trusts client-named receivers
+   * - 'for_everyone' is limited to the sender and moderators; 'for_me' to participants
+   * - Clients are notified only after chat-service has accepted the deletion
+   */
+  socket.on('delete_message', withAck(socket, 'delete_message', async (data, respond) => {
+    // Check rate limit
+    if (!rateLimiters.delete_message(socket, respond)) return;
+
+    const { message_id, mode = 'for_everyone' } = data;
+
     try {
-      const { message_id, receiver_id } = data;
+      // Validate deletion data
+      try {
+        validateDeleteData({ message_id, mode });
+      } catch (validationError) {
+        respond.error(validationError);
+        return;
+      }
+
+      const token = socket.handshake?.auth?.token;
+      const message = await getMessageById(message_id, token);
+
+      if (!message) {
+        respond.fail('NOT_FOUND', 'Message not found', { message_id });
+        return;
+      }
 
-      // Notify receiver about message deletion
-      const receiverSocketId = onlineUsers.get(receiver_id);
-      if (receiverSocketId) {
-        io.to(receiverSocketId).emit('message_deleted', {
-          message_id
+      const allowed = mode === 'for_everyone'
+        ? message.sender_id === socket.userId || isModerator(socket)
+        : await isSocketMessageParticipant(socket, message);
+
+      if (!allowed) {
+        logger.warn('Unauthorized delete attempt', { user_id: socket.userId, message_id, mode });
+        respond.fail('FORBIDDEN', 'Not allowed to delete this message', { message_id });
+        return;
+      }
+
+      // Persist first; chat-service has the final say
+      await deleteMessage(message_id, mode, token);
+
+      // Nothing left to expire
+      if (mode === 'for_everyone' && message.expires_at) {
+        cancelExpiry(message_id).catch(err => {
+          logger.warn('Failed to cancel message expiry', { message_id, error: err.message });
         });
       }
 
+      const payload = {
+        message_id,
+        mode,
+        deleted_by: socket.userId,
+        ...(message.group_id && { group_id: message.group_id }),
+        timestamp: new Date().toISOString(),
+      };
+
+      if (mode === 'for_me') {
+        // Only the requesting user's devices hide the message
+        emitToUser(io, socket.userId, 'message_deleted', payload);
+      } else {
+        // Everyone in the conversation (group room or both private parties)
+        emitToConversation(io, message, 'message_deleted', payload);
+      }
+
+      logger.info('Message deleted', { message_id, mode, user_id: socket.userId, group_id: message.group_id });
+
       socket.emit('message_deleted_confirmation', {
         success: true,
-        message_id
+        message_id,
+        mode
       });
+      respond.ok({ message_id, mode });
     } catch (error) {
-      logger.error('Error handling delete_message', error, { message_id, receiver_id });
+      logger.error('Error handling delete_message', error, { message_id, mode });
+      const status = error.response?.status;
+      if (status === 403) {
+        respond.fail('FORBIDDEN', 'Not allowed to delete this message', { message_id });
+      } else if (status === 404) {
+        respond.fail('NOT_FOUND', 'Message not found', { message_id });
+      } else {
+        respond.error(error, { message_id });
+      }
     }
-  });
-
-  // ============================================================================
-  // Typing Indicators
-  // ============================================================================
+  }));
 
+  // ─── Edit message ──────────────────────────────────────────────────────
   /**
-   * Handle typing indicator
-   * 
    * Architecture Decision:
-   * - Typing indicators are ephemeral and not persisted
-   * - Only sent to online recipients for real-time feedback
-   * - Includes sender info so UI can display "User X is typing..."
+   * - Only the original sender may edit, and only within MESSAGE_EDIT_WINDOW_MINUTES
+   * - chat-service stores the edit history and assigns the revision number;
+   *   clients use the revision to ignore out-of-order edits
+   * - Clients are notified only after chat-service has accepted the edit
    */
-  socket.on('typing', (data) => {
+  socket.on('edit_message', withAck(socket, 'edit_message', async (data, respond) => {
     // Check rate limit
-    if (!rateLimiters.typing(socket)) return;
+    if (!rateLimiters.edit_message(socket, respond)) return;
 
-    try {
-      const { receiver_id, group_id } = data;
+    const { message_id, content } = data;
 
-      // Validate typing data
+    try {
+      // Validate edit data
       try {
-        validateTypingData({ receiver_id, group_id });
+        validateEditData({ message_id, content });
       } catch (validationError) {
-        socket.emit('error', { message: validationError.message });
+        respond.error(validationError);
         return;
       }
 
-      if (group_id) {
-        // Group typing indicator
-        const roomId = `group_${group_id}`;
-        socket.to(roomId).emit('user_typing', {
-          user_id: socket.userId,
-          group_id,
-          timestamp: new Date().toISOString(),
-        });
+      const token = socket.handshake?.auth?.token;
+      const message = await getMessageById(message_id, token);
 
-        // Send quantum room event for group typing
-        sendQuantumRoomEvent(group_id, socket.userId, 'typing_start');
-      } else if (receiver_id) {
-        // Private typing indicator
-        const receiverSocketId = onlineUsers.get(receiver_id);
-        if (receiverSocketId) {
-          io.to(receiverSocketId).emit('user_typing', {
-            user_id: socket.userId,
-            timestamp: new Date().toISOString(),
-          });
-        }
+      if (!message) {
+        respond.fail('NOT_FOUND', 'Message not found', { message_id });
+        return;
       }
+
+      if (message.sender_id !== socket.userId) {
+        logger.warn('Unauthorized edit attempt', { user_id: socket.userId, message_id });
+        respond.fail('FORBIDDEN', 'Only the sender can edit this message', { message_id });
+        return;
+      }
+
+      try {
+        validateEditWindow(message);
+      } catch (windowError) {
+        respond.error(windowError, { message_id });
+        return;
+      }
+
+      // Persist first; chat-service has the final say
+      const updated = await editMessage(message_id, content, token);
+
+      const payload = {
+        message_id,
+        content: updated?.content ?? content,
+        revision: updated?.revision ?? (message.revision || 0) + 1,
+        edited_at: updated?.edited_at || new Date().toISOString(),
+        edited_by: socket.userId,
+        ...(message.group_id && { group_id: message.group_id }),
+      };
+
+      // Private peer and the sender's devices, or the group room
+      emitToConversation(io, message, 'message_edited', payload);
+
+      logger.info('Message edited', { message_id, revision: payload.revision, group_id: message.group_id });
+
+      respond.ok({ message_id, revision: payload.revision, edited_at: payload.edited_at });
     } catch (error) {
-      logger.error('Error handling typing event', error, { user_id: socket.userId });
+      logger.error('Error handling edit_message', error, { message_id });
+      const status = error.response?.status;
+      if (status === 403) {
+        respond.fail('FORBIDDEN', 'Not allowed to edit this message', { message_id });
+      } else if (status === 404) {
+        respond.fail('NOT_FOUND', 'Message not found', { message_id });
+      } else {
+        respond.error(error, { message_id });
+      }
     }
-  });
+  }));
 
+  // ─── Reactions ─────────────────────────────────────────────────────────
   /**
-   * Handle stop typing indicator
+   * Architecture Decision:
+   * - Any conversation participant may react; the message is loaded from
+   *   chat-service to check that and to route the update
+   * - chat-service stores reactions; the gateway broadcasts the aggregated
+   *   set so clients can replace their copy instead of applying deltas
    */
-  socket.on('stop_typing', (data) => {
+  const registerReactionHandler = (eventName, update) => {
+    socket.on(eventName, withAck(socket, eventName, async (data, respond) => {
+      // Check rate limit
+      if (!rateLimiters[eventName](socket, respond)) return;
+
+      const { message_id, emoji } = data;
+
+      try {
+        // Validate reaction data
+        try {
+          validateReactionData({ message_id, emoji });
+        } catch (validationError) {
+          respond.error(validationError);
+          return;
+        }
+
+        const token = socket.handshake?.auth?.token;
+        const message = await getMessageById(message_id, token);
+
+        if (!message) {
+          respond.fail('NOT_FOUND', 'Message not found', { message_id });
+          return;
+        }
+
+        if (!(await isSocketMessageParticipant(socket, message))) {
+          logger.warn('Unauthorized reaction attempt', { user_id: socket.userId, message_id });
+          respond.fail('FORBIDDEN', 'Not allowed to react to this message', { message_id });
+          return;
+        }
+
+        const reactions = aggregateReactions(await update(message_id, emoji, token));
+
+        const payload = {
+          message_id,
+          reactions,
+          updated_by: socket.userId,
+          ...(message.group_id && { group_id: message.group_id }),
+          timestamp: new Date().toISOString(),
+        };
+
+        emitToConversation(io, message, 'reactions_updated', payload);
+
+        respond.ok({ message_id, reactions });
+      } catch (error) {
+        logger.error(`Error handling ${eventName}`, error, { message_id });
+        respond.error(error, { message_id });
+      }
+    }));
+  };
+
+  registerReactionHandler('add_reaction', addReaction);
+  registerReactionHandler('remove_reaction', removeReaction);
+
+  // ============================================================================
+  // Typing Indicators
+  // ============================================================================
+
+  /**
+   * Handle typing indicator
+   * 
+   * Architecture Decision:
+   * - Typing indicators are ephemeral and not persisted
+   * - 'user_typing' / 'user_stopped_typing', acks and errors are sent by the
+   *   connection handlers, which listen to the same events (and honor the
+   *   user's privacy settings); this listener only adds the quantum room event
+   */
+  socket.on('typing', async (data) => {
     // Check rate limit
-    if (!rateLimiters.stop_typing(socket)) return;
+    if (!rateLimiters.typing(socket)) return;
 
     try {
       const { receiver_id, group_id } = data;
 
-      if (group_id) {
-        // Group stop typing
-        const roomId = `group_${group_id}`;
-        socket.to(roomId).emit('user_stopped_typing', {
-          user_id: socket.userId,
-          group_id,
-        });
-      } else if (receiver_id) {
-        // Private stop typing
-        const receiverSocketId = onlineUsers.get(receiver_id);
-        if (receiverSocketId) {
-          io.to(receiverSocketId).emit('user_stopped_typing', {
-            user_id: socket.userId,
-          });
-        }
+      // Validate typing data
+      try {
+        validateTypingData({ receiver_id, group_id });
+      } catch {
+        // Reported to the client by the connection typing handler
+        return;
       }
+
+      if (!group_id || !(await isSocketGroupMember(socket, group_id))) return;
+      if (!(await getPrivacySettings(socket.userId)).typing_indicators) return;
+
+      // Send quantum room event for group typing
+      sendQuantumRoomEvent(group_id, socket.userId, 'typing_start');
     } catch (error) {
-      logger.error('Error handling stop_typing event', error, { user_id: socket.userId });
+      logger.error('Error handling typing event', error, { user_id: socket.userId });
     }
   });
 
@@ -379,36 +703,46 @@ export const registerMessageHandlers = (io, socket) => {
    * Architecture Decision:
    * - Sent when message arrives at recipient's client
    * - Provides sender with delivery confirmation (single checkmark)
-   * - Status updates can be batched for efficiency in high-volume chats
+   * - Batches (`message_ids`) count once against the rate limit and are
+   *   coalesced per sender into 'message_status_updates'
+   * - Recorded in chat-service (coalesced), so the next sync skips them
    */
-  socket.on('message_delivered', (data) => {
+  socket.on('message_delivered', withAck(socket, 'message_delivered', async (data, respond) => {
     // Check rate limit
-    if (!rateLimiters.message_delivered(socket)) return;
+    if (!rateLimiters.message_delivered(socket, respond)) return;
 
-    try {
-      const { message_id, sender_id } = data;
+    const { message_id, message_ids, sender_id } = data;
 
+    try {
       // Validate message status data
       try {
-        validateMessageStatusData({ message_id, sender_id });
+        validateMessageStatusData({ message_id, message_ids, sender_id });
       } catch (validationError) {
-        socket.emit('error', { message: validationError.message });
+        respond.error(validationError);
         return;
       }
 
-      // Notify sender that message was delivered
-      const senderSocketId = onlineUsers.get(sender_id);
-      if (senderSocketId) {
-        io.to(senderSocketId).emit('message_status_update', {
-          message_id,
-          status: 'delivered',
-          timestamp: new Date().toISOString(),
-        });
+      const ids = message_ids ? [...new Set(message_ids)] : [message_id];
+      queueDeliveryAcks(socket.userId, ids, socket.handshake?.auth?.token);
+
+      if (message_ids) {
+        queueStatusUpdates(io, sender_id, ids, 'delivered');
+        respond.ok({ message_ids: ids });
+        return;
       }
+
+      // Notify sender (all devices) that message was delivered
+      emitToUser(io, sender_id, 'message_status_update', {
+        message_id,
+        status: 'delivered',
+        timestamp: new Date().toISOString(),
+      });
+      respond.ok({ message_id });
     } catch (error) {
       logger.error('Error handling message_delivered', error, { message_id, sender_id });
+      respond.error(error, { message_id });
     }
-  });
+  }));
 
   /**
    * Handle message read status
@@ -416,34 +750,61 @@ export const registerMessageHandlers = (io, socket) => {
    * Architecture Decision:
    * - Sent when recipient actually views the message
    * - Provides sender with read confirmation (double checkmark)
-   * - Respects user privacy settings (if implemented)
+   * - Nothing is sent if the reader turned read receipts off (privacy settings)
+   * - Group reads (with group_id) are aggregated per message instead
+   * - Batches (`message_ids`) are coalesced like delivery batches
    */
-  socket.on('message_read_status', (data) => {
+  socket.on('message_read_status', withAck(socket, 'message_read_status', async (data, respond) => {
     // Check rate limit
-    if (!rateLimiters.message_read_status(socket)) return;
+    if (!rateLimiters.message_read_status(socket, respond)) return;
 
-    try {
-      const { message_id, sender_id } = data;
+    const { message_id, message_ids, sender_id, group_id } = data;
 
+    try {
       // Validate message status data
       try {
-        validateMessageStatusData({ message_id, sender_id });
+        validateMessageStatusData({ message_id, message_ids, sender_id, group_id });
       } catch (validationError) {
-        socket.emit('error', { message: validationError.message });
+        respond.error(validationError);
         return;
       }
 
-      // Notify sender that message was read
-      const senderSocketId = onlineUsers.get(sender_id);
-      if (senderSocketId) {
-        io.to(senderSocketId).emit('message_status_update', {
-          message_id,
-          status: 'read',
-          timestamp: new Date().toISOString(),
-        });
+      const ids = message_ids && [...new Set(message_ids)];
+
+      // The reader turned read receipts off: nobody is told
+      if (!(await sharesReadReceipts(socket))) {
+        respond.ok(ids ? { message_ids: ids } : { message_id });
+        return;
       }
+
+      // Group reads are aggregated into 'message_receipts_summary' for the sender
+      if (group_id) {
+        if (ids) {
+          const result = await recordSocketGroupReads(socket, ids, group_id);
+          respond.ok({ message_ids: ids, group_id, ...result });
+        } else {
+          const recorded = await recordSocketGroupRead(socket, message_id, group_id);
+          respond.ok({ message_id, group_id, recorded });
+        }
+        return;
+      }
+
+      if (ids) {
+        queueStatusUpdates(io, sender_id, ids, 'read');
+        respond.ok({ message_ids: ids });
+        return;
+      }
+
+      // Notify sender (all devices) that message was read
+      emitToUser(io, sender_id, 'message_status_update', {
+        message_id,
+        status: 'read',
+        timestamp: new Date().toISOString(),
+      });
+      respond.ok({ message_id });
     } catch (error) {
       logger.error('Error handling message_read_status', error, { message_id, sender_id });
+      respond.error(error, { message_id });
     }
-  });
+  }));
 };
@@ -0,0 +1,750 @@
+import {
+  getPrivacySettings,
+  isPrivacyFallback,
+  getLastKnownPrivacySettings,
+  updateUserStatus,
+  getUserById,
+} from '../services/userService.js';
+import { sendPresenceEvent } from '../services/presenceClient.js';
+import { createLogger } from '../middleware/logger.js';
+import { validatePresenceSubscription, validateStatusData } from '../utils/validation.js';
+import { rateLimiters } from '../utils/rateLimiter.js';
+import { withAck } from '../utils/socketAck.js';
+import {
+  trackActivity,
+  untrackActivity,
+  recordActivity,
+  recordIdle,
+} from '../utils/activityTracker.js';
+import {
+  getOnlineUserIds,
+  getUserRoom,
+  getUserSessions,
+  setSessionIdle,
+  getUserStatus,
+  setUserStatus,
+  getLastSeen,
+  setLastSeen,
+  addSession,
+  removeSession,
+  emitToUser,
+} from '../utils/sessionRegistry.js';
+import { PRESENCE_CONFIG } from '../config/presence.js';
+
+const logger = createLogger('Presence');
+
+// Prefix of presence rooms; only joinable through subscribe_presence
+export const PRESENCE_ROOM_PREFIX = 'presence:';
+
+// Maximum users one socket may follow
+const PRESENCE_MAX_SUBSCRIPTIONS = parseInt(process.env.PRESENCE_MAX_SUBSCRIPTIONS || '500', 10);
+
+// How long a user who lost their last connection still counts as online, so
+// quick reconnects (network switch, page reload) don't flap their presence
+const PRESENCE_OFFLINE_GRACE_PERIOD = parseInt(process.env.PRESENCE_OFFLINE_GRACE_PERIOD || '10000', 10);
+
+// How long the cached list of visible online users (global broadcast) is
+// used before it is rebuilt from the presence store
+const PRESENCE_ONLINE_USERS_REFRESH_INTERVAL = parseInt(process.env.PRESENCE_ONLINE_USERS_REFRESH_INTERVAL || '60000', 10);
+
+// Server-side event (Redis adapter) telling other instances that a user
+// appeared online or offline, to keep their cached lists current
+export const PRESENCE_VISIBILITY_EVENT = 'presence_visibility_changed';
+
+// Events that show the user is using the device (besides 'activity' heartbeats)
+const ACTIVITY_EVENTS = new Set(['send_message', 'send_group_message', 'typing']);
+
+/**
+ * Custom status expiry timers of statuses set on this instance
+ * Format: Map<userId, NodeJS.Timeout>
+ */
+const customStatusTimers = new Map();
+
+/**
+ * Offline announcements waiting for the grace period, per user
+ * Format: Map<userId, NodeJS.Timeout>
+ */
+const offlineTimers = new Map();
+
+/**
+ * Users others may see online, for the global broadcast
+ * Rebuilt from the presence store every PRESENCE_ONLINE_USERS_REFRESH_INTERVAL
+ * ms (on demand); in between, updated from announced changes
+ * Format: Set<userId>, or null before the first build
+ */
+let visibleOnlineUsers = null;
+let visibleOnlineUsersBuiltAt = 0;
+
+/**
+ * Rebuild in progress, and changes announced meanwhile (applied on top of it)
+ * Format: Promise, Map<userId, online>
+ */
+let visibleOnlineUsersBuild = null;
+let changesDuringBuild = new Map();
+
+/**
+ * ┌─────────────────────────────────────────────────────────────────────────┐
+ * │                        Presence Handlers                                 │
+ * │                                                                          │
+ * │ Tells clients when the users they care about (contacts, the current    │
+ * │ conversation) come online, go offline or change their status.          │
+ * │                                                                          │
+ * │ Architecture Decisions:                                                 │
+ * │ ─────────────────────────                                               │
+ * │ • Subscriptions: a socket follows a user by joining the room           │
+ * │   `presence:<userId>`; changes are sent to that room only, as          │
+ * │   'presence_changed' deltas (the Redis adapter delivers cluster-wide)  │
+ * │ • Subscribing returns a snapshot, so clients never need the full list  │
+ * │ • Rich status: users choose online / away / busy / invisible plus an   │
+ * │   optional custom status (text, emoji, expiry) with 'set_status'; an   │
+ * │   'online' user whose devices are all idle is shown as away            │
+ * │ • Followers are only told about changes they can see; status changes  │
+ * │   are persisted in auth-service and reported to the presence-engine    │
+ * │ • Going offline waits PRESENCE_OFFLINE_GRACE_PERIOD: a reconnect       │
+ * │   within it is invisible to followers; the last seen time is kept in   │
+ * │   the presence store and auth-service                                  │
+ * │ • The global 'online_users' / 'user_connected' / 'user_disconnected'   │
+ * │   broadcasts are opt-in (PRESENCE_GLOBAL_BROADCAST) for small          │
+ * │   deployments: every change still goes to every client and shows       │
+ * │   everyone who is online; the list itself is cached and updated from   │
+ * │   the changed user instead of resolving every online user              │
+ * │ • Privacy: users who hide their online status (or are invisible) never │
+ * │   appear online                                                        │
+ * └─────────────────────────────────────────────────────────────────────────┘
+ */
+
+/**
+ * Get the room that follows a user's presence
+ *
+ * @param {string} userId - Followed user ID
+ * @returns {string} Room name
+ */
+export const getPresenceRoom = (userId) => `${PRESENCE_ROOM_PREFIX}${userId}`;
+
+/**
+ * Users a socket follows
+ */
+const getSubscriptions = (socket) => Array.from(socket.rooms)
+  .filter(room => room.startsWith(PRESENCE_ROOM_PREFIX))
+  .map(room => room.slice(PRESENCE_ROOM_PREFIX.length));
+
+/**
+ * Custom status, unless it has expired by `now`
+ */
+const getActiveCustomStatus = (record, now = Date.now()) => {
+  const customStatus = record?.custom_status;
+  if (!customStatus) {
+    return null;
+  }
+  if (customStatus.expires_at && new Date(customStatus.expires_at).getTime() <= now) {
+    return null;
+  }
+  return customStatus;
+};
+
+/**
+ * The status a user chose, with defaults for users who never set one
+ *
+ * @param {string} userId - User ID
+ * @param {number} [now] - Time (ms) at which expired custom statuses are dropped
+ * @returns {Promise<{ status: string, custom_status: object|null, updated_at: string|null }>}
+ */
+export const getChosenStatus = async (userId, now = Date.now()) => {
+  const record = await getUserStatus(userId);
+  return {
+    status: record?.status || 'online',
+    custom_status: getActiveCustomStatus(record, now),
+    updated_at: record?.updated_at || null,
+  };
+};
+
+/**
+ * Work out a user's presence
+ *
+ * - effective: the user's real status ('offline' without sessions once the
+ *   offline grace period is over; an 'online' user whose devices are all
+ *   idle is 'away')
+ * - presence: what others see; invisible users and users hiding their
+ *   online status appear offline without a custom status
+ *
+ * @param {string} userId - User ID
+ * @param {number} [now] - Time (ms) at which the presence is resolved
+ * @param {object} [options]
+ * @param {boolean} [options.lastKnownPrivacy] - While the privacy settings are
+ *   unavailable, use the last known ones instead of sharing nothing
+ * @param {object[]|Promise<object[]>} [options.sessions] - Sessions read
+ *   beforehand, instead of the ones the store holds now
+ * @returns {Promise<{ presence: object, effective: string, customStatus: object|null,
+ *   connected: boolean, hidden: boolean, lastSeen: number|null, privacy: object }>}
+ */
+export const resolvePresence = async (userId, now = Date.now(), { lastKnownPrivacy = false, sessions: knownSessions } = {}) => {
+  const [sessions, chosen, lastSeen, settings] = await Promise.all([
+    knownSessions || getUserSessions(userId),
+    getChosenStatus(userId, now),
+    getLastSeen(userId),
+    getPrivacySettings(userId),
+  ]);
+  const privacy = lastKnownPrivacy && isPrivacyFallback(settings)
+    ? getLastKnownPrivacySettings(userId) || settings
+    : settings;
+
+  const inGracePeriod = lastSeen !== null && now - lastSeen < PRESENCE_OFFLINE_GRACE_PERIOD;
+  const connected = sessions.length > 0 || inGracePeriod;
+  let effective = 'offline';
+  if (connected) {
+    const idle = sessions.length > 0 && sessions.every(session => session.idle);
+    effective = chosen.status === 'online' && idle ? 'away' : chosen.status;
+  }
+
+  const hidden = chosen.status === 'invisible' || !privacy.online_status;
+  const status = hidden ? 'offline' : effective;
+  const customStatus = hidden ? null : chosen.custom_status;
+
+  return {
+    presence: {
+      user_id: userId,
+      online: status !== 'offline',
+      status,
+      ...(customStatus && { custom_status: customStatus }),
+    },
+    effective,
+    customStatus: chosen.custom_status,
+    connected,
+    hidden,
+    lastSeen,
+    privacy,
+  };
+};
+
+/**
+ * resolvePresence() for announcements to followers: an auth-service outage
+ * must not announce everyone offline, so the last known privacy settings
+ * are used while the current ones are unavailable (snapshots fail closed)
+ */
+const resolveAnnouncedPresence = (userId, now = Date.now(), options = {}) => resolvePresence(
+  userId,
+  now,
+  { ...options, lastKnownPrivacy: true }
+);
+
+const isSamePresence = (a, b) => (
+  a.status === b.status &&
+  JSON.stringify(a.custom_status || null) === JSON.stringify(b.custom_status || null)
+);
+
+/**
+ * Presence of users as others may see them (privacy settings, invisible)
+ *
+ * @param {string[]} userIds - User IDs
+ * @returns {Promise<Array<{ user_id: string, online: boolean, status: string, custom_status?: object }>>}
+ */
+const getVisiblePresence = (userIds) => Promise.all(
+  userIds.map(async userId => (await resolvePresence(userId)).presence)
+);
+
+/**
+ * When a user was last online, as others may see it: null while they are
+ * online, hidden, or not sharing their last seen time
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<{ user_id: string, online: boolean, last_seen: string|null }>}
+ */
+const getVisibleLastSeen = async (userId) => {
+  const { presence, hidden, lastSeen, privacy } = await resolvePresence(userId);
+
+  if (presence.online || hidden || !privacy.last_seen) {
+    return { user_id: userId, online: presence.online, last_seen: null };
+  }
+
+  // Not seen since this presence store started: auth-service remembers
+  const seenAt = lastSeen ?? (await getUserById(userId))?.lastSeen;
+  return {
+    user_id: userId,
+    online: false,
+    last_seen: seenAt ? new Date(seenAt).toISOString() : null,
+  };
+};
+
+/**
+ * Record that a user appeared online or offline in the cached global list
+ * Also called for changes announced by other instances
+ *
+ * @param {{ user_id: string, online: boolean }} change - Visibility change
+ */
+export const updateVisibleOnlineUsers = ({ user_id, online }) => {
+  if (visibleOnlineUsersBuild) {
+    changesDuringBuild.set(user_id, online);
+  }
+  if (!visibleOnlineUsers) {
+    return;
+  }
+  if (online) {
+    visibleOnlineUsers.add(user_id);
+  } else {
+    visibleOnlineUsers.delete(user_id);
+  }
+};
+
+/**
+ * Resolve every online user (O(N) store and privacy lookups); changes
+ * announced while it runs are applied on top
+ */
+const rebuildVisibleOnlineUsers = async () => {
+  const startedAt = Date.now();
+  changesDuringBuild = new Map();
+
+  const userIds = await getOnlineUserIds();
+  const resolved = await Promise.all(userIds.map(resolveAnnouncedPresence));
+  const visible = new Set(resolved.filter(({ presence }) => presence.online).map(({ presence }) => presence.user_id));
+
+  for (const [userId, online] of changesDuringBuild) {
+    if (online) {
+      visible.add(userId);
+    } else {
+      visible.delete(userId);
+    }
+  }
+
+  visibleOnlineUsers = visible;
+  visibleOnlineUsersBuiltAt = startedAt;
+  logger.debug('Rebuilt visible online users', { count: visible.size });
+};
+
+/**
+ * Online users others may see online (privacy settings, invisible), from
+ * the cached list; rebuilt once it is older than PRESENCE_ONLINE_USERS_REFRESH_INTERVAL
+ *
+ * @returns {Promise<string[]>} User IDs
+ */
+export const getVisibleOnlineUserIds = async () => {
+  if (!visibleOnlineUsers || Date.now() - visibleOnlineUsersBuiltAt >= PRESENCE_ONLINE_USERS_REFRESH_INTERVAL) {
+    if (!visibleOnlineUsersBuild) {
+      visibleOnlineUsersBuild = rebuildVisibleOnlineUsers().finally(() => {
+        visibleOnlineUsersBuild = null;
+      });
+    }
+    await visibleOnlineUsersBuild;
+  }
+  return Array.from(visibleOnlineUsers);
+};
+
+/**
+ * Online users a socket may see: everyone with the global broadcast, else
+ * the users it follows
+ *
+ * @param {object} socket - Socket.io socket instance
+ * @returns {Promise<string[]>} User IDs
+ */
+export const getOnlineUsersForSocket = async (socket) => {
+  if (PRESENCE_CONFIG.globalBroadcast) {
+    return getVisibleOnlineUserIds();
+  }
+  const presence = await getVisiblePresence(getSubscriptions(socket));
+  return presence.filter(entry => entry.online).map(entry => entry.user_id);
+};
+
+/**
+ * Broadcast the online users list to every client (global broadcast only)
+ *
+ * @param {object} io - Socket.io server instance
+ */
+export const broadcastOnlineUsers = async (io) => {
+  if (!PRESENCE_CONFIG.globalBroadcast) {
+    return;
+  }
+  const onlineUsersList = await getVisibleOnlineUserIds();
+  io.emit('online_users', onlineUsersList);
+  logger.info(`Broadcasting online users`, { count: onlineUsersList.length });
+};
+
+/**
+ * Tell a user's followers about a change of their presence
+ *
+ * Followers are only told if what they see changed; a change of the user's
+ * real status is persisted in auth-service and reported to the
+ * presence-engine. last_seen is included when the user went offline and
+ * shares it.
+ *
+ * @param {object} io - Socket.io server instance
+ * @param {string} userId - User ID
+ * @param {object} previous - resolveAnnouncedPresence() result from before the change
+ */
+const announcePresence = async (io, userId, previous) => {
+  const current = await resolveAnnouncedPresence(userId);
+  const { presence } = current;
+
+  const customChanged = JSON.stringify(previous.customStatus) !== JSON.stringify(current.customStatus);
+  if (previous.effective !== current.effective || customChanged) {
+    updateUserStatus(userId, current.effective, {
+      customStatus: customChanged ? current.customStatus : undefined,
+      lastSeen: !current.connected && current.lastSeen ? new Date(current.lastSeen) : undefined,
+    }).catch(err => {
+      logger.error('Failed to persist user status', err, { userId });
+    });
+
+    if (previous.connected !== current.connected) {
+      sendPresenceEvent(userId, current.connected ? 'user_connected' : 'user_disconnected');
+    } else {
+      sendPresenceEvent(userId, 'status_changed', {
+        status: current.effective,
+        previous_status: previous.effective,
+        custom_status: current.customStatus,
+      });
+    }
+  }
+
+  if (isSamePresence(previous.presence, presence)) {
+    return;
+  }
+
+  const timestamp = new Date().toISOString();
+  const lastSeen = !current.connected && !current.hidden && current.privacy.last_seen && current.lastSeen
+    ? { last_seen: new Date(current.lastSeen).toISOString() }
+    : {};
+
+  // With the global broadcast everyone follows everyone
+  const followers = PRESENCE_CONFIG.globalBroadcast ? io : io.to(getPresenceRoom(userId));
+  followers.except(getUserRoom(userId)).emit('presence_changed', {
+    ...presence,
+    ...lastSeen,
+    timestamp,
+  });
+
+  if (previous.presence.online !== presence.online) {
+    if (PRESENCE_CONFIG.globalBroadcast) {
+      const change = { user_id: userId, online: presence.online };
+      updateVisibleOnlineUsers(change);
+      if (PRESENCE_CONFIG.store === 'redis') {
+        io.serverSideEmit(PRESENCE_VISIBILITY_EVENT, change);
+      }
+
+      io.except(getUserRoom(userId)).emit(
+        presence.online ? 'user_connected' : 'user_disconnected',
+        { user_id: userId, ...lastSeen }
+      );
+    }
+    await broadcastOnlineUsers(io);
+  }
+};
+
+/**
+ * Apply a change that may affect a user's presence (sessions, status,
+ * privacy settings) and announce the result to their followers
+ *
+ * @param {object} io - Socket.io server instance
+ * @param {string} userId - User ID
+ * @param {Function} change - async () => * ; performs the change
+ * @returns {Promise<*>} What `change` returned
+ */
+export const changePresence = async (io, userId, change) => {
+  const previous = await resolveAnnouncedPresence(userId);
+  const result = await change();
+  await announcePresence(io, userId, previous);
+  return result;
+};
+
+/**
+ * Register a new device of a user and tell their followers in the background
+ *
+ * The session is added (and the user room joined) before anything is
+ * awaited, so nothing emitted to the user meanwhile is lost. What followers
+ * saw before comes from the sessions the store held before that write; only
+ * the announcement waits on the privacy settings.
+ *
+ * @param {object} io - Socket.io server instance
+ * @param {string} userId - User ID
+ * @param {object} socket - Socket.io socket instance
+ * @returns {Promise<boolean>} False if the socket disconnected before it was registered
+ */
+export const connectSession = async (io, userId, socket) => {
+  // Read before the write is issued, so the store answers it first
+  const [sessionsBefore, registered] = await Promise.all([
+    getUserSessions(userId),
+    addSession(userId, socket),
+  ]);
+
+  if (registered) {
+    resolveAnnouncedPresence(userId, Date.now(), { sessions: sessionsBefore })
+      .then(previous => announcePresence(io, userId, previous))
+      .catch(error => {
+        logger.error('Failed to announce user online', error, { userId });
+      });
+  }
+  return registered;
+};
+
+/**
+ * Announce a user offline once the grace period is over, unless they are
+ * back by then (on any instance)
+ */
+const scheduleOffline = (io, userId, previous) => {
+  clearTimeout(offlineTimers.get(userId));
+
+  const timer = setTimeout(() => {
+    offlineTimers.delete(userId);
+    announcePresence(io, userId, previous).catch(error => {
+      logger.error('Failed to announce user offline', error, { userId });
+    });
+  }, PRESENCE_OFFLINE_GRACE_PERIOD);
+
+  offlineTimers.set(userId, timer);
+};
+
+/**
+ * Remove one of a user's devices. Without devices left the user goes
+ * offline: the last seen time is recorded now, followers are told after
+ * the grace period
+ *
+ * @param {object} io - Socket.io server instance
+ * @param {string} userId - User ID
+ * @param {string} socketId - Socket ID
+ * @returns {Promise<boolean>} True if it was the user's last device
+ */
+export const disconnectSession = async (io, userId, socketId) => {
+  const previous = await resolveAnnouncedPresence(userId);
+  const wentOffline = await removeSession(userId, socketId);
+
+  if (wentOffline) {
+    await setLastSeen(userId, Date.now());
+    scheduleOffline(io, userId, previous);
+  } else {
+    // e.g. the only active device left and the others are idle
+    await announcePresence(io, userId, previous);
+  }
+  return wentOffline;
+};
+
+/**
+ * Record that a user lost their sessions without a disconnect on this
+ * instance (sessions of a dead gateway instance), and announce them offline
+ * after the grace period
+ *
+ * @param {object} io - Socket.io server instance
+ * @param {string} userId - User ID
+ */
+export const markUserOffline = async (io, userId) => {
+  await setLastSeen(userId, Date.now());
+  scheduleOffline(io, userId, await resolveAnnouncedPresence(userId));
+};
+
+/**
+ * Mark one of a user's devices idle or active, and announce the user as
+ * away / back if that changes what followers see
+ *
+ * @param {object} io - Socket.io server instance
+ * @param {string} userId - User ID
+ * @param {string} socketId - Socket ID
+ * @param {boolean} idle - True if the device is idle
+ */
+export const setSocketIdle = (io, userId, socketId, idle) => changePresence(
+  io,
+  userId,
+  () => setSessionIdle(userId, socketId, idle)
+);
+
+/**
+ * Clear a custom status once it expires, if it is still the one that was set
+ */
+const scheduleCustomStatusExpiry = (io, userId, record) => {
+  clearTimeout(customStatusTimers.get(userId));
+  customStatusTimers.delete(userId);
+
+  const expiresAt = record.custom_status?.expires_at;
+  if (!expiresAt) {
+    return;
+  }
+
+  const timer = setTimeout(async () => {
+    customStatusTimers.delete(userId);
+    try {
+      const stored = await getUserStatus(userId);
+      if (stored?.custom_status?.expires_at !== expiresAt) {
+        return;
+      }
+
+      // Followers still see the custom status as it was just before it expired
+      const previous = await resolveAnnouncedPresence(userId, new Date(expiresAt).getTime() - 1);
+      const updated = { ...stored, custom_status: null, updated_at: new Date().toISOString() };
+      await setUserStatus(userId, updated);
+      await announcePresence(io, userId, previous);
+
+      emitToUser(io, userId, 'status_updated', updated);
+      logger.debug('Custom status expired', { userId });
+    } catch (error) {
+      logger.error('Failed to clear expired custom status', error, { userId });
+    }
+  }, Math.max(0, new Date(expiresAt).getTime() - Date.now()));
+
+  customStatusTimers.set(userId, timer);
+};
+
+export const registerPresenceHandlers = (io, socket) => {
+  const userId = socket.userId;
+
+  // ─── Idle detection ────────────────────────────────────────────────────
+  trackActivity(socket.id, userId);
+
+  const markActive = () => {
+    if (recordActivity(socket.id)) {
+      setSocketIdle(io, userId, socket.id, false).catch(error => {
+        logger.error('Failed to mark device active', error, { userId, socketId: socket.id });
+      });
+    }
+  };
+
+  socket.onAny((event) => {
+    if (ACTIVITY_EVENTS.has(event)) {
+      markActive();
+    }
+  });
+
+  socket.on('disconnect', () => {
+    untrackActivity(socket.id);
+  });
+
+  // ─── Activity heartbeat ────────────────────────────────────────────────
+  // { idle: true } reports the device idle right away (e.g. screen locked)
+  socket.on('activity', withAck(socket, 'activity', async (data, respond) => {
+    // Check rate limit
+    if (!rateLimiters.activity(socket, respond)) return;
+
+    try {
+      if (data?.idle === true) {
+        if (recordIdle(socket.id)) {
+          await setSocketIdle(io, userId, socket.id, true);
+        }
+      } else {
+        markActive();
+      }
+      respond.ok();
+    } catch (error) {
+      logger.error('Error handling activity', error, { userId });
+      respond.error(error);
+    }
+  }));
+
+  // ─── Choose a status ───────────────────────────────────────────────────
+  socket.on('set_status', withAck(socket, 'set_status', async (data, respond) => {
+    // Check rate limit
+    if (!rateLimiters.set_status(socket, respond)) return;
+
+    const { status, custom_status } = data;
+
+    try {
+      validateStatusData({ status, custom_status });
+    } catch (validationError) {
+      respond.error(validationError);
+      return;
+    }
+
+    try {
+      const current = await getChosenStatus(userId);
+      const record = {
+        status: status ?? current.status,
+        custom_status: custom_status === undefined
+          ? current.custom_status
+          : custom_status && {
+            ...(custom_status.text && { text: custom_status.text }),
+            ...(custom_status.emoji && { emoji: custom_status.emoji }),
+            ...(custom_status.expires_at && { expires_at: new Date(custom_status.expires_at).toISOString() }),
+          },
+        updated_at: new Date().toISOString(),
+      };
+
+      await changePresence(io, userId, () => setUserStatus(userId, record));
+      scheduleCustomStatusExpiry(io, userId, record);
+
+      logger.info('User status changed', { userId, status: record.status });
+
+      emitToUser(io, userId, 'status_updated', record);
+      respond.ok(record);
+    } catch (error) {
+      logger.error('Error handling set_status', error, { userId });
+      respond.error(error);
+    }
+  }));
+
+  // ─── Follow users' presence ────────────────────────────────────────────
+  socket.on('subscribe_presence', withAck(socket, 'subscribe_presence', async (data, respond) => {
+    // Check rate limit
+    if (!rateLimiters.subscribe_presence(socket, respond)) return;
+
+    const { user_ids } = data;
+
+    try {
+      validatePresenceSubscription({ user_ids });
+    } catch (validationError) {
+      respond.error(validationError);
+      return;
+    }
+
+    const userIds = [...new Set(user_ids)];
+    const following = new Set(getSubscriptions(socket));
+    const added = userIds.filter(id => !following.has(id));
+
+    if (following.size + added.length > PRESENCE_MAX_SUBSCRIPTIONS) {
+      respond.fail('VALIDATION_FAILED', `Cannot follow more than ${PRESENCE_MAX_SUBSCRIPTIONS} users`, {
+        subscribed: following.size,
+      });
+      return;
+    }
+
+    try {
+      socket.join(added.map(getPresenceRoom));
+
+      const presence = await getVisiblePresence(userIds);
+      logger.debug('Socket subscribed to presence', { socketId: socket.id, userId, count: added.length });
+
+      socket.emit('presence_state', { presence });
+      respond.ok({ presence });
+    } catch (error) {
+      logger.error('Error handling subscribe_presence', error, { userId });
+      respond.error(error);
+    }
+  }));
+
+  // ─── Stop following users' presence ────────────────────────────────────
+  socket.on('unsubscribe_presence', withAck(socket, 'unsubscribe_presence', async (data, respond) => {
+    // Check rate limit
+    if (!rateLimiters.unsubscribe_presence(socket, respond)) return;
+
+    const { user_ids } = data;
+
+    try {
+      validatePresenceSubscription({ user_ids });
+    } catch (validationError) {
+      respond.error(validationError);
+      return;
+    }
+
+    for (const followedId of new Set(user_ids)) {
+      socket.leave(getPresenceRoom(followedId));
+    }
+    respond.ok({ user_ids });
+  }));
+
+  // ─── When users were last online ───────────────────────────────────────
+  socket.on('get_last_seen', withAck(socket, 'get_last_seen', async (data, respond) => {
+    // Check rate limit
+    if (!rateLimiters.get_last_seen(socket, respond)) return;
+
+    const { user_ids } = data;
+
+    try {
+      validatePresenceSubscription({ user_ids });
+    } catch (validationError) {
+      respond.error(validationError);
+      return;
+    }
+
+    try {
+      const lastSeen = await Promise.all([...new Set(user_ids)].map(getVisibleLastSeen));
+
+      socket.emit('last_seen', { last_seen: lastSeen });
+      respond.ok({ last_seen: lastSeen });
+    } catch (error) {
+      logger.error('Error handling get_last_seen', error, { userId });
+      respond.error(error);
+    }
+  }));
+};
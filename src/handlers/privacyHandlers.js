@@ -0,0 +1,67 @@
+import { updatePrivacySettings } from '../services/userService.js';
+import { createLogger } from '../middleware/logger.js';
+import { validatePrivacySettings } from '../utils/validation.js';
+import { rateLimiters } from '../utils/rateLimiter.js';
+import { withAck } from '../utils/socketAck.js';
+import { emitToUser } from '../utils/sessionRegistry.js';
+import { PRESENCE_CONFIG } from '../config/presence.js';
+import { changePresence } from './presenceHandlers.js';
+
+const logger = createLogger('Privacy');
+
+// Server-side event telling other gateway instances about new settings
+export const PRIVACY_UPDATED_EVENT = 'privacy_settings_updated';
+
+/**
+ * ┌─────────────────────────────────────────────────────────────────────────┐
+ * │                        Privacy Handlers                                  │
+ * │                                                                          │
+ * │ Lets users change what others see: read receipts, typing indicators,   │
+ * │ online status and last seen.                                            │
+ * │                                                                          │
+ * │ Architecture Decisions:                                                 │
+ * │ ─────────────────────────                                               │
+ * │ • auth-service owns the settings; the gateway caches them (userService)│
+ * │ • Immediate effect: the cache is updated on success, other instances   │
+ * │   are told through the Redis adapter (serverSideEmit), and a change of │
+ * │   online status is announced to followers (offline / back online)      │
+ * │ • The user's other devices receive 'privacy_settings_updated'          │
+ * └─────────────────────────────────────────────────────────────────────────┘
+ */
+
+export const registerPrivacyHandlers = (io, socket) => {
+  // ─── Change privacy settings ───────────────────────────────────────────
+  socket.on('update_privacy_settings', withAck(socket, 'update_privacy_settings', async (data, respond) => {
+    // Check rate limit
+    if (!rateLimiters.update_privacy_settings(socket, respond)) return;
+
+    try {
+      validatePrivacySettings(data);
+    } catch (validationError) {
+      respond.error(validationError);
+      return;
+    }
+
+    const userId = socket.userId;
+
+    try {
+      // Show or hide the user from presence right away
+      const settings = await changePresence(io, userId, async () => {
+        const updated = await updatePrivacySettings(userId, data, socket.handshake?.auth?.token);
+
+        if (PRESENCE_CONFIG.store === 'redis') {
+          io.serverSideEmit(PRIVACY_UPDATED_EVENT, { user_id: userId, settings: updated });
+        }
+        return updated;
+      });
+
+      logger.info('Privacy settings changed', { userId, changes: data });
+
+      emitToUser(io, userId, 'privacy_settings_updated', { settings });
+      respond.ok({ settings });
+    } catch (error) {
+      logger.error('Error handling update_privacy_settings', error, { userId });
+      respond.error(error);
+    }
+  }));
+};
@@ -0,0 +1,183 @@
+import { getMessageById, getReadReceipts } from '../services/messageService.js';
+import { isSocketGroupMember } from '../services/groupService.js';
+import { createLogger } from '../middleware/logger.js';
+import { createSocketError } from '../middleware/errorHandler.js';
+import { validateMessageStatusData } from '../utils/validation.js';
+import { rateLimiters } from '../utils/rateLimiter.js';
+import { withAck } from '../utils/socketAck.js';
+import { recordGroupRead, getTrackedMessage, getPendingReaders } from '../utils/receiptAggregator.js';
+
+const logger = createLogger('Receipts');
+
+/**
+ * ┌─────────────────────────────────────────────────────────────────────────┐
+ * │                        Receipt Handlers                                  │
+ * │                                                                          │
+ * │ Group read receipts: "read by 7 of 12" instead of one receipt per read. │
+ * │                                                                          │
+ * │ Architecture Decisions:                                                 │
+ * │ ─────────────────────────                                               │
+ * │ • Group reads (`message_read` / `message_read_status` with group_id)   │
+ * │   go to the receipt aggregator; the sender gets throttled              │
+ * │   'message_receipts_summary' events instead of a receipt per member    │
+ * │ • The reader must be a member; the message's group and sender come     │
+ * │   from chat-service (loaded once per tracked message), not the client  │
+ * │ • Batches look up untracked messages in parallel, bounded by           │
+ * │   RECEIPT_LOOKUP_CONCURRENCY                                           │
+ * │ • Only the sender may list who has read a message                      │
+ * └─────────────────────────────────────────────────────────────────────────┘
+ */
+
+// Messages looked up in chat-service at once for a batch of reads
+const RECEIPT_LOOKUP_CONCURRENCY = parseInt(process.env.RECEIPT_LOOKUP_CONCURRENCY || '5', 10);
+
+/**
+ * Group and sender of a message, from the aggregator or else chat-service
+ *
+ * @returns {Promise<{ groupId: string, senderId: string }|null>} Null if the message doesn't exist
+ */
+const lookupMessage = async (socket, messageId) => {
+  const tracked = getTrackedMessage(messageId);
+  if (tracked) {
+    return tracked;
+  }
+
+  const message = await getMessageById(messageId, socket.handshake?.auth?.token);
+  return message && { groupId: message.group_id, senderId: message.sender_id };
+};
+
+/**
+ * Look up several messages; tracked ones are answered from memory, the rest
+ * are fetched at most RECEIPT_LOOKUP_CONCURRENCY at a time
+ *
+ * @returns {Promise<Map<string, { groupId: string, senderId: string }|null>>}
+ */
+const lookupMessages = async (socket, messageIds) => {
+  const found = new Map();
+  const untracked = [];
+
+  for (const messageId of new Set(messageIds)) {
+    const tracked = getTrackedMessage(messageId);
+    if (tracked) {
+      found.set(messageId, tracked);
+    } else {
+      untracked.push(messageId);
+    }
+  }
+
+  let next = 0;
+  const worker = async () => {
+    while (next < untracked.length) {
+      const messageId = untracked[next++];
+      found.set(messageId, await lookupMessage(socket, messageId));
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(RECEIPT_LOOKUP_CONCURRENCY, untracked.length) }, worker));
+
+  return found;
+};
+
+/**
+ * Record a group read by the socket's user
+ *
+ * @param {object} socket - Socket.io socket instance
+ * @param {string} messageId - Read message ID
+ * @param {string} groupId - Group the client says the message belongs to
+ * @returns {Promise<boolean>} False if the read was already recorded
+ * @throws {AppError} NOT_MEMBER if the user is not in the group, NOT_FOUND if the
+ *   message is not a message of that group
+ */
+export const recordSocketGroupRead = async (socket, messageId, groupId) => {
+  if (!(await isSocketGroupMember(socket, groupId))) {
+    throw createSocketError('NOT_MEMBER', 'Not a member of this group');
+  }
+
+  const tracked = await lookupMessage(socket, messageId);
+  if (!tracked || tracked.groupId !== groupId) {
+    throw createSocketError('NOT_FOUND', 'Message not found in this group');
+  }
+
+  return recordGroupRead({ messageId, ...tracked }, socket.userId);
+};
+
+/**
+ * Record a batch of group reads by the socket's user
+ * Messages that are not in the group are skipped and reported, not fatal
+ *
+ * @param {object} socket - Socket.io socket instance
+ * @param {string[]} messageIds - Read message IDs
+ * @param {string} groupId - Group the client says the messages belong to
+ * @returns {Promise<{ recorded: string[], not_found: string[] }>} Newly recorded and skipped IDs
+ * @throws {AppError} NOT_MEMBER if the user is not in the group
+ */
+export const recordSocketGroupReads = async (socket, messageIds, groupId) => {
+  if (!(await isSocketGroupMember(socket, groupId))) {
+    throw createSocketError('NOT_MEMBER', 'Not a member of this group');
+  }
+
+  const found = await lookupMessages(socket, messageIds);
+
+  const recorded = [];
+  const notFound = [];
+  for (const messageId of messageIds) {
+    const tracked = found.get(messageId);
+    if (!tracked || tracked.groupId !== groupId) {
+      notFound.push(messageId);
+    } else if (recordGroupRead({ messageId, ...tracked }, socket.userId)) {
+      recorded.push(messageId);
+    }
+  }
+  return { recorded, not_found: notFound };
+};
+
+export const registerReceiptHandlers = (io, socket) => {
+  // ─── List who has read a message ───────────────────────────────────────
+  socket.on('get_message_receipts', withAck(socket, 'get_message_receipts', async (data, respond) => {
+    // Check rate limit
+    if (!rateLimiters.get_message_receipts(socket, respond)) return;
+
+    const { message_id } = data;
+
+    try {
+      validateMessageStatusData({ message_id });
+    } catch (validationError) {
+      respond.error(validationError);
+      return;
+    }
+
+    try {
+      const token = socket.handshake?.auth?.token;
+      const message = await getMessageById(message_id, token);
+
+      if (!message) {
+        respond.fail('NOT_FOUND', 'Message not found', { message_id });
+        return;
+      }
+
+      if (message.sender_id !== socket.userId) {
+        respond.fail('FORBIDDEN', 'Only the sender can see who read a message', { message_id });
+        return;
+      }
+
+      const receipts = await getReadReceipts(message_id, token);
+
+      // Reads still waiting in this instance's buffer
+      const known = new Set(receipts.readers.map(reader => reader.user_id));
+      const unflushed = getPendingReaders(message_id).filter(reader => !known.has(reader.user_id));
+
+      const result = {
+        message_id,
+        ...(message.group_id && { group_id: message.group_id }),
+        readers: [...receipts.readers, ...unflushed],
+        read_count: receipts.read_count + unflushed.length,
+        member_count: receipts.member_count,
+      };
+
+      socket.emit('message_receipts', result);
+      respond.ok(result);
+    } catch (error) {
+      logger.error('Error handling get_message_receipts', error, { message_id });
+      respond.error(error, { message_id });
+    }
+  }));
+};
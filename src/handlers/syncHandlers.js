@@ -0,0 +1,177 @@
+import { getUndeliveredMessages, markMessagesDelivered } from '../services/messageService.js';
+import { createLogger } from '../middleware/logger.js';
+import { validateSyncData } from '../utils/validation.js';
+import { rateLimiters } from '../utils/rateLimiter.js';
+import { withAck } from '../utils/socketAck.js';
+import { emitToUser } from '../utils/sessionRegistry.js';
+
+const logger = createLogger('Sync');
+
+// Page size used when pulling from chat-service, and the cap per sync request
+const SYNC_PAGE_SIZE = parseInt(process.env.SYNC_PAGE_SIZE || '100', 10);
+const SYNC_MAX_MESSAGES = parseInt(process.env.SYNC_MAX_MESSAGES || '1000', 10);
+
+// Sync every socket once its session is registered (set to 'false' for
+// clients that only sync on request)
+const SYNC_ON_CONNECT = process.env.SYNC_ON_CONNECT !== 'false';
+
+/**
+ * Sockets with a sync in progress (one at a time per socket)
+ */
+const syncingSockets = new WeakSet();
+
+/**
+ * ┌─────────────────────────────────────────────────────────────────────────┐
+ * │                         Sync Handlers                                    │
+ * │                                                                          │
+ * │ Delivers messages a device missed while it was offline.                 │
+ * │                                                                          │
+ * │ Architecture Decisions:                                                 │
+ * │ ─────────────────────────                                               │
+ * │ • On connect: once the session is registered the gateway syncs the    │
+ * │   socket from the undelivered set (SYNC_ON_CONNECT)                     │
+ * │ • On request: the device emits `sync`, with the ID of the last message │
+ * │   it has as cursor                                                     │
+ * │ • Paged: undelivered messages are pulled from chat-service page by     │
+ * │   page and streamed in order (`sync_batch`), then `sync_complete`      │
+ * │ • Bounded: at most SYNC_MAX_MESSAGES per request; `has_more` tells the │
+ * │   client to sync again from the returned cursor                        │
+ * │ • Delivery: each page is marked delivered in chat-service and private  │
+ * │   senders receive 'message_status_update' (delivered)                  │
+ * │ • One sync at a time per socket                                        │
+ * └─────────────────────────────────────────────────────────────────────────┘
+ */
+
+/**
+ * Record delivery of streamed messages and notify their senders
+ * Marking is best effort: a message that stays undelivered is sent again on
+ * the next sync, and clients dedupe by message ID
+ */
+const acknowledgeDelivery = async (io, socket, messages, token) => {
+  const messageIds = messages.map(message => message._id || message.id).filter(Boolean);
+  if (messageIds.length === 0) {
+    return;
+  }
+
+  try {
+    await markMessagesDelivered(messageIds, token);
+  } catch (error) {
+    logger.warn('Could not mark synced messages delivered', { userId: socket.userId, count: messageIds.length });
+  }
+
+  const timestamp = new Date().toISOString();
+  for (const message of messages) {
+    // Group delivery is per member; only private senders get a delivered tick
+    if (message.group_id || message.sender_id === socket.userId) {
+      continue;
+    }
+    emitToUser(io, message.sender_id, 'message_status_update', {
+      message_id: message._id || message.id,
+      status: 'delivered',
+      timestamp,
+    });
+  }
+};
+
+/**
+ * Stream a socket's undelivered messages page by page, then 'sync_complete'
+ *
+ * @param {object} io - Socket.io server instance
+ * @param {object} socket - Socket.io socket instance
+ * @param {object} [options]
+ * @param {string|null} [options.after] - ID of the newest message the device has
+ * @param {number} [options.limit] - Maximum messages (capped at SYNC_MAX_MESSAGES)
+ * @returns {Promise<{ count: number, cursor: string|null, has_more: boolean }>}
+ * @throws {Error} With `cursor` and `count` of what was streamed if chat-service fails
+ */
+const syncSocket = async (io, socket, { after = null, limit } = {}) => {
+  const token = socket.handshake?.auth?.token;
+  const maxMessages = Math.min(limit || SYNC_MAX_MESSAGES, SYNC_MAX_MESSAGES);
+  let cursor = after;
+  let count = 0;
+  let hasMore = true;
+
+  syncingSockets.add(socket);
+  try {
+    while (hasMore && count < maxMessages && socket.connected) {
+      const page = await getUndeliveredMessages(
+        socket.userId,
+        { after: cursor, limit: Math.min(SYNC_PAGE_SIZE, maxMessages - count) },
+        token
+      );
+
+      if (page.messages.length === 0) {
+        hasMore = false;
+        break;
+      }
+
+      socket.emit('sync_batch', { messages: page.messages, cursor: page.nextCursor });
+
+      count += page.messages.length;
+      cursor = page.nextCursor;
+      hasMore = page.hasMore;
+
+      await acknowledgeDelivery(io, socket, page.messages, token);
+    }
+  } catch (error) {
+    throw Object.assign(error, { cursor, count });
+  } finally {
+    syncingSockets.delete(socket);
+  }
+
+  logger.info('Sync completed', { userId: socket.userId, count, hasMore });
+
+  const result = { count, cursor, has_more: hasMore };
+  socket.emit('sync_complete', result);
+  return result;
+};
+
+/**
+ * Sync a socket right after its session is registered, so messages that
+ * arrived while the user was offline are pushed without a request
+ *
+ * @param {object} io - Socket.io server instance
+ * @param {object} socket - Socket.io socket instance
+ */
+export const syncOnConnect = async (io, socket) => {
+  if (!SYNC_ON_CONNECT || syncingSockets.has(socket)) {
+    return;
+  }
+
+  try {
+    await syncSocket(io, socket);
+  } catch (error) {
+    // The client can still sync on request from error.cursor
+    logger.error('Error syncing on connect', error, { userId: socket.userId, cursor: error.cursor, count: error.count });
+  }
+};
+
+export const registerSyncHandlers = (io, socket) => {
+  // ─── Sync undelivered messages after (re)connecting ───────────────────
+  socket.on('sync', withAck(socket, 'sync', async (data, respond) => {
+    // Check rate limit
+    if (!rateLimiters.sync(socket, respond)) return;
+
+    const { after = null, limit } = data;
+
+    try {
+      validateSyncData({ after, limit });
+    } catch (validationError) {
+      respond.error(validationError);
+      return;
+    }
+
+    if (syncingSockets.has(socket)) {
+      respond.fail('CONFLICT', 'A sync is already in progress');
+      return;
+    }
+
+    try {
+      respond.ok(await syncSocket(io, socket, { after, limit }));
+    } catch (error) {
+      logger.error('Error handling sync', error, { userId: socket.userId, cursor: error.cursor, count: error.count });
+      // The cursor lets the client resume after what it already received
+      respond.error(error, { cursor: error.cursor, count: error.count });
+    }
+  }));
+};
@@ -0,0 +1,217 @@
+import { getMessageById } from '../services/messageService.js';
+import { isSocketMessageParticipant } from '../services/groupService.js';
+import { createLogger } from '../middleware/logger.js';
+import { ErrorTypes } from '../middleware/errorHandler.js';
+import { validateThreadData } from '../utils/validation.js';
+import { rateLimiters } from '../utils/rateLimiter.js';
+import { withAck } from '../utils/socketAck.js';
+import { getUserRoom } from '../utils/sessionRegistry.js';
+
+const logger = createLogger('Threads');
+
+// Prefix of thread rooms; only joinable through subscribe_thread
+export const THREAD_ROOM_PREFIX = 'thread_';
+
+// Length of the quoted parent content embedded in replies
+const REPLY_PREVIEW_LENGTH = 200;
+
+/**
+ * ┌─────────────────────────────────────────────────────────────────────────┐
+ * │                         Thread Handlers                                  │
+ * │                                                                          │
+ * │ Replies (`reply_to`, quoting a message) and threads (`thread_root_id`). │
+ * │                                                                          │
+ * │ Architecture Decisions:                                                 │
+ * │ ─────────────────────────                                               │
+ * │ • The parent / root must exist in the same conversation as the reply,  │
+ * │   checked against chat-service before the reply is saved                │
+ * │ • Replies carry a short preview of the quoted message so clients can   │
+ * │   render the quote without fetching it                                  │
+ * │ • Thread rooms `thread_<rootId>`: participants may follow a thread     │
+ * │   without joining the group room (subscribe_thread)                     │
+ * │ • Thread replies go to the conversation and the thread room, followed  │
+ * │   by 'thread_reply_count' with the count from chat-service             │
+ * └─────────────────────────────────────────────────────────────────────────┘
+ */
+
+/**
+ * Get the room that follows a thread
+ *
+ * @param {string} rootId - Thread root message ID
+ * @returns {string} Room name
+ */
+export const getThreadRoom = (rootId) => `${THREAD_ROOM_PREFIX}${rootId}`;
+
+/**
+ * Check whether a stored message belongs to the conversation of a new message
+ */
+const isSameConversation = (stored, { sender_id, receiver_id, group_id }) => {
+  if (group_id) {
+    return stored.group_id === group_id;
+  }
+  if (stored.group_id) {
+    return false;
+  }
+  const participants = [stored.sender_id, stored.receiver_id].sort().join('|');
+  return participants === [sender_id, receiver_id].sort().join('|');
+};
+
+/**
+ * Load a referenced message and check it is in the same conversation
+ * @throws {AppError} VALIDATION_FAILED naming the field if it is not
+ */
+const loadReferencedMessage = async (field, messageId, conversation, token) => {
+  const stored = await getMessageById(messageId, token);
+  if (!stored || !isSameConversation(stored, conversation)) {
+    throw ErrorTypes.VALIDATION_ERROR(
+      `Validation error: ${field} must reference a message in this conversation`,
+      [{ field, message: `${field} must reference a message in this conversation` }]
+    );
+  }
+  return stored;
+};
+
+/**
+ * Validate reply_to / thread_root_id of a new message against chat-service
+ * and build the reply fields to store with it
+ *
+ * @param {object} conversation - { sender_id, receiver_id, group_id } of the new message
+ * @param {object} refs - { reply_to, thread_root_id } from the client
+ * @param {string} [token] - JWT token for authentication
+ * @returns {Promise<object>} Fields to add to the message ({ reply_to, reply_preview, thread_root_id })
+ * @throws {AppError} VALIDATION_FAILED if a reference is outside the conversation or thread
+ */
+export const resolveReplyFields = async (conversation, { reply_to, thread_root_id }, token) => {
+  const fields = {};
+
+  if (thread_root_id) {
+    const root = await loadReferencedMessage('thread_root_id', thread_root_id, conversation, token);
+    if (root.thread_root_id) {
+      throw ErrorTypes.VALIDATION_ERROR(
+        'Validation error: thread_root_id must reference a message that is not itself a reply in a thread',
+        [{ field: 'thread_root_id', message: 'thread_root_id must reference a message that is not itself a reply in a thread' }]
+      );
+    }
+    fields.thread_root_id = thread_root_id;
+  }
+
+  if (reply_to) {
+    const parent = await loadReferencedMessage('reply_to', reply_to, conversation, token);
+    const parentId = parent._id || parent.id || reply_to;
+
+    // A reply inside a thread can only quote messages of that thread
+    if (thread_root_id && parentId !== thread_root_id && parent.thread_root_id !== thread_root_id) {
+      throw ErrorTypes.VALIDATION_ERROR(
+        'Validation error: reply_to must reference a message in the same thread',
+        [{ field: 'reply_to', message: 'reply_to must reference a message in the same thread' }]
+      );
+    }
+
+    fields.reply_to = reply_to;
+    fields.reply_preview = {
+      message_id: parentId,
+      sender_id: parent.sender_id,
+      content: typeof parent.content === 'string' ? parent.content.slice(0, REPLY_PREVIEW_LENGTH) : null,
+    };
+  }
+
+  return fields;
+};
+
+/**
+ * Deliver a saved thread reply to the thread's followers and announce the
+ * new reply count. The conversation itself is notified by the send handlers.
+ *
+ * @param {object} io - Socket.io server instance
+ * @param {object} message - Saved message with thread_root_id
+ * @param {string} [token] - JWT token for authentication (service auth if omitted)
+ */
+export const announceThreadReply = async (io, message, token) => {
+  const rootId = message.thread_root_id;
+  if (!rootId) {
+    return;
+  }
+
+  const threadRoom = getThreadRoom(rootId);
+  const conversationRooms = message.group_id
+    ? [`group_${message.group_id}`]
+    : [message.sender_id, message.receiver_id].filter(Boolean).map(getUserRoom);
+
+  // Followers not in the conversation rooms (e.g. not in the group room) get the reply too
+  io.to(threadRoom).except(conversationRooms).emit('receive_message', message);
+
+  try {
+    const root = await getMessageById(rootId, token);
+    if (!root) {
+      return;
+    }
+
+    io.to([threadRoom, ...conversationRooms]).emit('thread_reply_count', {
+      thread_root_id: rootId,
+      reply_count: root.reply_count ?? root.thread_reply_count ?? 0,
+      last_reply_at: message.timestamp,
+      ...(message.group_id && { group_id: message.group_id }),
+    });
+  } catch (error) {
+    logger.warn('Could not announce thread reply count', { thread_root_id: rootId, error: error.message });
+  }
+};
+
+export const registerThreadHandlers = (io, socket) => {
+  // ─── Follow a thread ───────────────────────────────────────────────────
+  socket.on('subscribe_thread', withAck(socket, 'subscribe_thread', async (data, respond) => {
+    // Check rate limit
+    if (!rateLimiters.subscribe_thread(socket, respond)) return;
+
+    const { thread_root_id } = data;
+
+    try {
+      try {
+        validateThreadData({ thread_root_id });
+      } catch (validationError) {
+        respond.error(validationError);
+        return;
+      }
+
+      const root = await getMessageById(thread_root_id, socket.handshake?.auth?.token);
+      if (!root) {
+        respond.fail('NOT_FOUND', 'Thread not found', { thread_root_id });
+        return;
+      }
+
+      if (!(await isSocketMessageParticipant(socket, root))) {
+        logger.warn('Rejected thread subscription', { userId: socket.userId, thread_root_id });
+        respond.fail(root.group_id ? 'NOT_MEMBER' : 'FORBIDDEN', 'Not allowed to follow this thread', { thread_root_id });
+        return;
+      }
+
+      socket.join(getThreadRoom(thread_root_id));
+      logger.debug('Socket subscribed to thread', { socketId: socket.id, userId: socket.userId, thread_root_id });
+
+      socket.emit('thread_subscribed', { thread_root_id, success: true });
+      respond.ok({ thread_root_id, reply_count: root.reply_count ?? root.thread_reply_count ?? 0 });
+    } catch (error) {
+      logger.error('Error handling subscribe_thread', error, { thread_root_id });
+      respond.error(error, { thread_root_id });
+    }
+  }));
+
+  // ─── Stop following a thread ───────────────────────────────────────────
+  socket.on('unsubscribe_thread', withAck(socket, 'unsubscribe_thread', async (data, respond) => {
+    // Check rate limit
+    if (!rateLimiters.unsubscribe_thread(socket, respond)) return;
+
+    const { thread_root_id } = data;
+
+    try {
+      validateThreadData({ thread_root_id });
+    } catch (validationError) {
+      respond.error(validationError);
+      return;
+    }
+
+    socket.leave(getThreadRoom(thread_root_id));
+    socket.emit('thread_unsubscribed', { thread_root_id, success: true });
+    respond.ok({ thread_root_id });
+  }));
+};
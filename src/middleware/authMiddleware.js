@@ -1,48 +1,80 @@
-import axios from 'axios';
 import { createLogger } from './logger.js';
-import { TIMEOUTS } from '../config/timeouts.js';
+import { ErrorTypes } from './errorHandler.js';
+import { verifyToken, getTokenClaims } from './tokenVerifier.js';
+import { verifyServiceToken } from '../utils/serviceAuth.js';
+import { isTokenRevoked } from '../utils/tokenRevocation.js';
 
 const logger = createLogger('Auth');
-const AUTH_SERVICE_URL = process.env.AUTH_SERVICE_URL || 'http://localhost:3001/api';
 
-async function verifyTokenWithAuthService(token) {
-  try {
-    const response = await axios.post(
-      `${AUTH_SERVICE_URL}/auth/verify-token`,
-      { token },
-      { timeout: TIMEOUTS.AUTH_SERVICE_TIMEOUT }
-    );
-
-    if (response.data.success && response.data.data) {
-      return response.data.data;
-    }
-    
-    throw new Error('Invalid token response from Auth Service');
-  } catch (error) {
-    logger.error('Token verification failed', error, { token: token?.substring(0, 20) });
-    throw new Error('Token verification failed');
-  }
-}
+/**
+ * Build a connection error; Socket.IO sends `data` to the client with connect_error
+ */
+const authError = (message) => ErrorTypes.AUTHENTICATION_ERROR(message, { code: 'UNAUTHORIZED' });
 
 export const authenticateSocket = async (socket, next) => {
   try {
     const token = socket.handshake.auth.token;
     
     if (!token) {
-      return next(new Error('Authentication error: No token provided'));
+      return next(authError('Authentication error: No token provided'));
     }
 
-    // Verify token with centralized Auth Service
-    const user = await verifyTokenWithAuthService(token);
+    // Verify token with auth-service or locally (AUTH_VERIFY_MODE)
+    const user = await verifyToken(token);
     
     // Attach user info to socket
     socket.userId = user.userId;
     socket.user = user;
+    const claims = getTokenClaims(token, user);
+    socket.tokenExpiresAt = claims.expiresAt;
+    // In socket.data so revocations can find the socket from any instance
+    socket.data.tokenId = claims.tokenId;
+
+    if (claims.expiresAt !== null && claims.expiresAt <= Date.now()) {
+      return next(authError('Authentication error: Token expired'));
+    }
+
+    if (await isTokenRevoked(user.userId, claims)) {
+      logger.warn('Rejected revoked token', { userId: user.userId, tokenId: claims.tokenId });
+      return next(authError('Authentication error: Token revoked'));
+    }
     
     logger.info(`User authenticated`, { username: user.username, userId: user.userId });
     next();
   } catch (error) {
     logger.error('Authentication failed', error);
-    next(new Error('Authentication error: ' + error.message));
+    next(authError('Authentication error: ' + error.message));
+  }
+};
+
+/**
+ * Express middleware for internal endpoints called by other services
+ * Requires a service token (see serviceAuth.js) from one of the allowed services
+ *
+ * @param {string[]} allowedServices - Values of the `service` claim that may call the endpoint
+ * @returns {Function} Express middleware; sets req.service
+ */
+export const authenticateService = (allowedServices) => (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : null;
+
+  if (!token) {
+    return next(ErrorTypes.AUTHENTICATION_ERROR('Service token required'));
+  }
+
+  let payload;
+  try {
+    payload = verifyServiceToken(token);
+  } catch (error) {
+    logger.warn('Rejected service token', { path: req.path, reason: error.message });
+    return next(ErrorTypes.AUTHENTICATION_ERROR('Invalid service token'));
   }
+
+  if (!allowedServices.includes(payload.service)) {
+    logger.warn('Service not allowed', { path: req.path, service: payload.service });
+    return next(ErrorTypes.AUTHORIZATION_ERROR('Service not allowed'));
+  }
+
+  req.service = payload.service;
+  next();
 };
@@ -11,32 +11,127 @@
 /**
  * Custom Application Error class
  * Extends native Error to include HTTP status codes and additional context
+ *
+ * `code` is the machine-readable error code sent to socket clients
+ * (see SocketErrorCodes); `data` carries details such as invalid fields
  */
 export class AppError extends Error {
-  constructor(message, statusCode = 500, isOperational = true, data = null) {
+  constructor(message, statusCode = 500, isOperational = true, data = null, code = null) {
     super(message);
     this.statusCode = statusCode;
     this.isOperational = isOperational;
     this.data = data;
+    this.code = code || codeForStatus(statusCode);
     this.timestamp = new Date().toISOString();
     
     Error.captureStackTrace(this, this.constructor);
   }
 }
 
+/**
+ * Catalogue of error codes sent to socket clients
+ *
+ * Architecture Decision:
+ * - Clients branch on `code`; `message` is for humans and may change
+ * - Every socket error carries one of these codes, whatever its origin
+ *   (validation, rate limiting, authorization, backend failures)
+ * - Upstream error text (axios messages, backend bodies) is never forwarded;
+ *   the default message of the mapped code is sent instead
+ */
+export const SocketErrorCodes = {
+  VALIDATION_FAILED: { statusCode: 400, message: 'Invalid request data' },
+  UNAUTHORIZED: { statusCode: 401, message: 'Authentication required' },
+  FORBIDDEN: { statusCode: 403, message: 'Not allowed' },
+  NOT_MEMBER: { statusCode: 403, message: 'Not a member of this group' },
+  EDIT_WINDOW_EXPIRED: { statusCode: 403, message: 'The edit window for this message has passed' },
+  NOT_FOUND: { statusCode: 404, message: 'Not found' },
+  CONFLICT: { statusCode: 409, message: 'Conflicting request' },
+  UPSTREAM_REJECTED: { statusCode: 422, message: 'Request rejected by a backend service' },
+  RATE_LIMITED: { statusCode: 429, message: 'Too many requests' },
+  INTERNAL_ERROR: { statusCode: 500, message: 'An unexpected error occurred' },
+  UPSTREAM_UNAVAILABLE: { statusCode: 503, message: 'A backend service is unavailable, please retry later' },
+  UPSTREAM_TIMEOUT: { statusCode: 504, message: 'A backend service timed out, please retry later' },
+};
+
+/**
+ * Default error code for an HTTP status
+ */
+const codeForStatus = (statusCode) => {
+  switch (statusCode) {
+    case 400: return 'VALIDATION_FAILED';
+    case 401: return 'UNAUTHORIZED';
+    case 403: return 'FORBIDDEN';
+    case 404: return 'NOT_FOUND';
+    case 409: return 'CONFLICT';
+    case 429: return 'RATE_LIMITED';
+    case 502:
+    case 503: return 'UPSTREAM_UNAVAILABLE';
+    case 504: return 'UPSTREAM_TIMEOUT';
+    default: return statusCode >= 400 && statusCode < 500 ? 'UPSTREAM_REJECTED' : 'INTERNAL_ERROR';
+  }
+};
+
 /**
  * Predefined error types for common scenarios
  */
 export const ErrorTypes = {
-  VALIDATION_ERROR: (message, data) => new AppError(message, 400, true, data),
-  AUTHENTICATION_ERROR: (message) => new AppError(message, 401, true),
-  AUTHORIZATION_ERROR: (message) => new AppError(message, 403, true),
-  NOT_FOUND_ERROR: (message) => new AppError(message, 404, true),
-  CONFLICT_ERROR: (message) => new AppError(message, 409, true),
-  RATE_LIMIT_ERROR: (message) => new AppError(message, 429, true),
-  INTERNAL_ERROR: (message) => new AppError(message, 500, false),
-  SERVICE_UNAVAILABLE: (message) => new AppError(message, 503, true),
-  GATEWAY_TIMEOUT: (message) => new AppError(message, 504, true),
+  VALIDATION_ERROR: (message, data) => new AppError(message, 400, true, data, 'VALIDATION_FAILED'),
+  AUTHENTICATION_ERROR: (message, data) => new AppError(message, 401, true, data, 'UNAUTHORIZED'),
+  AUTHORIZATION_ERROR: (message) => new AppError(message, 403, true, null, 'FORBIDDEN'),
+  NOT_MEMBER_ERROR: (message = SocketErrorCodes.NOT_MEMBER.message) => new AppError(message, 403, true, null, 'NOT_MEMBER'),
+  NOT_FOUND_ERROR: (message) => new AppError(message, 404, true, null, 'NOT_FOUND'),
+  CONFLICT_ERROR: (message) => new AppError(message, 409, true, null, 'CONFLICT'),
+  RATE_LIMIT_ERROR: (message, data) => new AppError(message, 429, true, data, 'RATE_LIMITED'),
+  INTERNAL_ERROR: (message) => new AppError(message, 500, false, null, 'INTERNAL_ERROR'),
+  SERVICE_UNAVAILABLE: (message) => new AppError(message, 503, true, null, 'UPSTREAM_UNAVAILABLE'),
+  GATEWAY_TIMEOUT: (message) => new AppError(message, 504, true, null, 'UPSTREAM_TIMEOUT'),
+};
+
+/**
+ * Create an error for a catalogued socket error code
+ *
+ * @param {string} code - Key of SocketErrorCodes
+ * @param {string} [message] - Message; defaults to the code's default message
+ * @param {object|Array} [details] - Extra details (e.g. invalid fields)
+ * @returns {AppError}
+ */
+export const createSocketError = (code, message, details = null) => {
+  const definition = SocketErrorCodes[code] || SocketErrorCodes.INTERNAL_ERROR;
+  return new AppError(message || definition.message, definition.statusCode, true, details, code);
+};
+
+/**
+ * Map any error to an AppError with a catalogued code
+ * - AppErrors keep their code and message
+ * - Axios errors are mapped by upstream status; their text is not exposed
+ * - Anything else is an INTERNAL_ERROR with a generic message
+ *
+ * @param {Error} error - Error thrown by a handler or service call
+ * @returns {AppError}
+ */
+export const toSocketError = (error) => {
+  if (error instanceof AppError) {
+    return error;
+  }
+
+  if (error?.isAxiosError) {
+    const status = error.response?.status;
+    if (!status) {
+      return createSocketError(error.code === 'ECONNABORTED' ? 'UPSTREAM_TIMEOUT' : 'UPSTREAM_UNAVAILABLE');
+    }
+    if (status === 400 || status === 422) {
+      return createSocketError('UPSTREAM_REJECTED');
+    }
+    if (status === 408 || status === 504) {
+      return createSocketError('UPSTREAM_TIMEOUT');
+    }
+    if (status >= 500) {
+      return createSocketError('UPSTREAM_UNAVAILABLE');
+    }
+    return createSocketError(codeForStatus(status));
+  }
+
+  return new AppError(SocketErrorCodes.INTERNAL_ERROR.message, 500, false, null, 'INTERNAL_ERROR');
 };
 
 /**
@@ -102,6 +197,7 @@ export const errorHandler = (err, req, res, next) => {
     return res.status(err.statusCode).json({
       success: false,
       message: err.message,
+      code: err.code,
       data: err.data,
       timestamp: err.timestamp,
       ...(process.env.NODE_ENV === 'development' && { stack: err.stack }),
@@ -162,22 +258,46 @@ export const notFoundHandler = (req, res, next) => {
 /**
  * Socket error handler
  * Handles errors in socket event handlers
- * 
+ *
+ * Emits the legacy 'error' event ({ message, code, details?, ...context, timestamp })
+ * and, if given, answers the request's ack callback ({ ok: false, error }).
+ *
  * @param {object} socket - Socket.io socket instance
  * @param {Error} error - Error object
+ * @param {object} [options]
+ * @param {Function} [options.ack] - Acknowledgement callback of the request
+ * @param {object} [options.context] - Extra fields for the 'error' event (e.g. group_id)
+ * @param {string} [options.event] - Event being handled (for logging)
  */
-export const handleSocketError = (socket, error) => {
-  console.error('[Socket Error]', {
+export const handleSocketError = (socket, error, { ack = null, context = {}, event = null } = {}) => {
+  const socketError = toSocketError(error);
+
+  const log = socketError.isOperational ? console.warn : console.error;
+  log('[Socket Error]', {
     socketId: socket.id,
     userId: socket.userId,
+    event,
+    code: socketError.code,
     message: error.message,
     timestamp: new Date().toISOString(),
+    stack: !socketError.isOperational && process.env.NODE_ENV === 'development' ? error.stack : undefined,
   });
 
+  const body = {
+    code: socketError.code,
+    message: socketError.message,
+    ...(socketError.data && { details: socketError.data }),
+  };
+
   socket.emit('error', {
-    message: error.message || 'An error occurred',
+    ...body,
+    ...context,
     timestamp: new Date().toISOString(),
   });
+
+  if (ack) {
+    ack({ ok: false, error: body });
+  }
 };
 
 /**
@@ -198,7 +318,10 @@ export const socketAsyncHandler = (socket, fn) => async (...args) => {
 
 export default {
   AppError,
+  SocketErrorCodes,
   ErrorTypes,
+  createSocketError,
+  toSocketError,
   errorHandler,
   asyncHandler,
   notFoundHandler,
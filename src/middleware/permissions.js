@@ -0,0 +1,230 @@
+/**
+ * Socket Event Permissions
+ *
+ * Declarative map from socket events to the roles / scopes a user's token
+ * must carry, enforced for every event before its handler runs.
+ *
+ * Architecture Decision:
+ * - One policy entry per event: { roles?: [...], scopes?: [...] }
+ *   • roles:  the user needs at least one of them (`role` / `roles` claims)
+ *   • scopes: the user needs all of them (`scope` (space-separated) / `scopes` / `scp` claims)
+ * - Events without an entry are allowed; handlers still check ownership and
+ *   membership (e.g. deleting someone else's message needs a moderator role)
+ * - Tokens without any scope claim predate scopes and pass scope checks
+ *   unless PERMISSIONS_REQUIRE_SCOPES=true; role checks always apply
+ * - Deployments adjust the policy with a JSON file (SOCKET_PERMISSIONS_FILE)
+ *   whose entries replace the defaults per event (null removes an entry)
+ * - Denials are logged and answered like any other failure: FORBIDDEN via
+ *   the 'error' event and the ack, with the requirement in `details`
+ */
+
+import fs from 'fs';
+import { createLogger } from './logger.js';
+import { createSocketError } from './errorHandler.js';
+import { createResponder } from '../utils/socketAck.js';
+
+const logger = createLogger('Permissions');
+
+const PERMISSIONS_REQUIRE_SCOPES = process.env.PERMISSIONS_REQUIRE_SCOPES === 'true';
+const SOCKET_PERMISSIONS_FILE = process.env.SOCKET_PERMISSIONS_FILE || null;
+
+const MESSAGES_READ = { scopes: ['messages:read'] };
+const MESSAGES_WRITE = { scopes: ['messages:write'] };
+const PRESENCE_READ = { scopes: ['presence:read'] };
+const PRESENCE_WRITE = { scopes: ['presence:write'] };
+
+/**
+ * Default policy
+ * Format: { [event]: { roles?: string[], scopes?: string[] } }
+ */
+const DEFAULT_EVENT_PERMISSIONS = {
+  // Messages
+  send_message: MESSAGES_WRITE,
+  send_group_message: MESSAGES_WRITE,
+  edit_message: MESSAGES_WRITE,
+  delete_message: MESSAGES_WRITE,
+  add_reaction: MESSAGES_WRITE,
+  remove_reaction: MESSAGES_WRITE,
+  typing: MESSAGES_WRITE,
+  stop_typing: MESSAGES_WRITE,
+  message_read: MESSAGES_READ,
+  message_delivered: MESSAGES_READ,
+  message_read_status: MESSAGES_READ,
+  get_message_receipts: MESSAGES_READ,
+  sync: MESSAGES_READ,
+  fetch_history: MESSAGES_READ,
+  subscribe_thread: MESSAGES_READ,
+  unsubscribe_thread: MESSAGES_READ,
+  join_room: MESSAGES_READ,
+  leave_room: MESSAGES_READ,
+  join_group: MESSAGES_READ,
+  leave_group: MESSAGES_READ,
+
+  // Presence
+  subscribe_presence: PRESENCE_READ,
+  unsubscribe_presence: PRESENCE_READ,
+  get_online_users: PRESENCE_READ,
+  get_last_seen: PRESENCE_READ,
+  set_status: PRESENCE_WRITE,
+  activity: PRESENCE_WRITE,
+
+  // Account
+  get_sessions: { scopes: ['account:read'] },
+  update_privacy_settings: { scopes: ['account:write'] },
+};
+
+/**
+ * Normalize a policy entry, or null if it is not a valid entry
+ */
+const normalizeRequirement = (event, entry) => {
+  const isList = (value) => value === undefined || (Array.isArray(value) && value.every(item => typeof item === 'string'));
+
+  if (!entry || typeof entry !== 'object' || !isList(entry.roles) || !isList(entry.scopes)) {
+    logger.error('Ignoring invalid permission entry', null, { event, entry });
+    return null;
+  }
+  return {
+    roles: entry.roles?.length ? entry.roles : null,
+    scopes: entry.scopes?.length ? entry.scopes : null,
+  };
+};
+
+/**
+ * Defaults with the deployment's overrides applied
+ *
+ * @returns {Map<string, { roles: string[]|null, scopes: string[]|null }>}
+ */
+const loadEventPermissions = () => {
+  let overrides = {};
+
+  if (SOCKET_PERMISSIONS_FILE) {
+    try {
+      overrides = JSON.parse(fs.readFileSync(SOCKET_PERMISSIONS_FILE, 'utf8'));
+      logger.info('Loaded socket permission overrides', { file: SOCKET_PERMISSIONS_FILE, events: Object.keys(overrides) });
+    } catch (error) {
+      // Fail closed would lock everyone out; fail loudly instead
+      logger.error('Failed to load socket permission overrides, using defaults', error, { file: SOCKET_PERMISSIONS_FILE });
+      overrides = {};
+    }
+  }
+
+  const permissions = new Map();
+  for (const [event, entry] of Object.entries({ ...DEFAULT_EVENT_PERMISSIONS, ...overrides })) {
+    if (entry === null) {
+      continue;
+    }
+    const requirement = normalizeRequirement(event, entry);
+    if (requirement) {
+      permissions.set(event, requirement);
+    }
+  }
+  return permissions;
+};
+
+const eventPermissions = loadEventPermissions();
+
+/**
+ * Roles of the socket's user (`role` and `roles` claims)
+ *
+ * @param {object} socket - Socket.io socket instance
+ * @returns {string[]} Roles
+ */
+export const getUserRoles = (socket) => (
+  [socket.user?.role, ...(Array.isArray(socket.user?.roles) ? socket.user.roles : [])].filter(role => typeof role === 'string')
+);
+
+/**
+ * Scopes of the socket's user (`scope`, `scopes` and `scp` claims)
+ *
+ * @param {object} socket - Socket.io socket instance
+ * @returns {string[]|null} Scopes, or null if the token has no scope claim
+ */
+export const getUserScopes = (socket) => {
+  const { scope, scopes, scp } = socket.user || {};
+  if (scope === undefined && scopes === undefined && scp === undefined) {
+    return null;
+  }
+
+  return [scope, scopes, scp]
+    .flatMap(value => (typeof value === 'string' ? value.split(' ') : Array.isArray(value) ? value : []))
+    .filter(Boolean);
+};
+
+/**
+ * Check whether the socket's user holds one of the given roles
+ *
+ * @param {object} socket - Socket.io socket instance
+ * @param {string[]} roles - Accepted roles
+ * @returns {boolean}
+ */
+export const hasRole = (socket, roles) => getUserRoles(socket).some(role => roles.includes(role));
+
+/**
+ * Requirements of an event the socket's user doesn't meet
+ *
+ * @param {object} socket - Socket.io socket instance
+ * @param {string} event - Event name
+ * @returns {{ roles?: string[], scopes?: string[] }|null} Unmet requirements, or null if allowed
+ */
+export const getMissingPermissions = (socket, event) => {
+  const requirement = eventPermissions.get(event);
+  if (!requirement) {
+    return null;
+  }
+
+  const missing = {};
+
+  if (requirement.roles && !hasRole(socket, requirement.roles)) {
+    missing.roles = requirement.roles;
+  }
+
+  const scopes = getUserScopes(socket);
+  if (requirement.scopes && (scopes !== null || PERMISSIONS_REQUIRE_SCOPES)) {
+    const missingScopes = requirement.scopes.filter(scope => !(scopes || []).includes(scope));
+    if (missingScopes.length > 0) {
+      missing.scopes = missingScopes;
+    }
+  }
+
+  return Object.keys(missing).length > 0 ? missing : null;
+};
+
+/**
+ * Socket middleware (socket.use) enforcing the event policy
+ * Denied events never reach their handlers
+ *
+ * @param {object} socket - Socket.io socket instance
+ * @returns {Function} ([event, ...args], next) => void
+ */
+export const enforceEventPermissions = (socket) => ([event, ...args], next) => {
+  const missing = getMissingPermissions(socket, event);
+  if (!missing) {
+    next();
+    return;
+  }
+
+  logger.warn('Denied socket event', {
+    userId: socket.userId,
+    socketId: socket.id,
+    event,
+    missingRoles: missing.roles,
+    missingScopes: missing.scopes,
+  });
+
+  const ack = typeof args[args.length - 1] === 'function' ? args[args.length - 1] : null;
+  createResponder(socket, ack, event).error(
+    createSocketError('FORBIDDEN', `Not allowed to use ${event}`, {
+      event,
+      ...(missing.roles && { required_roles: missing.roles }),
+      ...(missing.scopes && { missing_scopes: missing.scopes }),
+    })
+  );
+};
+
+export default {
+  getUserRoles,
+  getUserScopes,
+  hasRole,
+  getMissingPermissions,
+  enforceEventPermissions,
+};
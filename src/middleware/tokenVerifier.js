@@ -0,0 +1,268 @@
+/**
+ * Token Verifier
+ *
+ * Verifies user tokens for the handshake and refresh_token, remotely
+ * (auth-service) or locally, as configured in config/auth.js.
+ *
+ * Architecture Decision:
+ * - Remote answers are cached by SHA-256 of the token (tokens themselves are
+ *   never kept) for AUTH_VERIFY_CACHE_TTL ms, never past the token's expiry;
+ *   concurrent verifications of one token share a request
+ * - Calls go through a circuit breaker; only outages (no answer, 5xx) count
+ *   as failures, a rejected token does not
+ * - On an outage the fallback policy applies: 'reject', 'cache' (answers up
+ *   to AUTH_VERIFY_STALE_TTL ms old) or 'local'
+ * - Local verification returns the same shape as auth-service
+ *   ({ userId, ...claims }); service tokens are never accepted as user tokens
+ */
+
+import crypto from 'crypto';
+import axios from 'axios';
+import jwt from 'jsonwebtoken';
+import { createLogger } from './logger.js';
+import { ErrorTypes } from './errorHandler.js';
+import { TIMEOUTS } from '../config/timeouts.js';
+import { AUTH_CONFIG } from '../config/auth.js';
+import { createCircuitBreaker } from '../utils/retry.js';
+
+const logger = createLogger('TokenVerifier');
+const AUTH_SERVICE_URL = process.env.AUTH_SERVICE_URL || 'http://localhost:3001/api';
+
+// No answer or a server error: auth-service is down, not rejecting the token
+const isOutage = (error) => !error.response || error.response.status >= 500;
+
+const verifyBreaker = createCircuitBreaker('AuthService:Verify', {
+  failureThreshold: 5,
+  resetTimeout: 30000,
+  monitorInterval: 10000,
+  isFailure: isOutage,
+});
+
+/**
+ * Verified tokens
+ * Format: Map<tokenHash, { user, cachedAt, expiresAt }>
+ */
+const verificationCache = new Map();
+
+/**
+ * Verifications in flight
+ * Format: Map<tokenHash, Promise<object>>
+ */
+const verificationRequests = new Map();
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Expiry, ID and issue time of a verified token
+ * The verification result wins; otherwise the token's own claims are used
+ * (the token has been verified, so it is only decoded here)
+ *
+ * @param {string} token - Verified JWT
+ * @param {object} user - Verification result
+ * @returns {{ expiresAt: number|null, tokenId: string|null, issuedAt: number|null }}
+ *   Times in ms; expiresAt is null if the token does not expire
+ */
+export const getTokenClaims = (token, user) => {
+  const decoded = jwt.decode(token) || {};
+  const exp = user?.exp ?? decoded.exp;
+  const iat = user?.iat ?? decoded.iat;
+  const jti = user?.jti ?? decoded.jti;
+
+  return {
+    expiresAt: Number.isFinite(exp) ? exp * 1000 : null,
+    tokenId: typeof jti === 'string' ? jti : null,
+    issuedAt: Number.isFinite(iat) ? iat * 1000 : null,
+  };
+};
+
+/**
+ * Ask auth-service to verify a token
+ * Errors keep auth-service's response so outages can be told from rejections
+ *
+ * @param {string} token - User JWT
+ * @returns {Promise<object>} User ({ userId, ... })
+ */
+const verifyTokenWithAuthService = async (token) => {
+  let response;
+  try {
+    response = await axios.post(
+      `${AUTH_SERVICE_URL}/auth/verify-token`,
+      { token },
+      { timeout: TIMEOUTS.AUTH_SERVICE_TIMEOUT }
+    );
+  } catch (error) {
+    logger.error('Token verification failed', error, { token: token?.substring(0, 20) });
+    const failure = new Error('Token verification failed');
+    failure.response = error.response;
+    throw failure;
+  }
+
+  if (response.data?.success && response.data.data) {
+    return response.data.data;
+  }
+
+  logger.warn('Invalid token response from Auth Service', { token: token?.substring(0, 20) });
+  const failure = new Error('Token verification failed');
+  failure.response = { status: 401 };
+  throw failure;
+};
+
+/**
+ * Verify a token in-process with the configured secret or public keys
+ *
+ * @param {string} token - User JWT
+ * @returns {object} User ({ userId, ...claims })
+ * @throws {Error} If no key verifies the token or it is not a user token
+ */
+export const verifyTokenLocally = (token) => {
+  const header = jwt.decode(token, { complete: true })?.header;
+  if (!header) {
+    throw new Error('Token verification failed');
+  }
+
+  const symmetric = header.alg === 'HS256';
+  const keys = symmetric ? [AUTH_CONFIG.secret].filter(Boolean) : AUTH_CONFIG.publicKeys;
+  const options = {
+    algorithms: symmetric ? ['HS256'] : AUTH_CONFIG.publicKeyAlgorithms,
+    issuer: AUTH_CONFIG.issuer,
+    audience: AUTH_CONFIG.audience,
+  };
+
+  // Several public keys are tried in turn, so keys can be rotated
+  let payload = null;
+  for (const key of keys) {
+    try {
+      payload = jwt.verify(token, key, options);
+      break;
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw new Error('Token expired');
+      }
+    }
+  }
+
+  const userId = payload?.userId ?? payload?.sub;
+  if (!payload || payload.service || typeof userId !== 'string') {
+    logger.warn('Local token verification failed', { alg: header.alg, kid: header.kid });
+    throw new Error('Token verification failed');
+  }
+
+  return { ...payload, userId };
+};
+
+/**
+ * Remember a remote verification result
+ */
+const cacheVerification = (key, token, user) => {
+  verificationCache.delete(key);
+  verificationCache.set(key, {
+    user,
+    cachedAt: Date.now(),
+    expiresAt: getTokenClaims(token, user).expiresAt,
+  });
+
+  if (verificationCache.size > AUTH_CONFIG.cacheMaxEntries) {
+    verificationCache.delete(verificationCache.keys().next().value);
+  }
+};
+
+/**
+ * Cached result younger than maxAge whose token has not expired
+ */
+const getCachedVerification = (key, maxAge) => {
+  const cached = verificationCache.get(key);
+  const now = Date.now();
+
+  if (!cached || now - cached.cachedAt >= maxAge || (cached.expiresAt !== null && cached.expiresAt <= now)) {
+    return null;
+  }
+  return cached.user;
+};
+
+/**
+ * Verify a token while auth-service is unreachable, as AUTH_VERIFY_FALLBACK says
+ */
+const verifyDuringOutage = (key, token) => {
+  if (AUTH_CONFIG.fallback === 'cache') {
+    const user = getCachedVerification(key, AUTH_CONFIG.staleTtl);
+    if (user) {
+      logger.warn('Auth service unavailable, using cached token verification', { userId: user.userId });
+      return user;
+    }
+  }
+
+  if (AUTH_CONFIG.fallback === 'local') {
+    logger.warn('Auth service unavailable, verifying token locally');
+    return verifyTokenLocally(token);
+  }
+
+  throw ErrorTypes.SERVICE_UNAVAILABLE('Auth service unavailable');
+};
+
+/**
+ * Verify a token with auth-service (cached, behind the circuit breaker)
+ */
+const verifyTokenRemotely = (token) => {
+  const key = hashToken(token);
+
+  const cached = getCachedVerification(key, AUTH_CONFIG.cacheTtl);
+  if (cached) {
+    return Promise.resolve(cached);
+  }
+
+  if (verificationRequests.has(key)) {
+    return verificationRequests.get(key);
+  }
+
+  const request = (async () => {
+    try {
+      const user = await verifyBreaker.execute(() => verifyTokenWithAuthService(token));
+      cacheVerification(key, token, user);
+      return user;
+    } catch (error) {
+      if (!isOutage(error)) {
+        throw error;
+      }
+      return verifyDuringOutage(key, token);
+    } finally {
+      verificationRequests.delete(key);
+    }
+  })();
+
+  verificationRequests.set(key, request);
+  return request;
+};
+
+/**
+ * Verify a user token as configured by AUTH_VERIFY_MODE
+ *
+ * @param {string} token - User JWT
+ * @returns {Promise<object>} User ({ userId, ... })
+ * @throws {Error} If the token is invalid; AppError UPSTREAM_UNAVAILABLE if it
+ *   can't be verified right now
+ */
+export const verifyToken = async (token) => {
+  if (AUTH_CONFIG.verifyMode === 'local') {
+    return verifyTokenLocally(token);
+  }
+  return verifyTokenRemotely(token);
+};
+
+/**
+ * Verification statistics for the metrics endpoint
+ *
+ * @returns {object} { mode, fallback, cached, breaker }
+ */
+export const getTokenVerifierStats = () => ({
+  mode: AUTH_CONFIG.verifyMode,
+  fallback: AUTH_CONFIG.fallback,
+  cached: verificationCache.size,
+  breaker: verifyBreaker.getStatus().state,
+});
+
+export default {
+  getTokenClaims,
+  verifyToken,
+  verifyTokenLocally,
+  getTokenVerifierStats,
+};
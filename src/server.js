@@ -11,13 +11,13 @@
  * • Express app for REST endpoints (health checks, metrics)
  * • Socket.IO server for WebSocket connections
  * • JWT authentication middleware
- * • In-memory presence tracking (onlineUsers Map)
+ * • Presence tracking (session registry, one entry per device)
  * 
  * Service Delegation:
  * ───────────────────
  * • User status updates → auth-service via HTTP API
  * • Message persistence → chat-service via HTTP API
- * • Presence tracking → In-memory Map (onlineUsers)
+ * • Presence tracking → Presence store (in-memory or Redis, userId → sockets)
  * 
  * Benefits:
  * ─────────
@@ -27,7 +27,8 @@
  * ✓ Each service owns its data domain
  * 
  * For horizontal scaling with multiple instances:
- * Use Redis for shared presence state + Socket.IO Redis adapter
+ * Set PRESENCE_STORE=redis (or REDIS_URL) to share presence state and route
+ * events through the Socket.IO Redis adapter
  */
 
 import express from 'express';
@@ -36,19 +37,83 @@ import { Server } from 'socket.io';
 import dotenv from 'dotenv';
 import cors from 'cors';
 import { connectDB } from './config/database.js'; // No actual DB connection
-import { authenticateSocket } from './middleware/authMiddleware.js';
+import { authenticateSocket, authenticateService } from './middleware/authMiddleware.js';
+import { getTokenVerifierStats } from './middleware/tokenVerifier.js';
+import { enforceEventPermissions } from './middleware/permissions.js';
 import { requestLogger, socketGatewayLogger } from './middleware/logger.js';
-import { errorHandler, notFoundHandler } from './middleware/errorHandler.js';
-import { registerMessageHandlers } from './handlers/messageHandlers.js';
-import { registerConnectionHandlers } from './handlers/connectionHandlers.js';
-import { sendPresenceEvent } from './services/presenceClient.js';
+import { errorHandler, notFoundHandler, asyncHandler } from './middleware/errorHandler.js';
+import { registerMessageHandlers, expireMessage } from './handlers/messageHandlers.js';
+import {
+  registerConnectionHandlers,
+  applyGroupMembershipChange,
+  GROUP_MEMBERSHIP_CHANGED_EVENT,
+} from './handlers/connectionHandlers.js';
+import { registerAuthHandlers, forceLogout } from './handlers/authHandlers.js';
+import {
+  registerPresenceHandlers,
+  disconnectSession,
+  markUserOffline,
+  setSocketIdle,
+  updateVisibleOnlineUsers,
+  PRESENCE_VISIBILITY_EVENT,
+} from './handlers/presenceHandlers.js';
+import { registerPrivacyHandlers, PRIVACY_UPDATED_EVENT } from './handlers/privacyHandlers.js';
+import { registerSyncHandlers } from './handlers/syncHandlers.js';
+import { registerHistoryHandlers } from './handlers/historyHandlers.js';
+import { registerThreadHandlers, announceThreadReply } from './handlers/threadHandlers.js';
+import { registerReceiptHandlers } from './handlers/receiptHandlers.js';
+import { cachePrivacySettings } from './services/userService.js';
+import { invalidateMembership } from './services/groupService.js';
 import { startPeriodicCleanup } from './utils/typingTimers.js';
+import {
+  setPresenceStore,
+  getPresenceStore,
+  getOnlineUserCount,
+  getLocalSessions,
+  emitToUser,
+  emitToConversation,
+  clearSessions,
+} from './utils/sessionRegistry.js';
+import { createPresenceStore } from './utils/presenceStore.js';
+import { createRevocationStore } from './utils/revocationStore.js';
+import { setRevocationStore, revokeToken, revokeUser } from './utils/tokenRevocation.js';
+import { validateRevocationData, validateGroupMembershipChange } from './utils/validation.js';
+import { PRESENCE_CONFIG, connectRedis, attachRedisAdapter } from './config/presence.js';
 import { getRecentLogs, clearOldLogs } from './utils/persistentLogger.js';
+import { persistQueuedMessage, recordReadReceipts, markMessagesDelivered } from './services/messageService.js';
+import {
+  outboxEvents,
+  loadOutbox,
+  startOutboxReplay,
+  stopOutboxReplay,
+  getOutboxSize,
+} from './utils/outbox.js';
+import { updateIdempotentResult } from './utils/idempotency.js';
+import { createExpiryStore } from './utils/expiryStore.js';
+import {
+  scheduleExpiry,
+  startExpiryScheduler,
+  stopExpiryScheduler,
+  getScheduledExpiryCount,
+  getStoredExpiryCount,
+} from './utils/expiryScheduler.js';
+import { startReceiptAggregator, stopReceiptAggregator, getReceiptStats } from './utils/receiptAggregator.js';
+import { startActivityTracker, stopActivityTracker } from './utils/activityTracker.js';
+import { flushStatusUpdates, setDeliveryRecorder } from './utils/statusCoalescer.js';
+import {
+  startServiceKeyRingReload,
+  stopServiceKeyRingReload,
+  getServiceKeyRingStats,
+} from './utils/serviceKeyRing.js';
 
 dotenv.config();
 
-// Validate required environment variables
-const requiredEnvVars = ['JWT_SECRET', 'CHAT_SERVICE_URL', 'AUTH_SERVICE_URL'];
+// Validate required environment variables (JWT_SECRET only signs legacy service tokens)
+const requiredEnvVars = [
+  ...(process.env.SERVICE_KEYS_DIR ? [] : ['JWT_SECRET']),
+  'CHAT_SERVICE_URL',
+  'AUTH_SERVICE_URL',
+];
 for (const envVar of requiredEnvVars) {
   if (!process.env[envVar]) {
     console.error(`Missing required environment variable: ${envVar}`);
@@ -61,6 +126,12 @@ const CORS_ORIGINS = process.env.CORS_ORIGINS
   ? process.env.CORS_ORIGINS.split(',')
   : [];
 
+// Services allowed to call the internal endpoints (`service` claim of their service token)
+const INTERNAL_API_SERVICES = (process.env.INTERNAL_API_SERVICES || 'auth-service').split(',');
+
+// Services allowed to report group membership changes
+const GROUP_API_SERVICES = (process.env.GROUP_API_SERVICES || 'chat-service').split(',');
+
 const app = express();
 const httpServer = createServer(app);
 
@@ -93,15 +164,49 @@ const io = new Server(httpServer, {
   transports: SOCKET_TRANSPORTS
 });
 
+// ============================================================================
+// Presence Store & Cross-Instance Routing
+// ============================================================================
+
 /**
- * Track online users
- * Maps userId to socketId for quick lookup when routing messages
+ * Shared presence for horizontal scaling
  * 
  * Architecture Decision:
- * - In-memory map provides O(1) lookup for presence checks
- * - Could be moved to Redis for horizontal scaling across multiple gateway instances
+ * - memory: presence lives in this process (single instance)
+ * - redis: presence is shared and the Redis adapter forwards room emits
+ *   (user rooms, group rooms) to sockets connected to other instances
  */
-export const onlineUsers = new Map(); // userId -> socketId
+let redisClients = null;
+
+if (PRESENCE_CONFIG.store === 'redis') {
+  try {
+    redisClients = await connectRedis();
+    attachRedisAdapter(io, redisClients);
+  } catch (error) {
+    socketGatewayLogger.error('Failed to connect to Redis for presence', error, {
+      redisUrl: PRESENCE_CONFIG.redisUrl,
+    });
+    process.exit(1);
+  }
+}
+
+setPresenceStore(createPresenceStore(redisClients));
+setRevocationStore(createRevocationStore(redisClients));
+
+// Privacy settings changed on another instance: use them here right away
+io.on(PRIVACY_UPDATED_EVENT, ({ user_id, settings }) => {
+  cachePrivacySettings(user_id, settings);
+});
+
+// Group membership changed and was reported to another instance: stop
+// serving cached answers here too
+io.on(GROUP_MEMBERSHIP_CHANGED_EVENT, ({ group_id, user_id }) => {
+  invalidateMembership(group_id, user_id);
+});
+
+// A user appeared online / offline through another instance: keep the
+// cached global online list current
+io.on(PRESENCE_VISIBILITY_EVENT, updateVisibleOnlineUsers);
 
 // ============================================================================
 // Socket Event Handlers
@@ -117,45 +222,83 @@ io.on('connection', (socket) => {
     userId: socket.userId,
   });
 
+  // Check every event against the permission policy before any handler runs
+  socket.use(enforceEventPermissions(socket));
+
   // Register event handlers for this socket (includes disconnect handler)
+  registerAuthHandlers(io, socket);
   registerConnectionHandlers(io, socket);
+  registerPresenceHandlers(io, socket);
   registerMessageHandlers(io, socket);
+  registerSyncHandlers(io, socket);
+  registerHistoryHandlers(io, socket);
+  registerThreadHandlers(io, socket);
+  registerReceiptHandlers(io, socket);
+  registerPrivacyHandlers(io, socket);
 
   // Centralized disconnect handler (moved to connectionHandlers for better organization)
-  socket.on('disconnect', (reason) => {
+  socket.on('disconnect', async (reason) => {
     socketGatewayLogger.info('Socket disconnecting', {
       socketId: socket.id,
       userId: socket.userId,
       reason,
     });
 
-    // Find and remove from online users
-    let disconnectedUserId = null;
-    for (const [userId, socketId] of onlineUsers.entries()) {
-      if (socketId === socket.id) {
-        disconnectedUserId = userId;
-        onlineUsers.delete(userId);
-        socketGatewayLogger.info('User went offline', {
-          userId,
-          remainingOnline: onlineUsers.size,
+    // Remove this device; the user only goes offline with their last device.
+    // After the offline grace period followers are told (unless the user is
+    // hidden), auth-service records the last seen time, the presence-engine
+    // gets 'user_disconnected' and, with the global broadcast, all clients
+    // get the updated online users list
+    try {
+      if (await disconnectSession(io, socket.userId, socket.id)) {
+        socketGatewayLogger.info('User lost their last connection', {
+          userId: socket.userId,
+          remainingOnline: await getOnlineUserCount(),
         });
-        break;
       }
+    } catch (error) {
+      socketGatewayLogger.error('Failed to remove session', error, { socketId: socket.id, userId: socket.userId });
     }
+  });
+});
 
-    // Notify all clients about the disconnection
-    if (disconnectedUserId) {
-      // Send presence event to presence-engine
-      sendPresenceEvent(disconnectedUserId, 'user_disconnected').catch(err => {
-        socketGatewayLogger.error('Failed to send presence disconnect event', err);
-      });
-      
-      io.emit('user_disconnected', { user_id: disconnectedUserId });
+// ============================================================================
+// Message Outbox
+// ============================================================================
 
-      // Broadcast updated online users list to all remaining clients
-      const onlineUsersList = Array.from(onlineUsers.keys());
-      io.emit('online_users', onlineUsersList);
-    }
+/**
+ * Messages queued while chat-service was down are replayed by the outbox.
+ * Clients received them with a temp ID; tell the conversation the real ID.
+ */
+outboxEvents.on('persisted', ({ tempId, message, savedMessage }) => {
+  // Resends of this message should now get the persisted version
+  if (message.client_msg_id) {
+    updateIdempotentResult(message.sender_id, message.client_msg_id, savedMessage);
+  }
+
+  emitToConversation(io, message, 'message_persisted', {
+    temp_id: tempId,
+    message_id: savedMessage?._id || savedMessage?.id,
+    message: savedMessage,
+  });
+
+  // Thread followers only learn about queued replies once they are saved
+  if (savedMessage?.thread_root_id) {
+    announceThreadReply(io, savedMessage);
+  }
+
+  // Live Thought Mode expiry starts once the message has its real ID
+  if (savedMessage?.expires_at) {
+    scheduleExpiry(savedMessage).catch(error => {
+      socketGatewayLogger.error('Failed to schedule message expiry', error, { tempId });
+    });
+  }
+});
+
+outboxEvents.on('dropped', ({ tempId, message, reason }) => {
+  emitToUser(io, message.sender_id, 'message_failed', {
+    temp_id: tempId,
+    reason,
   });
 });
 
@@ -167,31 +310,45 @@ io.on('connection', (socket) => {
  * Health check endpoint
  * Used by load balancers and monitoring systems to verify service health
  */
-app.get('/health', (req, res) => {
+app.get('/health', asyncHandler(async (req, res) => {
   res.json({
     status: 'ok',
     service: 'socket-gateway',
     connections: io.engine.clientsCount,
-    onlineUsers: onlineUsers.size,
+    onlineUsers: await getOnlineUserCount(),
     timestamp: new Date().toISOString()
   });
-});
+}));
 
 /**
  * Metrics endpoint
  * Provides detailed metrics for monitoring and alerting
  */
-app.get('/metrics', (req, res) => {
+app.get('/metrics', asyncHandler(async (req, res) => {
   res.json({
     connections: {
       total: io.engine.clientsCount,
-      online: onlineUsers.size,
+      online: await getOnlineUserCount(),
+    },
+    presence: {
+      store: getPresenceStore().type,
+      instanceId: PRESENCE_CONFIG.instanceId,
+    },
+    outbox: {
+      pending: getOutboxSize(),
     },
+    expiry: {
+      scheduled: getScheduledExpiryCount(),
+      stored: await getStoredExpiryCount(),
+    },
+    receipts: getReceiptStats(),
+    auth: getTokenVerifierStats(),
+    serviceAuth: getServiceKeyRingStats(),
     uptime: process.uptime(),
     memory: process.memoryUsage(),
     timestamp: new Date().toISOString(),
   });
-});
+}));
 
 /**
  * Recent logs endpoint (for debugging, should be restricted in production)
@@ -208,6 +365,80 @@ app.get('/logs', (req, res) => {
   });
 });
 
+// ============================================================================
+// Internal API Endpoints (service tokens only)
+// ============================================================================
+
+/**
+ * Revoke a user's tokens or a single token (auth-service: ban, password
+ * change, logout of one session)
+ * Matching sockets on every instance get 'force_logout' and are disconnected;
+ * handshakes with the revoked tokens are rejected until they expire
+ *
+ * Body: { user_id, token_id?, expires_at?, reason? }
+ */
+app.post('/internal/revocations', authenticateService(INTERNAL_API_SERVICES), asyncHandler(async (req, res) => {
+  validateRevocationData(req.body);
+
+  const { user_id, token_id, expires_at, reason = 'revoked' } = req.body;
+  const until = expires_at ? new Date(expires_at).getTime() : undefined;
+
+  if (token_id) {
+    await revokeToken(token_id, until);
+  } else {
+    await revokeUser(user_id, until);
+  }
+
+  const disconnected = await forceLogout(io, user_id, { tokenId: token_id, reason });
+
+  socketGatewayLogger.info('Revocation applied', {
+    service: req.service,
+    userId: user_id,
+    tokenId: token_id,
+    reason,
+    disconnected,
+  });
+
+  res.json({
+    success: true,
+    user_id,
+    ...(token_id && { token_id }),
+    disconnected,
+    timestamp: new Date().toISOString(),
+  });
+}));
+
+/**
+ * Report a group membership change (chat-service: member added or removed,
+ * group deleted)
+ * Cached membership is dropped on every instance; removed users' sockets
+ * leave the group room and get 'group_removed'
+ *
+ * Body: { group_id, user_id?, removed? }
+ */
+app.post('/internal/group-memberships', authenticateService(GROUP_API_SERVICES), asyncHandler(async (req, res) => {
+  validateGroupMembershipChange(req.body);
+
+  const { group_id, user_id, removed = false } = req.body;
+  const left = await applyGroupMembershipChange(io, { group_id, user_id, removed });
+
+  socketGatewayLogger.info('Group membership change applied', {
+    service: req.service,
+    groupId: group_id,
+    userId: user_id,
+    removed,
+    left,
+  });
+
+  res.json({
+    success: true,
+    group_id,
+    ...(user_id && { user_id }),
+    left,
+    timestamp: new Date().toISOString(),
+  });
+}));
+
 // ============================================================================
 // Error Handling Middleware (must be last)
 // ============================================================================
@@ -220,36 +451,59 @@ app.use(errorHandler); // Handle all errors
 // ============================================================================
 
 /**
- * Periodically remove stale entries from onlineUsers Map.
+ * Periodically remove stale entries from the session registry.
  * Prevents memory leaks if disconnect handlers fail to execute.
  */
 const STALE_CONNECTION_CLEANUP_INTERVAL = parseInt(process.env.STALE_CONNECTION_CLEANUP_INTERVAL || '60000', 10);
 
 const startStaleConnectionCleanup = () => {
-  setInterval(() => {
-    const activeSocketIds = new Set();
-    io.sockets.sockets.forEach(socket => {
-      activeSocketIds.add(socket.id);
-    });
+  setInterval(async () => {
+    try {
+      const activeSocketIds = new Set();
+      io.sockets.sockets.forEach(socket => {
+        activeSocketIds.add(socket.id);
+      });
 
-    let staleCount = 0;
-    for (const [userId, socketId] of onlineUsers.entries()) {
-      if (!activeSocketIds.has(socketId)) {
-        onlineUsers.delete(userId);
-        staleCount++;
-        socketGatewayLogger.warn('Removed stale connection', { userId, socketId });
+      // Users left without sessions go offline like on a disconnect
+      let staleCount = 0;
+      for (const { userId, socketId } of getLocalSessions()) {
+        if (!activeSocketIds.has(socketId)) {
+          await disconnectSession(io, userId, socketId);
+          staleCount++;
+          socketGatewayLogger.warn('Removed stale connection', { userId, socketId });
+        }
       }
-    }
 
-    if (staleCount > 0) {
-      socketGatewayLogger.info('Stale connection cleanup completed', {
-        removed: staleCount,
-        remaining: onlineUsers.size,
-      });
+      // Sessions left behind by gateway instances that died without cleanup
+      const swept = await getPresenceStore().sweepDeadInstances();
+      staleCount += swept.sessions;
+      for (const userId of swept.offlineUserIds) {
+        await markUserOffline(io, userId);
+      }
+
+      if (staleCount > 0) {
+        socketGatewayLogger.info('Stale connection cleanup completed', {
+          removed: staleCount,
+          remaining: await getOnlineUserCount(),
+        });
+      }
+    } catch (error) {
+      socketGatewayLogger.error('Stale connection cleanup failed', error);
     }
   }, STALE_CONNECTION_CLEANUP_INTERVAL);
 };
 
+/**
+ * Report this instance alive so other instances don't sweep its sessions
+ */
+const startPresenceHeartbeat = () => {
+  setInterval(() => {
+    getPresenceStore().heartbeat().catch(error => {
+      socketGatewayLogger.error('Presence heartbeat failed', error);
+    });
+  }, PRESENCE_CONFIG.heartbeatInterval);
+};
+
 // ============================================================================
 // Server Startup
 // ============================================================================
@@ -265,11 +519,45 @@ httpServer.listen(PORT, () => {
     persistentLogging: true,
     logLevel: process.env.LOG_LEVEL || 'info',
     logDir: process.env.LOG_DIR || './logs',
+    presenceStore: getPresenceStore().type,
+    instanceId: PRESENCE_CONFIG.instanceId,
   });
   
   // Start stale connection cleanup
   startStaleConnectionCleanup();
+
+  // Start presence heartbeat for multi-instance deployments
+  startPresenceHeartbeat();
+
+  // Replay messages queued while chat-service was unavailable
+  try {
+    loadOutbox();
+    startOutboxReplay(persistQueuedMessage);
+  } catch (error) {
+    socketGatewayLogger.error('Failed to start message outbox', error);
+  }
+
+  // Reload pending Live Thought Mode expiries and start the timer wheel
+  Promise.resolve()
+    .then(() => startExpiryScheduler(createExpiryStore(redisClients), job => expireMessage(io, job)))
+    .catch(error => {
+      socketGatewayLogger.error('Failed to start expiry scheduler', error);
+    });
   
+  // Batch group read receipts to chat-service; summaries go to the sender's devices
+  startReceiptAggregator(recordReadReceipts, (summary) => {
+    emitToUser(io, summary.sender_id, 'message_receipts_summary', summary);
+  });
+
+  // Record live delivery acks in chat-service, coalesced like status updates
+  setDeliveryRecorder(markMessagesDelivered);
+
+  // Show users as away once all their devices are idle
+  startActivityTracker(({ userId, socketId }) => setSocketIdle(io, userId, socketId, true));
+
+  // Pick up rotated service keys without a restart
+  startServiceKeyRingReload();
+
   // Start periodic cleanup of stale typing timers
   startPeriodicCleanup();
   
@@ -286,14 +574,45 @@ httpServer.listen(PORT, () => {
 process.on('SIGTERM', () => {
   socketGatewayLogger.info('SIGTERM received, initiating graceful shutdown');
   
+  // Stop replaying queued messages (they stay in the outbox journal)
+  stopOutboxReplay();
+
+  // Stop firing expiries (they stay in the expiry store)
+  stopExpiryScheduler();
+
+  // Stop idle detection
+  stopActivityTracker();
+
+  // Stop re-reading service keys
+  stopServiceKeyRingReload();
+
+  // Deliver status updates still waiting in their coalescing window
+  const statusFlush = flushStatusUpdates(io);
+
   // Disconnect all socket clients gracefully
   io.disconnectSockets();
   socketGatewayLogger.info('Socket.IO connections closed');
   
   // Close HTTP server
-  httpServer.close(() => {
+  httpServer.close(async () => {
     socketGatewayLogger.info('HTTP server closed');
-    onlineUsers.clear();
+    try {
+      // Record group reads still waiting for the next batch
+      await stopReceiptAggregator();
+    } catch (error) {
+      socketGatewayLogger.error('Failed to flush read receipts', error);
+    }
+    // Delivery acks from the last coalescing window (failures are logged)
+    await statusFlush;
+    try {
+      await clearSessions();
+      await getPresenceStore().close();
+      if (redisClients) {
+        await Promise.all([redisClients.pubClient.quit(), redisClients.subClient.quit()]);
+      }
+    } catch (error) {
+      socketGatewayLogger.error('Failed to release presence store', error);
+    }
     socketGatewayLogger.info('Shutdown complete');
     process.exit(0);
   });
@@ -5,6 +5,7 @@ import { getServiceAuthHeader } from '../utils/serviceAuth.js';
 import { createCircuitBreaker } from '../utils/retry.js';
 
 const AI_ENGINE_URL = process.env.AI_ENGINE_URL || 'http://localhost:8002';
+const AI_ENGINE_AUDIENCE = process.env.AI_ENGINE_AUDIENCE || 'ai-engine';
 const logger = createLogger('AIEngine');
 
 // Create circuit breaker for AI engine
@@ -30,7 +31,7 @@ export const analyzeMessage = async (userId, text) => {
           },
           { 
             timeout: TIMEOUTS.AI_ENGINE_TIMEOUT,
-            headers: getServiceAuthHeader()
+            headers: getServiceAuthHeader(AI_ENGINE_AUDIENCE)
           }
         );
       },
@@ -65,7 +66,7 @@ export const predictPresence = async (userId, activityData) => {
           },
           { 
             timeout: TIMEOUTS.AI_ENGINE_TIMEOUT,
-            headers: getServiceAuthHeader()
+            headers: getServiceAuthHeader(AI_ENGINE_AUDIENCE)
           }
         );
       },
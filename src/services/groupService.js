@@ -0,0 +1,160 @@
+/**
+ * Group Service
+ *
+ * Architecture Decision:
+ * - chat-service owns group membership; the gateway only asks "is user X in group Y?"
+ * - Short-lived cache absorbs the burst of checks from joins, sends and typing
+ * - Circuit breaker fails fast when chat-service is down
+ * - Fails closed: without a fresh answer (or a recent cached one) access is denied
+ */
+
+import { chatServiceClient } from '../config/apiGateway.js';
+import { retryAxiosRequest, createCircuitBreaker } from '../utils/retry.js';
+import { serviceLogger } from '../middleware/logger.js';
+
+const logger = serviceLogger('GroupService');
+
+// Create circuit breaker for group lookups on chat service
+const groupServiceBreaker = createCircuitBreaker('ChatService:Groups', {
+  failureThreshold: 5,
+  resetTimeout: 30000, // 30 seconds
+  monitorInterval: 10000, // 10 seconds
+});
+
+const MEMBERSHIP_CACHE_TTL = parseInt(process.env.GROUP_MEMBERSHIP_CACHE_TTL || '30000', 10);
+const MEMBERSHIP_STALE_TTL = parseInt(process.env.GROUP_MEMBERSHIP_STALE_TTL || '300000', 10);
+const MEMBERSHIP_CACHE_MAX_ENTRIES = parseInt(process.env.GROUP_MEMBERSHIP_CACHE_MAX_ENTRIES || '10000', 10);
+
+/**
+ * Membership cache
+ * Format: Map<"groupId:userId", { isMember: boolean, cachedAt: number }>
+ * Entries younger than MEMBERSHIP_CACHE_TTL are served directly; entries
+ * younger than MEMBERSHIP_STALE_TTL are only used while chat-service is down.
+ */
+const membershipCache = new Map();
+
+const cacheKey = (groupId, userId) => `${groupId}:${userId}`;
+
+const cacheMembership = (groupId, userId, isMember) => {
+  const key = cacheKey(groupId, userId);
+
+  // Re-insert so the Map keeps entries in least-recently-written order
+  membershipCache.delete(key);
+  membershipCache.set(key, { isMember, cachedAt: Date.now() });
+
+  if (membershipCache.size > MEMBERSHIP_CACHE_MAX_ENTRIES) {
+    const oldestKey = membershipCache.keys().next().value;
+    membershipCache.delete(oldestKey);
+  }
+};
+
+/**
+ * Fall back to a recent cached answer while chat-service is unavailable
+ */
+const useStaleMembership = (groupId, userId, cached) => {
+  if (cached && Date.now() - cached.cachedAt < MEMBERSHIP_STALE_TTL) {
+    logger.warn('Using stale membership while chat-service is unavailable', { groupId, userId });
+    return cached.isMember;
+  }
+  return false;
+};
+
+/**
+ * Check whether a user is a member of a group
+ *
+ * @param {string} groupId - Group ID
+ * @param {string} userId - User ID
+ * @param {string} [token] - JWT token for authenticating with the chat-service
+ * @returns {Promise<boolean>} True if the user is a member
+ */
+export const isGroupMember = async (groupId, userId, token) => {
+  const cached = membershipCache.get(cacheKey(groupId, userId));
+  if (cached && Date.now() - cached.cachedAt < MEMBERSHIP_CACHE_TTL) {
+    return cached.isMember;
+  }
+
+  try {
+    const response = await groupServiceBreaker.execute(
+      async () => {
+        try {
+          return await retryAxiosRequest(
+            () => chatServiceClient.get(`/api/groups/${encodeURIComponent(groupId)}/members/${encodeURIComponent(userId)}`, {
+              headers: token ? { Authorization: `Bearer ${token}` } : {},
+            }),
+            {
+              maxRetries: 1,
+              baseDelay: 200,
+            }
+          );
+        } catch (error) {
+          // Unknown group or non-member is an answer, not a service failure
+          if ([403, 404].includes(error.response?.status)) {
+            return { data: { isMember: false } };
+          }
+          throw error;
+        }
+      },
+      // Fallback function if circuit is open
+      () => {
+        logger.warn('Circuit breaker open, membership check unavailable', { groupId, userId });
+        return null;
+      }
+    );
+
+    if (!response) {
+      return useStaleMembership(groupId, userId, cached);
+    }
+
+    const isMember = response.data?.isMember === true;
+    cacheMembership(groupId, userId, isMember);
+    return isMember;
+  } catch (error) {
+    logger.error('Failed to check group membership', error, { groupId, userId });
+    return useStaleMembership(groupId, userId, cached);
+  }
+};
+
+/**
+ * Check membership for the user behind a socket
+ *
+ * @param {object} socket - Socket.io socket instance
+ * @param {string} groupId - Group ID
+ * @returns {Promise<boolean>} True if the socket's user is a member
+ */
+export const isSocketGroupMember = (socket, groupId) => {
+  return isGroupMember(groupId, socket.userId, socket.handshake?.auth?.token);
+};
+
+/**
+ * Check whether the socket's user takes part in a message's conversation
+ * (sender, private receiver, or member of the message's group)
+ *
+ * @param {object} socket - Socket.io socket instance
+ * @param {object} message - Message loaded from chat-service
+ * @returns {Promise<boolean>}
+ */
+export const isSocketMessageParticipant = async (socket, message) => {
+  if (message.sender_id === socket.userId || message.receiver_id === socket.userId) {
+    return true;
+  }
+  return !!message.group_id && isSocketGroupMember(socket, message.group_id);
+};
+
+/**
+ * Drop cached membership (e.g. after the user is added to or removed from a group)
+ *
+ * @param {string} groupId - Group ID
+ * @param {string} [userId] - User ID; omit to drop every cached member of the group
+ */
+export const invalidateMembership = (groupId, userId) => {
+  if (userId) {
+    membershipCache.delete(cacheKey(groupId, userId));
+    return;
+  }
+
+  for (const key of membershipCache.keys()) {
+    if (key.startsWith(`${groupId}:`)) {
+      membershipCache.delete(key);
+    }
+  }
+};
@@ -5,12 +5,15 @@
  * - Handles communication between socket-gateway and chat-service
  * - Uses retry logic with exponential backoff for resilient inter-service communication
  * - Circuit breaker pattern prevents cascading failures
- * - Returns temporary IDs on failure to ensure message appears in UI (optimistic update)
+ * - Queues unsaved messages in a durable outbox on failure; clients get a temp ID
+ *   (optimistic update) that is mapped to the real ID once the message is replayed
  */
 
 import { chatServiceClient, SERVICES } from '../config/apiGateway.js';
 import { retryAxiosRequest, createCircuitBreaker } from '../utils/retry.js';
 import { serviceLogger } from '../middleware/logger.js';
+import { enqueueMessage, triggerOutboxReplay } from '../utils/outbox.js';
+import { buildIdempotencyKey } from '../utils/idempotency.js';
 
 const logger = serviceLogger('ChatService');
 
@@ -19,8 +22,67 @@ const chatServiceBreaker = createCircuitBreaker('ChatService', {
   failureThreshold: 5,
   resetTimeout: 30000, // 30 seconds
   monitorInterval: 10000, // 10 seconds
+  // Chat service is back: flush messages queued while it was down
+  onStateChange: (state) => {
+    if (state === 'CLOSED') {
+      triggerOutboxReplay();
+    }
+  },
 });
 
+/**
+ * POST a message to the chat-service through the circuit breaker with retry logic
+ * Messages carrying a client_msg_id are sent with an Idempotency-Key header so
+ * retries (including outbox replays) never create duplicates
+ *
+ * @param {object} message - Message payload
+ * @param {string} [token] - JWT token for authenticating with the chat-service
+ * @param {Function} [fallback] - Called instead of the request while the circuit is open
+ * @returns {object} Axios response (or the fallback's return value)
+ */
+const postMessage = (message, token, fallback) => {
+  const headers = token ? { Authorization: `Bearer ${token}` } : {};
+  if (message.client_msg_id) {
+    headers['Idempotency-Key'] = buildIdempotencyKey(message.sender_id, message.client_msg_id);
+  }
+
+  return chatServiceBreaker.execute(
+    async () => {
+      return await retryAxiosRequest(
+        () => chatServiceClient.post('/api/messages', message, { headers }),
+        {
+          maxRetries: 3,
+          baseDelay: 1000,
+        }
+      );
+    },
+    fallback
+  );
+};
+
+/**
+ * Check whether chat-service rejected the message itself (4xx other than 408/429),
+ * as opposed to being unreachable or overloaded
+ */
+const isRejection = (error) => {
+  const status = error.response?.status;
+  return status >= 400 && status < 500 && ![408, 429].includes(status);
+};
+
+/**
+ * Put a message in the durable outbox and return its optimistic version
+ */
+const queueMessage = (message) => {
+  const { tempId } = enqueueMessage(message);
+  return {
+    ...message,
+    id: tempId,
+    _id: tempId,
+    temp_id: tempId,
+    status: 'pending',
+  };
+};
+
 /**
  * Save a message by forwarding it to the chat-service REST API with retry logic.
  * The chat-service requires a valid JWT in the Authorization header,
@@ -29,105 +91,463 @@ const chatServiceBreaker = createCircuitBreaker('ChatService', {
  * Architecture Decision:
  * - Uses retry logic to handle transient failures
  * - Circuit breaker prevents overwhelming a down service
- * - Returns temporary ID on permanent failures for optimistic UI updates
+ * - When chat-service is unavailable the message is queued in the durable
+ *   outbox and returned with a temp ID and status 'pending'; the outbox
+ *   replays it later and announces the real ID ('message_persisted')
+ * - Messages chat-service rejects (4xx) are not queued; the error is thrown
  *
  * @param {object} message  - Message payload (sender_id, receiver_id, content, …)
  * @param {string} [token]  - JWT token for authenticating with the chat-service
- * @returns {object}        - The persisted message returned by the chat-service
+ * @returns {object}        - The persisted message, or the queued message with a temp ID
+ * @throws {Error}          - If chat-service rejects the message or the outbox cannot take it
  */
 export const saveMessage = async (message, token) => {
+  logger.info('Saving message to chat service', {
+    sender: message.sender_id,
+    receiver: message.receiver_id,
+    group: message.group_id,
+  });
+
+  let response;
   try {
-    logger.info('Saving message to chat service', {
+    // Execute request through circuit breaker with retry logic
+    response = await postMessage(message, token, () => null);
+  } catch (error) {
+    if (isRejection(error)) {
+      logger.error('Chat service rejected message', error, {
+        sender: message.sender_id,
+        status: error.response.status,
+      });
+      throw error;
+    }
+
+    logger.error('Failed to save message after retries, queueing in outbox', error, {
       sender: message.sender_id,
       receiver: message.receiver_id,
-      group: message.group_id,
     });
+    return queueMessage(message);
+  }
+
+  if (!response) {
+    logger.warn('Circuit breaker open, queueing message in outbox');
+    return queueMessage(message);
+  }
+
+  logger.info('Message saved successfully', {
+    messageId: response.data._id || response.data.id,
+  });
+
+  return response.data;
+};
+
+/**
+ * Save a message replayed from the outbox
+ * Uses service authentication; user tokens are never stored in the outbox
+ *
+ * @param {object} message - Queued message payload
+ * @returns {object} The persisted message
+ * @throws {Error} If chat-service is unavailable or rejects the message
+ */
+export const persistQueuedMessage = async (message) => {
+  const response = await postMessage(message);
+  return response.data;
+};
+
+/**
+ * Edit a message's content through the chat-service with retry logic
+ *
+ * Architecture Decision:
+ * - chat-service keeps the edit history and assigns the revision number
+ * - Not queued in the outbox: an edit applied late could overwrite a newer one
+ *
+ * @param {string} messageId - Message ID
+ * @param {string} content - New content
+ * @param {string} [token] - JWT token for authentication
+ * @returns {object} The updated message (with revision and edited_at)
+ * @throws {Error} If chat-service rejects the edit or is unavailable
+ */
+export const editMessage = async (messageId, content, token) => {
+  try {
+    logger.info('Editing message via chat service', { messageId });
 
-    // Execute request through circuit breaker with retry logic
     const response = await chatServiceBreaker.execute(
       async () => {
         return await retryAxiosRequest(
-          () => chatServiceClient.post('/api/messages', message, {
+          () => chatServiceClient.patch(`/api/messages/${encodeURIComponent(messageId)}`, { content }, {
             headers: token ? { Authorization: `Bearer ${token}` } : {},
           }),
           {
-            maxRetries: 3,
-            baseDelay: 1000,
+            maxRetries: 2,
+            baseDelay: 500,
           }
         );
-      },
-      // Fallback function if circuit is open
-      () => {
-        logger.warn('Circuit breaker open, using fallback for message save');
-        return {
-          data: {
-            ...message,
-            id: `temp_${Date.now()}`,
-            _id: `temp_${Date.now()}`,
-            status: 'pending',
-          },
-        };
       }
     );
 
-    logger.info('Message saved successfully', {
-      messageId: response.data._id || response.data.id,
-    });
-
-    return response.data;
+    logger.info('Message edited successfully', { messageId });
+    return response.data?.message || response.data;
   } catch (error) {
-    logger.error('Failed to save message after retries', error, {
-      sender: message.sender_id,
-      receiver: message.receiver_id,
-    });
+    logger.error('Failed to edit message', error, { messageId });
+    throw error;
+  }
+};
 
-    // Return message with temporary ID so the flow doesn't break
-    // This enables optimistic UI updates even when backend is down
-    return {
-      ...message,
-      id: `temp_${Date.now()}`,
-      _id: `temp_${Date.now()}`,
-      status: 'failed',
-    };
+/**
+ * Add or remove the caller's reaction through the chat-service with retry logic
+ * chat-service stores one reaction per (user, emoji) so retries are harmless
+ *
+ * @param {string} messageId - Message ID
+ * @param {string} emoji - Reaction emoji
+ * @param {boolean} add - True to add, false to remove
+ * @param {string} [token] - JWT token for authentication
+ * @returns {object[]} The message's reactions after the change
+ * @throws {Error} If chat-service rejects the request or is unavailable
+ */
+const updateReaction = async (messageId, emoji, add, token) => {
+  const path = `/api/messages/${encodeURIComponent(messageId)}/reactions`;
+  const headers = token ? { Authorization: `Bearer ${token}` } : {};
+
+  try {
+    const response = await chatServiceBreaker.execute(
+      async () => {
+        return await retryAxiosRequest(
+          () => add
+            ? chatServiceClient.post(path, { emoji }, { headers })
+            : chatServiceClient.delete(`${path}/${encodeURIComponent(emoji)}`, { headers }),
+          {
+            maxRetries: 2,
+            baseDelay: 500,
+          }
+        );
+      }
+    );
+
+    return response.data?.reactions || response.data?.message?.reactions || [];
+  } catch (error) {
+    logger.error('Failed to update reaction', error, { messageId, add });
+    throw error;
   }
 };
 
+/**
+ * Add the caller's reaction to a message
+ * @see updateReaction
+ */
+export const addReaction = (messageId, emoji, token) => updateReaction(messageId, emoji, true, token);
+
+/**
+ * Remove the caller's reaction from a message
+ * @see updateReaction
+ */
+export const removeReaction = (messageId, emoji, token) => updateReaction(messageId, emoji, false, token);
+
+/**
+ * Fetch one page of messages through the circuit breaker with retry logic
+ *
+ * Pagination is cursor based: `after` / `before` are message IDs and `limit`
+ * is the page size. chat-service returns each page oldest first; when it does
+ * not send `hasMore` / `nextCursor`, they are derived from the page itself.
+ * Paging backwards (`before`, or `backward: true` for the newest page) continues
+ * from the oldest message of the page, forwards from the newest.
+ *
+ * @param {string} path - chat-service path
+ * @param {object} [page] - { after, before, limit, backward }
+ * @param {string} [token] - JWT token for authentication
+ * @returns {Promise<{ messages: object[], hasMore: boolean, nextCursor: string|null }>}
+ * @throws {Error} If chat-service is unavailable or rejects the request
+ */
+const fetchMessagePage = async (path, { after, before, limit, backward = !!before } = {}, token) => {
+  const params = {};
+  if (after) params.after = after;
+  if (before) params.before = before;
+  if (limit) params.limit = limit;
+
+  const response = await chatServiceBreaker.execute(
+    async () => {
+      return await retryAxiosRequest(
+        () => chatServiceClient.get(path, {
+          params,
+          headers: token ? { Authorization: `Bearer ${token}` } : {},
+        }),
+        {
+          maxRetries: 2,
+          baseDelay: 500,
+        }
+      );
+    }
+  );
+
+  const messages = response.data?.messages || [];
+  const edge = backward ? messages[0] : messages[messages.length - 1];
+
+  return {
+    messages,
+    hasMore: response.data?.hasMore ?? (limit ? messages.length >= limit : false),
+    nextCursor: response.data?.nextCursor ?? (edge ? edge._id || edge.id : null),
+  };
+};
+
 /**
  * Retrieve messages between two users with retry logic
  * 
  * @param {string} user1Id - First user ID
  * @param {string} user2Id - Second user ID
  * @param {string} [token] - JWT token for authentication
- * @returns {object} Messages data
+ * @param {object} [page] - Optional pagination ({ after, before, limit })
+ * @returns {object} Messages data ({ messages, count, hasMore, nextCursor })
  */
-export const getMessages = async (user1Id, user2Id, token) => {
+export const getMessages = async (user1Id, user2Id, token, page = {}) => {
   try {
     logger.info('Fetching messages from chat service', {
       user1: user1Id,
       user2: user2Id,
     });
 
-    const response = await retryAxiosRequest(
-      () => chatServiceClient.get(`/api/messages/${user1Id}/${user2Id}`, {
-        headers: token ? { Authorization: `Bearer ${token}` } : {},
-      }),
-      {
-        maxRetries: 2,
-        baseDelay: 500,
-      }
+    const result = await fetchMessagePage(
+      `/api/messages/${encodeURIComponent(user1Id)}/${encodeURIComponent(user2Id)}`,
+      page,
+      token
     );
 
     logger.info('Messages fetched successfully', {
-      count: response.data.messages?.length || 0,
+      count: result.messages.length,
     });
 
-    return response.data;
+    return { ...result, count: result.messages.length };
   } catch (error) {
     logger.error('Failed to fetch messages after retries', error, {
       user1: user1Id,
       user2: user2Id,
     });
 
-    return { messages: [], count: 0 };
+    return { messages: [], count: 0, hasMore: false, nextCursor: null };
+  }
+};
+
+/**
+ * Retrieve one page of a conversation's history through the circuit breaker
+ *
+ * Without a cursor the newest page is returned; `before` pages back in time,
+ * `after` pages forward. Messages in a page are always oldest first.
+ *
+ * @param {object} conversation - { userId, peerId } for private chats or { groupId }
+ * @param {object} [page] - { before, after, limit }
+ * @param {string} [token] - JWT token for authentication
+ * @returns {Promise<{ messages: object[], hasMore: boolean, nextCursor: string|null }>}
+ * @throws {Error} If chat-service is unavailable or rejects the request
+ */
+export const getHistory = async ({ userId, peerId, groupId }, page = {}, token) => {
+  const path = groupId
+    ? `/api/groups/${encodeURIComponent(groupId)}/messages`
+    : `/api/messages/${encodeURIComponent(userId)}/${encodeURIComponent(peerId)}`;
+
+  try {
+    return await fetchMessagePage(
+      path,
+      { before: page.before, after: page.after, limit: page.limit, backward: !page.after },
+      token
+    );
+  } catch (error) {
+    logger.error('Failed to fetch conversation history', error, { userId, peerId, groupId });
+    throw error;
+  }
+};
+
+/**
+ * Retrieve messages addressed to a user that have not been delivered yet
+ * Used to sync a device after it reconnects
+ *
+ * @param {string} userId - Receiving user ID
+ * @param {object} [page] - { after, limit }; `after` is the last message the client has
+ * @param {string} [token] - JWT token for authentication
+ * @returns {Promise<{ messages: object[], hasMore: boolean, nextCursor: string|null }>}
+ * @throws {Error} If chat-service is unavailable
+ */
+export const getUndeliveredMessages = async (userId, page = {}, token) => {
+  try {
+    return await fetchMessagePage(
+      `/api/messages/undelivered/${encodeURIComponent(userId)}`,
+      { after: page.after, limit: page.limit },
+      token
+    );
+  } catch (error) {
+    logger.error('Failed to fetch undelivered messages', error, { userId, after: page.after });
+    throw error;
+  }
+};
+
+/**
+ * Mark messages as delivered in chat-service with retry logic
+ *
+ * @param {string[]} messageIds - Delivered message IDs
+ * @param {string} [token] - JWT token for authentication
+ * @returns {object} chat-service response body
+ * @throws {Error} If chat-service rejects the update or is unavailable
+ */
+export const markMessagesDelivered = async (messageIds, token) => {
+  try {
+    const response = await chatServiceBreaker.execute(
+      async () => {
+        return await retryAxiosRequest(
+          () => chatServiceClient.post('/api/messages/delivered', { message_ids: messageIds }, {
+            headers: token ? { Authorization: `Bearer ${token}` } : {},
+          }),
+          {
+            maxRetries: 2,
+            baseDelay: 500,
+          }
+        );
+      }
+    );
+
+    logger.debug('Messages marked delivered', { count: messageIds.length });
+    return response.data;
+  } catch (error) {
+    logger.error('Failed to mark messages delivered', error, { count: messageIds.length });
+    throw error;
+  }
+};
+
+/**
+ * Record a batch of group read receipts in chat-service with retry logic
+ * Uses service authentication: a batch holds receipts of many users
+ *
+ * @param {Array<{ message_id: string, user_id: string, read_at: string }>} receipts - Receipts to record
+ * @returns {object} chat-service response body ({ messages: [{ message_id, read_count, member_count }] })
+ * @throws {Error} If chat-service rejects the batch or is unavailable
+ */
+export const recordReadReceipts = async (receipts) => {
+  try {
+    const response = await chatServiceBreaker.execute(
+      async () => {
+        return await retryAxiosRequest(
+          () => chatServiceClient.post('/api/messages/receipts', { receipts }),
+          {
+            maxRetries: 2,
+            baseDelay: 500,
+          }
+        );
+      }
+    );
+
+    logger.debug('Read receipts recorded', { count: receipts.length });
+    return response.data;
+  } catch (error) {
+    logger.error('Failed to record read receipts', error, { count: receipts.length });
+    throw error;
+  }
+};
+
+/**
+ * Retrieve who has read a message with retry logic
+ *
+ * @param {string} messageId - Message ID
+ * @param {string} [token] - JWT token for authentication
+ * @returns {Promise<{ readers: Array<{ user_id: string, read_at: string }>, read_count: number, member_count: number|null }>}
+ * @throws {Error} If chat-service is unavailable
+ */
+export const getReadReceipts = async (messageId, token) => {
+  try {
+    const response = await chatServiceBreaker.execute(
+      async () => {
+        return await retryAxiosRequest(
+          () => chatServiceClient.get(`/api/messages/${encodeURIComponent(messageId)}/receipts`, {
+            headers: token ? { Authorization: `Bearer ${token}` } : {},
+          }),
+          {
+            maxRetries: 2,
+            baseDelay: 500,
+          }
+        );
+      }
+    );
+
+    const readers = response.data?.readers || [];
+    return {
+      readers,
+      read_count: response.data?.read_count ?? readers.length,
+      member_count: response.data?.member_count ?? null,
+    };
+  } catch (error) {
+    logger.error('Failed to fetch read receipts', error, { messageId });
+    throw error;
+  }
+};
+
+/**
+ * Retrieve a single message by ID with retry logic
+ * Used to verify ownership and conversation before acting on a message
+ *
+ * @param {string} messageId - Message ID
+ * @param {string} [token] - JWT token for authentication
+ * @returns {object|null} The message, or null if it does not exist
+ * @throws {Error} If chat-service is unavailable
+ */
+export const getMessageById = async (messageId, token) => {
+  try {
+    const response = await chatServiceBreaker.execute(
+      async () => {
+        return await retryAxiosRequest(
+          () => chatServiceClient.get(`/api/messages/${encodeURIComponent(messageId)}`, {
+            headers: token ? { Authorization: `Bearer ${token}` } : {},
+          }),
+          {
+            maxRetries: 2,
+            baseDelay: 500,
+          }
+        );
+      }
+    );
+
+    return response.data?.message || response.data || null;
+  } catch (error) {
+    // A missing message is an answer, not a failure
+    if (error.response?.status === 404) {
+      return null;
+    }
+
+    logger.error('Failed to fetch message', error, { messageId });
+    throw error;
+  }
+};
+
+/**
+ * Delete a message through the chat-service with retry logic
+ *
+ * Architecture Decision:
+ * - 'for_me' hides the message for the requesting user only
+ * - 'for_everyone' removes it for every participant
+ * - chat-service remains the authority and may still reject the request
+ *
+ * @param {string} messageId - Message ID
+ * @param {string} mode - 'for_me' or 'for_everyone'
+ * @param {string} [token] - JWT token for authentication
+ * @returns {object} chat-service response body
+ * @throws {Error} If chat-service rejects the deletion or is unavailable
+ */
+export const deleteMessage = async (messageId, mode, token) => {
+  try {
+    logger.info('Deleting message via chat service', { messageId, mode });
+
+    const response = await chatServiceBreaker.execute(
+      async () => {
+        return await retryAxiosRequest(
+          () => chatServiceClient.delete(`/api/messages/${encodeURIComponent(messageId)}`, {
+            params: { mode },
+            headers: token ? { Authorization: `Bearer ${token}` } : {},
+          }),
+          {
+            maxRetries: 2,
+            baseDelay: 500,
+          }
+        );
+      }
+    );
+
+    logger.info('Message deleted successfully', { messageId, mode });
+    return response.data;
+  } catch (error) {
+    logger.error('Failed to delete message', error, { messageId, mode });
+    throw error;
   }
 };
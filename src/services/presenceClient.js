@@ -8,6 +8,7 @@ import { createCircuitBreaker } from '../utils/retry.js';
 dotenv.config();
 
 const PRESENCE_ENGINE_URL = process.env.PRESENCE_ENGINE_URL || 'http://localhost:8003';
+const PRESENCE_ENGINE_AUDIENCE = process.env.PRESENCE_ENGINE_AUDIENCE || 'presence-engine';
 const logger = createLogger('Presence');
 
 const presenceClient = axios.create({
@@ -19,7 +20,7 @@ const presenceClient = axios.create({
 });
 
 // Attach service authentication to all requests
-attachServiceAuth(presenceClient);
+attachServiceAuth(presenceClient, PRESENCE_ENGINE_AUDIENCE);
 
 // Create circuit breaker for presence engine
 const presenceBreaker = createCircuitBreaker('PresenceEngine', {
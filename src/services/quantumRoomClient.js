@@ -5,6 +5,7 @@ import { getServiceAuthHeader } from '../utils/serviceAuth.js';
 import { createCircuitBreaker } from '../utils/retry.js';
 
 const QUANTUM_ROOM_ENGINE_URL = process.env.QUANTUM_ROOM_ENGINE_URL || 'http://localhost:3004';
+const QUANTUM_ROOM_ENGINE_AUDIENCE = process.env.QUANTUM_ROOM_ENGINE_AUDIENCE || 'quantum-room-engine';
 const logger = createLogger('QuantumRoom');
 
 // Create circuit breaker for quantum room engine
@@ -36,7 +37,7 @@ export const sendQuantumRoomEvent = async (roomId, userId, eventType, metadata =
           },
           {
             timeout: TIMEOUTS.QUANTUM_ROOM_TIMEOUT,
-            headers: getServiceAuthHeader()
+            headers: getServiceAuthHeader(QUANTUM_ROOM_ENGINE_AUDIENCE)
           }
         );
       },
@@ -70,7 +71,7 @@ export const getRoomAura = async (roomId) => {
           `${QUANTUM_ROOM_ENGINE_URL}/quantum-room/aura/${roomId}`,
           { 
             timeout: TIMEOUTS.QUANTUM_ROOM_TIMEOUT,
-            headers: getServiceAuthHeader()
+            headers: getServiceAuthHeader(QUANTUM_ROOM_ENGINE_AUDIENCE)
           }
         );
       },
@@ -102,7 +103,7 @@ export const getRoomInsight = async (roomId) => {
           `${QUANTUM_ROOM_ENGINE_URL}/quantum-room/insight/${roomId}`,
           { 
             timeout: TIMEOUTS.QUANTUM_ROOM_TIMEOUT,
-            headers: getServiceAuthHeader()
+            headers: getServiceAuthHeader(QUANTUM_ROOM_ENGINE_AUDIENCE)
           }
         );
       },
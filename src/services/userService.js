@@ -15,6 +15,7 @@
 
 import { authServiceClient } from '../config/apiGateway.js';
 import { retryAxiosRequest, createCircuitBreaker } from '../utils/retry.js';
+import { PRIVACY_SETTINGS } from '../utils/validation.js';
 import { serviceLogger } from '../middleware/logger.js';
 
 const logger = serviceLogger('UserService');
@@ -26,13 +27,49 @@ const authServiceBreaker = createCircuitBreaker('AuthService', {
   monitorInterval: 10000,
 });
 
+const PRIVACY_CACHE_TTL = parseInt(process.env.PRIVACY_CACHE_TTL || '60000', 10);
+const PRIVACY_STALE_TTL = parseInt(process.env.PRIVACY_STALE_TTL || '600000', 10);
+const PRIVACY_CACHE_MAX_ENTRIES = parseInt(process.env.PRIVACY_CACHE_MAX_ENTRIES || '10000', 10);
+
+// Everything is shared unless the user turned it off
+const DEFAULT_PRIVACY_SETTINGS = Object.freeze(
+  Object.fromEntries(PRIVACY_SETTINGS.map(setting => [setting, true]))
+);
+
+// Used when auth-service can't answer: share nothing rather than too much
+const RESTRICTED_PRIVACY_SETTINGS = Object.freeze(
+  Object.fromEntries(PRIVACY_SETTINGS.map(setting => [setting, false]))
+);
+
+/**
+ * Privacy settings cache
+ * Format: Map<userId, { settings: object, cachedAt: number }>
+ * Entries younger than PRIVACY_CACHE_TTL are served directly; entries
+ * younger than PRIVACY_STALE_TTL are only used while auth-service is down.
+ */
+const privacyCache = new Map();
+
+/**
+ * Lookups in flight, so a burst of checks for one user makes one request
+ * Format: Map<userId, Promise<object>>
+ */
+const privacyRequests = new Map();
+
+const normalizePrivacySettings = (data = {}) => Object.fromEntries(
+  PRIVACY_SETTINGS.map(setting => [setting, data[setting] ?? DEFAULT_PRIVACY_SETTINGS[setting]])
+);
+
 /**
  * Updates user online/offline status via auth-service HTTP API
  * 
  * @param {string} userId - User ID to update
- * @param {string} status - New status: 'online', 'offline', or 'away'
+ * @param {string} status - New status: 'online', 'away', 'busy', 'invisible' or 'offline'
+ * @param {object} [options]
+ * @param {object|null} [options.customStatus] - Custom status ({ text, emoji, expires_at }),
+ *   null to clear it; left unchanged when omitted
+ * @param {Date} [options.lastSeen] - When the user was last online (default: now)
  */
-export const updateUserStatus = async (userId, status) => {
+export const updateUserStatus = async (userId, status, { customStatus, lastSeen } = {}) => {
   try {
     logger.info('Updating user status via auth-service', { userId, status });
     
@@ -41,7 +78,8 @@ export const updateUserStatus = async (userId, status) => {
         return await retryAxiosRequest(
           () => authServiceClient.patch(`/api/users/${userId}/status`, { 
             status,
-            lastSeen: new Date()
+            lastSeen: lastSeen || new Date(),
+            ...(customStatus !== undefined && { customStatus }),
           }),
           { 
             maxRetries: 2, 
@@ -98,3 +136,148 @@ export const getUserById = async (userId) => {
     return null;
   }
 };
+
+/**
+ * Store privacy settings in the cache (e.g. announced by another gateway instance)
+ *
+ * @param {string} userId - User ID
+ * @param {object} settings - Privacy settings
+ * @returns {object} The normalized settings
+ */
+export const cachePrivacySettings = (userId, settings) => {
+  const normalized = normalizePrivacySettings(settings);
+
+  // Re-insert so the Map keeps entries in least-recently-written order
+  privacyCache.delete(userId);
+  privacyCache.set(userId, { settings: normalized, cachedAt: Date.now() });
+
+  if (privacyCache.size > PRIVACY_CACHE_MAX_ENTRIES) {
+    privacyCache.delete(privacyCache.keys().next().value);
+  }
+  return normalized;
+};
+
+/**
+ * Fall back to recent cached settings while auth-service is unavailable
+ */
+const useStalePrivacySettings = (userId, cached) => {
+  if (cached && Date.now() - cached.cachedAt < PRIVACY_STALE_TTL) {
+    logger.warn('Using stale privacy settings while auth-service is unavailable', { userId });
+    return cached.settings;
+  }
+  return RESTRICTED_PRIVACY_SETTINGS;
+};
+
+/**
+ * Check whether settings are the restricted fallback used while auth-service
+ * can't answer, i.e. the user's real settings are unknown
+ *
+ * @param {object} settings - Result of getPrivacySettings()
+ * @returns {boolean}
+ */
+export const isPrivacyFallback = (settings) => settings === RESTRICTED_PRIVACY_SETTINGS;
+
+/**
+ * The last settings auth-service returned for a user, however old
+ * Only for decisions that must not flip while auth-service is down (presence
+ * announcements); everything else fails closed through getPrivacySettings()
+ *
+ * @param {string} userId - User ID
+ * @returns {object|null} Settings, or null if never fetched (or evicted)
+ */
+export const getLastKnownPrivacySettings = (userId) => privacyCache.get(userId)?.settings ?? null;
+
+/**
+ * Fetches a user's privacy settings via auth-service HTTP API (cached)
+ *
+ * Architecture Decision:
+ * - Checked on every receipt, typing indicator and presence broadcast, so
+ *   answers are cached and concurrent lookups for one user are shared
+ * - Fails closed: without a fresh (or recent cached) answer nothing is shared;
+ *   callers that must not act on a guess check isPrivacyFallback()
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} Settings keyed by PRIVACY_SETTINGS (true = shared)
+ */
+export const getPrivacySettings = async (userId) => {
+  const cached = privacyCache.get(userId);
+  if (cached && Date.now() - cached.cachedAt < PRIVACY_CACHE_TTL) {
+    return cached.settings;
+  }
+
+  if (privacyRequests.has(userId)) {
+    return privacyRequests.get(userId);
+  }
+
+  const request = (async () => {
+    try {
+      const response = await authServiceBreaker.execute(
+        async () => {
+          try {
+            return await retryAxiosRequest(
+              () => authServiceClient.get(`/api/users/${encodeURIComponent(userId)}/privacy`),
+              { maxRetries: 1, baseDelay: 200 }
+            );
+          } catch (error) {
+            // No stored preferences is an answer: the defaults apply
+            if (error.response?.status === 404) {
+              return { data: DEFAULT_PRIVACY_SETTINGS };
+            }
+            throw error;
+          }
+        },
+        // Fallback function if circuit is open
+        () => {
+          logger.warn('Auth service unavailable, privacy settings unknown', { userId });
+          return null;
+        }
+      );
+
+      if (!response) {
+        return useStalePrivacySettings(userId, cached);
+      }
+      return cachePrivacySettings(userId, response.data?.privacy || response.data);
+    } catch (error) {
+      logger.error('Failed to fetch privacy settings', { userId, error: error.message });
+      return useStalePrivacySettings(userId, cached);
+    } finally {
+      privacyRequests.delete(userId);
+    }
+  })();
+
+  privacyRequests.set(userId, request);
+  return request;
+};
+
+/**
+ * Updates a user's privacy settings via auth-service HTTP API
+ *
+ * @param {string} userId - User ID
+ * @param {object} changes - Settings to change (subset of PRIVACY_SETTINGS)
+ * @param {string} [token] - The user's JWT token
+ * @returns {Promise<object>} The user's full settings after the update
+ * @throws {Error} If auth-service rejects the update or is unavailable
+ */
+export const updatePrivacySettings = async (userId, changes, token) => {
+  try {
+    const response = await authServiceBreaker.execute(
+      async () => {
+        return await retryAxiosRequest(
+          () => authServiceClient.patch(`/api/users/${encodeURIComponent(userId)}/privacy`, changes, {
+            headers: token ? { Authorization: `Bearer ${token}` } : {},
+          }),
+          { maxRetries: 2, baseDelay: 500 }
+        );
+      }
+    );
+
+    const previous = privacyCache.get(userId)?.settings || DEFAULT_PRIVACY_SETTINGS;
+    const settings = cachePrivacySettings(userId, { ...previous, ...changes, ...(response.data?.privacy || response.data) });
+
+    logger.info('Privacy settings updated', { userId, changes });
+    return settings;
+  } catch (error) {
+    logger.error('Failed to update privacy settings', { userId, error: error.message });
+    throw error;
+  }
+};
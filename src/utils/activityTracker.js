@@ -0,0 +1,132 @@
+/**
+ * Activity Tracker
+ *
+ * Notices when a device stops being used, so its user can be shown as away.
+ *
+ * Architecture Decision:
+ * - Per socket, on the instance that owns it: clients send 'activity'
+ *   heartbeats (sending messages and typing count too); a socket without
+ *   activity for PRESENCE_IDLE_TIMEOUT ms becomes idle
+ * - The tracker only detects transitions; whether the user is away (every
+ *   device idle) is decided by the presence handlers from the presence store
+ * - One sweep every PRESENCE_IDLE_CHECK_INTERVAL ms instead of a timer per socket
+ */
+
+import { createLogger } from '../middleware/logger.js';
+
+const logger = createLogger('Activity');
+
+const PRESENCE_IDLE_TIMEOUT = parseInt(process.env.PRESENCE_IDLE_TIMEOUT || '300000', 10);
+const PRESENCE_IDLE_CHECK_INTERVAL = parseInt(process.env.PRESENCE_IDLE_CHECK_INTERVAL || '30000', 10);
+
+/**
+ * Sockets connected to this instance
+ * Format: Map<socketId, { userId, lastActivityAt, idle }>
+ */
+const sockets = new Map();
+
+let onIdleFn = null;
+let checkInterval = null;
+
+/**
+ * Start tracking a socket (active on connect)
+ *
+ * @param {string} socketId - Socket ID
+ * @param {string} userId - User ID
+ */
+export const trackActivity = (socketId, userId) => {
+  sockets.set(socketId, { userId, lastActivityAt: Date.now(), idle: false });
+};
+
+/**
+ * Stop tracking a socket (on disconnect)
+ *
+ * @param {string} socketId - Socket ID
+ */
+export const untrackActivity = (socketId) => {
+  sockets.delete(socketId);
+};
+
+/**
+ * Record activity on a socket
+ *
+ * @param {string} socketId - Socket ID
+ * @returns {boolean} True if the socket was idle and is now active again
+ */
+export const recordActivity = (socketId) => {
+  const entry = sockets.get(socketId);
+  if (!entry) {
+    return false;
+  }
+
+  entry.lastActivityAt = Date.now();
+  if (!entry.idle) {
+    return false;
+  }
+  entry.idle = false;
+  return true;
+};
+
+/**
+ * Mark a socket idle before its timeout (e.g. the client reports a locked screen)
+ *
+ * @param {string} socketId - Socket ID
+ * @returns {boolean} True if the socket was active and is now idle
+ */
+export const recordIdle = (socketId) => {
+  const entry = sockets.get(socketId);
+  if (!entry || entry.idle) {
+    return false;
+  }
+  entry.idle = true;
+  return true;
+};
+
+/**
+ * Mark sockets without recent activity idle
+ */
+const checkIdleSockets = () => {
+  const cutoff = Date.now() - PRESENCE_IDLE_TIMEOUT;
+
+  for (const [socketId, entry] of sockets) {
+    if (entry.idle || entry.lastActivityAt > cutoff) {
+      continue;
+    }
+    entry.idle = true;
+
+    Promise.resolve()
+      .then(() => onIdleFn?.({ socketId, userId: entry.userId }))
+      .catch(error => {
+        logger.error('Failed to handle idle socket', error, { socketId, userId: entry.userId });
+      });
+  }
+};
+
+/**
+ * Start detecting idle sockets
+ *
+ * @param {Function} onIdle - async ({ socketId, userId }) => void; called once per transition to idle
+ */
+export const startActivityTracker = (onIdle) => {
+  onIdleFn = onIdle;
+
+  clearInterval(checkInterval);
+  checkInterval = setInterval(checkIdleSockets, PRESENCE_IDLE_CHECK_INTERVAL);
+};
+
+/**
+ * Stop detecting idle sockets - call on server shutdown
+ */
+export const stopActivityTracker = () => {
+  clearInterval(checkInterval);
+  checkInterval = null;
+};
+
+export default {
+  trackActivity,
+  untrackActivity,
+  recordActivity,
+  recordIdle,
+  startActivityTracker,
+  stopActivityTracker,
+};
@@ -0,0 +1,282 @@
+/**
+ * Message Expiry Scheduler
+ *
+ * Fires the deletion of Live Thought Mode messages (`expires_at`).
+ *
+ * Architecture Decision:
+ * ──────────────────────
+ * • Durable: jobs live in the expiry store (file journal or Redis) and are
+ *   reloaded on startup, so restarts and deploys don't lose deletions
+ * • One timer: a hashed timing wheel advanced by a single interval instead of
+ *   one setTimeout per message; only jobs due within the load horizon are
+ *   kept in memory, later ones are picked up by the periodic refresh
+ * • Multi-instance: the refresh also loads jobs scheduled by other instances;
+ *   the store's claim makes sure each job runs once
+ * • At least once: a job is removed from the store only after the expiry
+ *   handler succeeded; failures are retried after EXPIRY_RETRY_DELAY
+ *
+ * Timing wheel:
+ * • WHEEL_SLOTS slots of EXPIRY_TICK_MS each; a job goes into the slot
+ *   `ticks` ahead of the cursor, with `rounds` full turns still to wait
+ */
+
+import { createLogger } from '../middleware/logger.js';
+
+const logger = createLogger('ExpiryScheduler');
+
+// Configuration from environment variables
+const EXPIRY_TICK_MS = parseInt(process.env.EXPIRY_TICK_MS || '1000', 10);
+const EXPIRY_REFRESH_INTERVAL = parseInt(process.env.EXPIRY_REFRESH_INTERVAL || '30000', 10);
+const EXPIRY_RETRY_DELAY = parseInt(process.env.EXPIRY_RETRY_DELAY || '30000', 10);
+const EXPIRY_MAX_ATTEMPTS = parseInt(process.env.EXPIRY_MAX_ATTEMPTS || '10', 10);
+
+// Number of slots in the wheel (one turn = WHEEL_SLOTS × EXPIRY_TICK_MS)
+const WHEEL_SLOTS = 512;
+
+// Jobs due within this window are held in the wheel
+const LOAD_HORIZON = EXPIRY_REFRESH_INTERVAL * 2;
+
+// How long a claimed job is reserved for this instance
+const CLAIM_LEASE_MS = 60000;
+
+/**
+ * Wheel slots
+ * Format: Array<Map<messageId, { job, rounds }>>
+ */
+const slots = Array.from({ length: WHEEL_SLOTS }, () => new Map());
+
+/**
+ * Slot holding each scheduled job
+ * Format: Map<messageId, slotIndex>
+ */
+const slotIndex = new Map();
+
+/**
+ * Jobs currently being run, so a refresh doesn't schedule them again
+ */
+const running = new Set();
+
+let cursor = 0;
+let store = null;
+let expireFn = null;
+let tickInterval = null;
+let refreshInterval = null;
+
+/**
+ * Build a job from a saved message
+ */
+const toJob = (message) => ({
+  messageId: message._id || message.id,
+  expiresAt: new Date(message.expires_at).getTime(),
+  senderId: message.sender_id,
+  receiverId: message.receiver_id || null,
+  groupId: message.group_id || null,
+  attempts: 0,
+  notified: false,
+});
+
+const unschedule = (messageId) => {
+  const slot = slotIndex.get(messageId);
+  if (slot !== undefined) {
+    slots[slot].delete(messageId);
+    slotIndex.delete(messageId);
+  }
+};
+
+/**
+ * Put a job into the wheel (overdue jobs fire on the next tick)
+ */
+const schedule = (job) => {
+  unschedule(job.messageId);
+
+  const ticks = Math.max(1, Math.ceil((job.expiresAt - Date.now()) / EXPIRY_TICK_MS));
+  const slot = (cursor + ticks) % WHEEL_SLOTS;
+
+  slots[slot].set(job.messageId, { job, rounds: Math.floor((ticks - 1) / WHEEL_SLOTS) });
+  slotIndex.set(job.messageId, slot);
+};
+
+/**
+ * Run the expiry handler for a due job (at most once at a time per job)
+ */
+const runJob = async (job) => {
+  if (running.has(job.messageId)) {
+    return;
+  }
+  running.add(job.messageId);
+
+  try {
+    if (!(await store.claim(job.messageId, CLAIM_LEASE_MS))) {
+      return; // Another instance runs it, or it was cancelled
+    }
+    await execute(job);
+  } finally {
+    running.delete(job.messageId);
+  }
+};
+
+/**
+ * Expire a claimed job, or store it again for a retry
+ */
+const execute = async (job) => {
+  try {
+    await expireFn(job);
+    await store.remove(job.messageId);
+    logger.debug('Message expired', { messageId: job.messageId, groupId: job.groupId });
+  } catch (error) {
+    const attempts = job.attempts + 1;
+
+    if (attempts >= EXPIRY_MAX_ATTEMPTS) {
+      logger.error('Giving up on expired message', error, { messageId: job.messageId, attempts });
+      await store.remove(job.messageId);
+      return;
+    }
+
+    // Clients were notified before the failure; retries only repeat the rest
+    const retry = { ...job, attempts, notified: true, expiresAt: Date.now() + EXPIRY_RETRY_DELAY };
+    logger.warn('Message expiry failed, retrying', { messageId: job.messageId, attempts, error: error.message });
+    await store.add(retry);
+    schedule(retry);
+  }
+};
+
+/**
+ * Advance the wheel one slot and run the jobs whose last round is over
+ */
+const tick = () => {
+  cursor = (cursor + 1) % WHEEL_SLOTS;
+
+  for (const [messageId, entry] of slots[cursor]) {
+    if (entry.rounds > 0) {
+      entry.rounds--;
+      continue;
+    }
+
+    slots[cursor].delete(messageId);
+    slotIndex.delete(messageId);
+
+    runJob(entry.job).catch(error => {
+      logger.error('Expiry job failed', error, { messageId });
+    });
+  }
+};
+
+/**
+ * Load jobs due within the horizon into the wheel
+ * (jobs scheduled later, or by other instances)
+ */
+const refresh = async () => {
+  const jobs = await store.loadDue(Date.now() + LOAD_HORIZON);
+  for (const job of jobs) {
+    if (!slotIndex.has(job.messageId) && !running.has(job.messageId)) {
+      schedule(job);
+    }
+  }
+  return jobs.length;
+};
+
+/**
+ * Schedule the deletion of a saved message with expires_at
+ *
+ * @param {object} message - Saved message (with its persisted ID)
+ * @returns {Promise<boolean>} Whether a job was scheduled
+ * @throws {Error} If the scheduler is not started or the store write fails
+ */
+export const scheduleExpiry = async (message) => {
+  if (!message?.expires_at) {
+    return false;
+  }
+  if (!store) {
+    throw new Error('Expiry scheduler is not started');
+  }
+
+  const job = toJob(message);
+  if (!job.messageId || Number.isNaN(job.expiresAt)) {
+    logger.warn('Cannot schedule expiry for message', { messageId: job.messageId, expires_at: message.expires_at });
+    return false;
+  }
+
+  await store.add(job);
+  if (job.expiresAt <= Date.now() + LOAD_HORIZON) {
+    schedule(job);
+  }
+  return true;
+};
+
+/**
+ * Cancel a scheduled expiry (e.g. the message was deleted by the sender)
+ *
+ * @param {string} messageId - Message ID
+ */
+export const cancelExpiry = async (messageId) => {
+  unschedule(messageId);
+  if (store) {
+    await store.remove(messageId);
+  }
+};
+
+/**
+ * Start the scheduler: reload stored jobs and start the wheel
+ *
+ * @param {object} expiryStore - Store from createExpiryStore()
+ * @param {Function} onExpire - async (job) => void; notifies clients (unless
+ *   job.notified) and deletes the message; throwing schedules a retry
+ * @returns {Promise<number>} Number of jobs loaded into the wheel
+ */
+export const startExpiryScheduler = async (expiryStore, onExpire) => {
+  stopExpiryScheduler();
+
+  store = expiryStore;
+  expireFn = onExpire;
+
+  const loaded = await refresh();
+
+  tickInterval = setInterval(tick, EXPIRY_TICK_MS);
+  refreshInterval = setInterval(() => {
+    refresh().catch(error => {
+      logger.error('Failed to load scheduled expiries', error);
+    });
+  }, EXPIRY_REFRESH_INTERVAL);
+
+  logger.info('Expiry scheduler started', { store: store.type, loaded });
+  return loaded;
+};
+
+/**
+ * Stop the scheduler - call on server shutdown
+ * Stored jobs are kept and run after the next start
+ */
+export const stopExpiryScheduler = () => {
+  clearInterval(tickInterval);
+  clearInterval(refreshInterval);
+  tickInterval = null;
+  refreshInterval = null;
+
+  for (const slot of slots) {
+    slot.clear();
+  }
+  slotIndex.clear();
+};
+
+/**
+ * Number of jobs held in the wheel (due within the load horizon)
+ *
+ * @returns {number}
+ */
+export const getScheduledExpiryCount = () => slotIndex.size;
+
+/**
+ * Number of jobs in the expiry store
+ *
+ * @returns {Promise<number>}
+ */
+export const getStoredExpiryCount = async () => (store ? store.count() : 0);
+
+export default {
+  scheduleExpiry,
+  cancelExpiry,
+  startExpiryScheduler,
+  stopExpiryScheduler,
+  getScheduledExpiryCount,
+  getStoredExpiryCount,
+};
@@ -0,0 +1,135 @@
+/**
+ * Expiry Store
+ *
+ * Durable storage for scheduled message expiries (Live Thought Mode), so a
+ * restart or deploy doesn't lose pending deletions.
+ *
+ * Store contract (every method may be async):
+ * ───────────────────────────────────────────
+ * • add(job)                  upsert a job { messageId, expiresAt, senderId, receiverId, groupId, attempts, notified }
+ * • remove(messageId)         forget a job (done, given up or cancelled)
+ * • claim(messageId, leaseMs) true if this instance may run the job now;
+ *                             a claim lapses after leaseMs so a crash doesn't lose the job
+ * • loadDue(until)            jobs expiring at or before `until` (ms), soonest first
+ * • count()                   number of stored jobs
+ * • close()                   release resources
+ *
+ * Architecture Decision:
+ * - file: JSON-lines journal on local disk (single instance)
+ * - redis: shared sorted set, so any instance fires jobs scheduled by one
+ *   that has gone away
+ * - The store is the source of truth; the in-memory timer wheel only holds
+ *   jobs due soon and is rebuilt from the store on startup
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createLogger } from '../middleware/logger.js';
+import { createFileJournal } from './fileJournal.js';
+import { createRedisExpiryStore } from './redisExpiryStore.js';
+import { PRESENCE_CONFIG } from '../config/presence.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const logger = createLogger('ExpiryStore');
+
+// Configuration from environment variables
+const EXPIRY_STORE = process.env.EXPIRY_STORE || (PRESENCE_CONFIG.store === 'redis' ? 'redis' : 'file');
+const EXPIRY_DIR = process.env.EXPIRY_DIR || path.join(__dirname, '../../data/expiry');
+
+// Compact once the journal holds this many more lines than stored jobs
+const COMPACTION_SLACK = 1000;
+
+/**
+ * Create an expiry store journaled to local disk
+ *
+ * Journal records:
+ * • { op: 'add', job }
+ * • { op: 'remove', messageId }
+ *
+ * @param {string} [dir] - Directory holding the journal
+ * @returns {object} Expiry store
+ */
+export const createFileExpiryStore = (dir = EXPIRY_DIR) => {
+  const journal = createFileJournal(dir, 'expiry');
+
+  /**
+   * Stored jobs
+   * Format: Map<messageId, job>
+   */
+  const jobs = new Map();
+
+  for (const record of journal.readAll()) {
+    if (record.op === 'add') {
+      jobs.set(record.job.messageId, record.job);
+    } else if (record.op === 'remove') {
+      jobs.delete(record.messageId);
+    }
+  }
+  journal.rewrite(Array.from(jobs.values()).map(job => ({ op: 'add', job })));
+
+  const compactIfNeeded = () => {
+    if (journal.size - jobs.size > COMPACTION_SLACK || (jobs.size === 0 && journal.size > 0)) {
+      journal.rewrite(Array.from(jobs.values()).map(job => ({ op: 'add', job })));
+      logger.debug('Compacted expiry journal', { jobs: jobs.size });
+    }
+  };
+
+  return {
+    type: 'file',
+
+    add(job) {
+      journal.append({ op: 'add', job });
+      jobs.set(job.messageId, job);
+    },
+
+    remove(messageId) {
+      if (!jobs.has(messageId)) {
+        return;
+      }
+      journal.append({ op: 'remove', messageId });
+      jobs.delete(messageId);
+      compactIfNeeded();
+    },
+
+    // Single instance: the journal has no other readers
+    claim: (messageId) => jobs.has(messageId),
+
+    loadDue: (until) => Array.from(jobs.values())
+      .filter(job => job.expiresAt <= until)
+      .sort((a, b) => a.expiresAt - b.expiresAt),
+
+    count: () => jobs.size,
+
+    close() {},
+  };
+};
+
+/**
+ * Create the expiry store selected by EXPIRY_STORE
+ *
+ * @param {object|null} redisClients - Clients from connectRedis() (required for redis)
+ * @returns {object} Expiry store
+ */
+export const createExpiryStore = (redisClients = null) => {
+  if (EXPIRY_STORE === 'redis') {
+    if (!redisClients?.client) {
+      throw new Error('Redis expiry store requires a connected Redis client');
+    }
+    logger.info('Using Redis expiry store');
+    return createRedisExpiryStore(redisClients.client, PRESENCE_CONFIG);
+  }
+
+  if (EXPIRY_STORE !== 'file') {
+    logger.warn('Unknown expiry store, falling back to file', { store: EXPIRY_STORE });
+  }
+
+  logger.info('Using file expiry store', { dir: EXPIRY_DIR });
+  return createFileExpiryStore();
+};
+
+export default {
+  createFileExpiryStore,
+  createExpiryStore,
+};
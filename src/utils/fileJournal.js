@@ -0,0 +1,107 @@
+/**
+ * File Journal Utility
+ *
+ * Append-only JSON-lines journal for small pieces of state that must survive
+ * a gateway restart (queued messages, scheduled jobs, ...).
+ *
+ * Architecture Decision:
+ * - One JSON record per line, appended and fsync'd so a crash loses nothing acknowledged
+ * - Replay on startup rebuilds in-memory state from the records
+ * - Compaction rewrites the journal atomically (temp file + rename) so it doesn't grow forever
+ * - Unparseable lines (e.g. a torn last write) are skipped, not fatal
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createLogger } from '../middleware/logger.js';
+
+const logger = createLogger('FileJournal');
+
+/**
+ * Create a journal stored at `${dir}/${name}.jsonl`
+ *
+ * @param {string} dir - Directory holding the journal (created if missing)
+ * @param {string} name - Journal name
+ * @returns {object} Journal with append, readAll and rewrite
+ */
+export const createFileJournal = (dir, name) => {
+  const filePath = path.join(dir, `${name}.jsonl`);
+  let lineCount = 0;
+
+  fs.mkdirSync(dir, { recursive: true });
+
+  return {
+    path: filePath,
+
+    /**
+     * Number of records appended since the last rewrite (or read on load)
+     */
+    get size() {
+      return lineCount;
+    },
+
+    /**
+     * Durably append a record
+     * @param {object} record - JSON-serializable record
+     */
+    append(record) {
+      const fd = fs.openSync(filePath, 'a');
+      try {
+        fs.writeSync(fd, JSON.stringify(record) + '\n');
+        fs.fsyncSync(fd);
+        lineCount++;
+      } finally {
+        fs.closeSync(fd);
+      }
+    },
+
+    /**
+     * Read every record in append order
+     * @returns {object[]} Records
+     */
+    readAll() {
+      if (!fs.existsSync(filePath)) {
+        lineCount = 0;
+        return [];
+      }
+
+      const records = [];
+      const lines = fs.readFileSync(filePath, 'utf8').split('\n').filter(line => line.trim());
+
+      for (const line of lines) {
+        try {
+          records.push(JSON.parse(line));
+        } catch {
+          logger.warn('Skipping corrupt journal line', { journal: name });
+        }
+      }
+
+      lineCount = lines.length;
+      return records;
+    },
+
+    /**
+     * Atomically replace the journal contents (compaction)
+     * @param {object[]} records - Records to keep
+     */
+    rewrite(records) {
+      const tempPath = `${filePath}.tmp`;
+      const content = records.map(record => JSON.stringify(record) + '\n').join('');
+
+      const fd = fs.openSync(tempPath, 'w');
+      try {
+        fs.writeSync(fd, content);
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+
+      fs.renameSync(tempPath, filePath);
+      lineCount = records.length;
+    },
+  };
+};
+
+export default {
+  createFileJournal,
+};
@@ -0,0 +1,132 @@
+/**
+ * Idempotency Utilities
+ *
+ * Deduplicates client retries of send_message / send_group_message using the
+ * client-supplied `client_msg_id`.
+ *
+ * Architecture Decision:
+ * - Bounded window per sender: only the most recent IDs are remembered, for a limited time
+ * - In-flight requests are shared: a retry that arrives while the original is still
+ *   being saved waits for the same result instead of saving twice
+ * - Failed attempts are forgotten so the client can retry them
+ * - The window is per instance; chat-service also receives the key
+ *   (Idempotency-Key header) and deduplicates across instances
+ */
+
+import { createLogger } from '../middleware/logger.js';
+
+const logger = createLogger('Idempotency');
+
+const IDEMPOTENCY_WINDOW_SIZE = parseInt(process.env.IDEMPOTENCY_WINDOW_SIZE || '200', 10);
+const IDEMPOTENCY_WINDOW_MS = parseInt(process.env.IDEMPOTENCY_WINDOW_MS || '600000', 10); // 10 minutes
+
+/**
+ * Recent client message IDs per sender
+ * Format: Map<senderId, Map<clientMsgId, { promise, result, createdAt }>>
+ * Inner maps keep insertion order, so the first key is the oldest
+ */
+const windows = new Map();
+
+/**
+ * Cleanup expired entries periodically to prevent memory leaks
+ */
+const cleanupInterval = setInterval(() => {
+  const cutoff = Date.now() - IDEMPOTENCY_WINDOW_MS;
+  for (const [senderId, window] of windows.entries()) {
+    for (const [clientMsgId, entry] of window.entries()) {
+      if (entry.createdAt < cutoff) {
+        window.delete(clientMsgId);
+      }
+    }
+    if (window.size === 0) {
+      windows.delete(senderId);
+    }
+  }
+}, 60000); // Cleanup every 60 seconds
+
+/**
+ * Build the key forwarded to chat-service
+ *
+ * @param {string} senderId - Sender user ID
+ * @param {string} clientMsgId - Client message ID
+ * @returns {string} Idempotency key
+ */
+export const buildIdempotencyKey = (senderId, clientMsgId) => `${senderId}:${clientMsgId}`;
+
+/**
+ * Run `fn` at most once per (sender, client message ID) within the window
+ *
+ * @param {string} senderId - Sender user ID
+ * @param {string} [clientMsgId] - Client message ID; without it `fn` always runs
+ * @param {Function} fn - Async function producing the result (e.g. the saved message)
+ * @returns {Promise<{ result: *, duplicate: boolean }>}
+ */
+export const runIdempotent = async (senderId, clientMsgId, fn) => {
+  if (!clientMsgId) {
+    return { result: await fn(), duplicate: false };
+  }
+
+  let window = windows.get(senderId);
+  const existing = window?.get(clientMsgId);
+
+  if (existing && Date.now() - existing.createdAt < IDEMPOTENCY_WINDOW_MS) {
+    logger.info('Duplicate client message ID', { senderId, clientMsgId });
+    return { result: existing.result ?? await existing.promise, duplicate: true };
+  }
+
+  if (!window) {
+    window = new Map();
+    windows.set(senderId, window);
+  }
+
+  const entry = { promise: null, result: undefined, createdAt: Date.now() };
+  entry.promise = Promise.resolve().then(fn);
+
+  window.delete(clientMsgId);
+  window.set(clientMsgId, entry);
+
+  // Bound the window: drop the oldest IDs first
+  while (window.size > IDEMPOTENCY_WINDOW_SIZE) {
+    window.delete(window.keys().next().value);
+  }
+
+  try {
+    entry.result = await entry.promise;
+    return { result: entry.result, duplicate: false };
+  } catch (error) {
+    // Let the client retry a failed send
+    if (window.get(clientMsgId) === entry) {
+      window.delete(clientMsgId);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Replace the remembered result (e.g. a queued message that now has its real ID)
+ *
+ * @param {string} senderId - Sender user ID
+ * @param {string} clientMsgId - Client message ID
+ * @param {*} result - New result returned to future duplicates
+ */
+export const updateIdempotentResult = (senderId, clientMsgId, result) => {
+  const entry = windows.get(senderId)?.get(clientMsgId);
+  if (entry) {
+    entry.result = result;
+  }
+};
+
+/**
+ * Cleanup function - call on server shutdown
+ */
+export const cleanupIdempotency = () => {
+  clearInterval(cleanupInterval);
+  windows.clear();
+};
+
+export default {
+  buildIdempotencyKey,
+  runIdempotent,
+  updateIdempotentResult,
+  cleanupIdempotency,
+};
@@ -0,0 +1,242 @@
+/**
+ * Message Outbox
+ *
+ * Durable queue for messages that could not be saved to chat-service.
+ *
+ * Architecture Decision:
+ * ──────────────────────
+ * • Journal on disk: queued messages survive gateway restarts and deploys
+ * • Temp IDs: clients get a `temp_<uuid>` ID immediately (optimistic UI)
+ * • Replay: queued messages are re-sent in order when chat-service recovers
+ *   (breaker closes) and on a fixed interval as a fallback probe
+ * • Events: 'persisted' maps the temp ID to the real ID, 'dropped' reports
+ *   messages chat-service rejected permanently
+ * • User tokens are never written to disk; replay uses service auth
+ *
+ * Journal records:
+ * • { op: 'enqueue', tempId, message, queuedAt }
+ * • { op: 'ack', tempId, messageId }
+ * • { op: 'drop', tempId, reason }
+ */
+
+import path from 'path';
+import { EventEmitter } from 'events';
+import { fileURLToPath } from 'url';
+import { v4 as uuidv4 } from 'uuid';
+import { createLogger } from '../middleware/logger.js';
+import { ErrorTypes } from '../middleware/errorHandler.js';
+import { createFileJournal } from './fileJournal.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const logger = createLogger('Outbox');
+
+// Configuration from environment variables
+const OUTBOX_DIR = process.env.OUTBOX_DIR || path.join(__dirname, '../../data/outbox');
+const OUTBOX_REPLAY_INTERVAL = parseInt(process.env.OUTBOX_REPLAY_INTERVAL || '15000', 10);
+const OUTBOX_MAX_ENTRIES = parseInt(process.env.OUTBOX_MAX_ENTRIES || '10000', 10);
+
+// Compact once the journal holds this many more lines than pending entries
+const COMPACTION_SLACK = 1000;
+
+/**
+ * Outbox events: 'persisted' ({ tempId, message, savedMessage }),
+ * 'dropped' ({ tempId, message, reason })
+ */
+export const outboxEvents = new EventEmitter();
+
+/**
+ * Pending entries in queue order
+ * Format: Map<tempId, { tempId, message, queuedAt }>
+ */
+const pending = new Map();
+
+let journal = null;
+let persistFn = null;
+let replayInterval = null;
+let replaying = false;
+
+const getJournal = () => {
+  if (!journal) {
+    journal = createFileJournal(OUTBOX_DIR, 'outbox');
+  }
+  return journal;
+};
+
+/**
+ * Rewrite the journal with only the pending entries
+ */
+const compact = () => {
+  const entries = Array.from(pending.values()).map(entry => ({ op: 'enqueue', ...entry }));
+  getJournal().rewrite(entries);
+  logger.debug('Compacted outbox journal', { pending: entries.length });
+};
+
+const compactIfNeeded = () => {
+  if (getJournal().size - pending.size > COMPACTION_SLACK || (pending.size === 0 && getJournal().size > 0)) {
+    compact();
+  }
+};
+
+/**
+ * Rebuild pending entries from the journal (called once on startup)
+ *
+ * @returns {number} Number of messages waiting to be replayed
+ */
+export const loadOutbox = () => {
+  pending.clear();
+
+  for (const record of getJournal().readAll()) {
+    if (record.op === 'enqueue') {
+      const { op, ...entry } = record;
+      pending.set(entry.tempId, entry);
+    } else if (record.op === 'ack' || record.op === 'drop') {
+      pending.delete(record.tempId);
+    }
+  }
+
+  compact();
+
+  if (pending.size > 0) {
+    logger.info('Loaded queued messages from outbox', { pending: pending.size, dir: OUTBOX_DIR });
+  }
+  return pending.size;
+};
+
+/**
+ * Queue a message that could not be saved
+ *
+ * @param {object} message - Message payload as sent to chat-service
+ * @returns {object} Outbox entry ({ tempId, message, queuedAt })
+ * @throws {AppError} UPSTREAM_UNAVAILABLE if the outbox is full
+ * @throws {Error} If the journal cannot be written
+ */
+export const enqueueMessage = (message) => {
+  if (pending.size >= OUTBOX_MAX_ENTRIES) {
+    throw ErrorTypes.SERVICE_UNAVAILABLE('Message outbox is full');
+  }
+
+  const entry = {
+    tempId: `temp_${uuidv4()}`,
+    message,
+    queuedAt: new Date().toISOString(),
+  };
+
+  getJournal().append({ op: 'enqueue', ...entry });
+  pending.set(entry.tempId, entry);
+
+  logger.warn('Message queued in outbox', {
+    tempId: entry.tempId,
+    sender: message.sender_id,
+    pending: pending.size,
+  });
+  return entry;
+};
+
+/**
+ * Re-send queued messages in order
+ * Stops at the first failure that chat-service may recover from, so order is kept
+ *
+ * @returns {Promise<number>} Number of messages persisted
+ */
+export const replayOutbox = async () => {
+  if (replaying || !persistFn || pending.size === 0) {
+    return 0;
+  }
+
+  replaying = true;
+  let persisted = 0;
+
+  try {
+    for (const entry of Array.from(pending.values())) {
+      let savedMessage;
+      try {
+        savedMessage = await persistFn(entry.message);
+      } catch (error) {
+        const status = error.response?.status;
+
+        // chat-service rejected the message itself; retrying won't help
+        if (status >= 400 && status < 500 && ![408, 429].includes(status)) {
+          getJournal().append({ op: 'drop', tempId: entry.tempId, reason: `rejected (${status})` });
+          pending.delete(entry.tempId);
+          logger.error('Dropped queued message rejected by chat-service', error, { tempId: entry.tempId, status });
+          outboxEvents.emit('dropped', { tempId: entry.tempId, message: entry.message, reason: 'rejected' });
+          continue;
+        }
+
+        logger.warn('Outbox replay paused, chat-service still unavailable', {
+          pending: pending.size,
+          error: error.message,
+        });
+        break;
+      }
+
+      const messageId = savedMessage?._id || savedMessage?.id;
+      getJournal().append({ op: 'ack', tempId: entry.tempId, messageId });
+      pending.delete(entry.tempId);
+      persisted++;
+
+      outboxEvents.emit('persisted', { tempId: entry.tempId, message: entry.message, savedMessage });
+    }
+  } finally {
+    replaying = false;
+    compactIfNeeded();
+  }
+
+  if (persisted > 0) {
+    logger.info('Replayed queued messages', { persisted, remaining: pending.size });
+  }
+  return persisted;
+};
+
+/**
+ * Replay now (e.g. when the chat-service circuit breaker closes)
+ */
+export const triggerOutboxReplay = () => {
+  replayOutbox().catch(error => {
+    logger.error('Outbox replay failed', error);
+  });
+};
+
+/**
+ * Start periodic replay of queued messages
+ * Should be called once on server startup
+ *
+ * @param {Function} persist - Async function saving a message, returns the saved message
+ * @returns {NodeJS.Timer} Interval ID for the replay task
+ */
+export const startOutboxReplay = (persist) => {
+  persistFn = persist;
+  replayInterval = setInterval(triggerOutboxReplay, OUTBOX_REPLAY_INTERVAL);
+
+  logger.info('Started outbox replay', { interval: `${OUTBOX_REPLAY_INTERVAL}ms`, dir: OUTBOX_DIR });
+  triggerOutboxReplay();
+  return replayInterval;
+};
+
+/**
+ * Stop periodic replay (called on shutdown)
+ */
+export const stopOutboxReplay = () => {
+  clearInterval(replayInterval);
+  replayInterval = null;
+};
+
+/**
+ * Get number of messages waiting in the outbox (for monitoring)
+ *
+ * @returns {number}
+ */
+export const getOutboxSize = () => pending.size;
+
+export default {
+  outboxEvents,
+  loadOutbox,
+  enqueueMessage,
+  replayOutbox,
+  triggerOutboxReplay,
+  startOutboxReplay,
+  stopOutboxReplay,
+  getOutboxSize,
+};
@@ -15,12 +15,14 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { createLogger as createContextLogger } from './logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const logger = createContextLogger('PersistentLogger');
+// Console only: the structured logger (middleware/logger.js) writes through this module
+const logger = {
+  info: (message, data = null) => console.log('[INFO] [PersistentLogger]', message, data || ''),
+};
 
 // Configuration from environment variables
 const LOG_LEVEL = process.env.LOG_LEVEL || 'info';
@@ -0,0 +1,163 @@
+/**
+ * Presence Store
+ *
+ * Cluster-wide record of which users are online and on which sockets.
+ * The session registry talks to a presence store instead of a Map so the
+ * backend can be swapped without touching the socket handlers.
+ *
+ * Store contract (all methods async):
+ * ───────────────────────────────────
+ * • addSession(userId, session)      → number of sessions the user now has
+ * • removeSession(userId, socketId)  → number of sessions the user has left
+ * • getSessions(userId)              → session entries across all instances
+ * • setSessionIdle(userId, socketId, idle) → mark a session idle / active
+ * • getStatus(userId)                → status chosen by the user, or null
+ * • setStatus(userId, status)        → store (or clear with null) a chosen status
+ * • getLastSeen(userId)              → when the user's last session ended (ms), or null
+ * • setLastSeen(userId, at)          → record when the user's last session ended
+ * • isOnline(userId)                 → boolean
+ * • getOnlineUserIds()               → string[]
+ * • countOnlineUsers()               → number
+ * • heartbeat()                      → report this instance alive
+ * • sweepDeadInstances()             → purge sessions of dead instances
+ *                                      → { sessions, offlineUserIds }
+ * • purgeInstance()                  → remove this instance's sessions
+ * • close()                          → release connections
+ *
+ * Implementations:
+ * • memory: in-process Maps (single gateway instance)
+ * • redis:  any Redis-protocol server (see redisPresenceStore.js)
+ */
+
+import { createLogger } from '../middleware/logger.js';
+import { PRESENCE_CONFIG } from '../config/presence.js';
+import { createRedisPresenceStore } from './redisPresenceStore.js';
+
+const logger = createLogger('PresenceStore');
+
+/**
+ * In-memory presence store
+ * Format: Map<userId, Map<socketId, session>>, Map<userId, status>, Map<userId, lastSeen>
+ *
+ * @returns {object} Presence store
+ */
+export const createMemoryPresenceStore = () => {
+  const users = new Map();
+  const statuses = new Map();
+  const lastSeen = new Map();
+
+  return {
+    type: 'memory',
+
+    async addSession(userId, session) {
+      let userSessions = users.get(userId);
+      if (!userSessions) {
+        userSessions = new Map();
+        users.set(userId, userSessions);
+      }
+      userSessions.set(session.socketId, session);
+      return userSessions.size;
+    },
+
+    async removeSession(userId, socketId) {
+      const userSessions = users.get(userId);
+      if (!userSessions) {
+        return 0;
+      }
+      userSessions.delete(socketId);
+      if (userSessions.size === 0) {
+        users.delete(userId);
+      }
+      return userSessions.size;
+    },
+
+    async getSessions(userId) {
+      const userSessions = users.get(userId);
+      return userSessions ? Array.from(userSessions.values()) : [];
+    },
+
+    async setSessionIdle(userId, socketId, idle) {
+      const session = users.get(userId)?.get(socketId);
+      if (session) {
+        session.idle = idle;
+      }
+    },
+
+    async getStatus(userId) {
+      return statuses.get(userId) || null;
+    },
+
+    async setStatus(userId, status) {
+      if (status) {
+        statuses.set(userId, status);
+      } else {
+        statuses.delete(userId);
+      }
+    },
+
+    async getLastSeen(userId) {
+      return lastSeen.get(userId) ?? null;
+    },
+
+    async setLastSeen(userId, at) {
+      lastSeen.set(userId, at);
+    },
+
+    async isOnline(userId) {
+      return users.has(userId);
+    },
+
+    async getOnlineUserIds() {
+      return Array.from(users.keys());
+    },
+
+    async countOnlineUsers() {
+      return users.size;
+    },
+
+    // Single instance: nothing to report or sweep
+    async heartbeat() {},
+
+    async sweepDeadInstances() {
+      return { sessions: 0, offlineUserIds: [] };
+    },
+
+    async purgeInstance() {
+      users.clear();
+    },
+
+    async close() {
+      users.clear();
+      statuses.clear();
+      lastSeen.clear();
+    },
+  };
+};
+
+/**
+ * Create the presence store selected by PRESENCE_STORE
+ *
+ * @param {object} [redisClients] - Clients from connectRedis() when using redis
+ * @returns {object} Presence store
+ */
+export const createPresenceStore = (redisClients = null) => {
+  if (PRESENCE_CONFIG.store === 'redis') {
+    if (!redisClients?.client) {
+      throw new Error('Redis presence store requires a connected Redis client');
+    }
+    logger.info('Using Redis presence store', { instanceId: PRESENCE_CONFIG.instanceId });
+    return createRedisPresenceStore(redisClients.client, PRESENCE_CONFIG);
+  }
+
+  if (PRESENCE_CONFIG.store !== 'memory') {
+    logger.warn('Unknown presence store, falling back to memory', { store: PRESENCE_CONFIG.store });
+  }
+
+  logger.info('Using in-memory presence store');
+  return createMemoryPresenceStore();
+};
+
+export default {
+  createMemoryPresenceStore,
+  createPresenceStore,
+};
@@ -5,6 +5,7 @@
  */
 
 import { createLogger } from '../middleware/logger.js';
+import { ErrorTypes, handleSocketError } from '../middleware/errorHandler.js';
 
 const logger = createLogger('RateLimit');
 
@@ -37,10 +38,13 @@ const cleanupInterval = setInterval(() => {
  * 
  * Usage:
  * const checkLimit = createRateLimiter('send_message', { maxRequests: 10, windowMs: 60000 });
- * socket.on('send_message', (data) => {
- *   if (!checkLimit(socket)) return;
+ * socket.on('send_message', withAck(socket, 'send_message', async (data, respond) => {
+ *   if (!checkLimit(socket, respond)) return;
  *   // Handle the event...
- * });
+ * }));
+ *
+ * Rejections are reported with code RATE_LIMITED and details { limit, window_ms, retry_after_ms };
+ * when a responder is passed, the rejection is also acknowledged.
  */
 export const createRateLimiter = (eventName, options = {}) => {
   const {
@@ -48,7 +52,7 @@ export const createRateLimiter = (eventName, options = {}) => {
     windowMs = 60000,
   } = options;
 
-  return (socket) => {
+  return (socket, respond = null) => {
     const userId = socket.userId;
     const key = `${userId}:${eventName}`;
     const now = Date.now();
@@ -71,9 +75,15 @@ export const createRateLimiter = (eventName, options = {}) => {
       // Check if limit exceeded
       if (entry.count > maxRequests) {
         logger.warn('Rate limit exceeded', { userId, eventName, limit: maxRequests, window: windowMs });
-        socket.emit('error', {
-          message: `Rate limit exceeded for ${eventName}. Max ${maxRequests} requests per ${Math.round(windowMs / 1000)} seconds.`,
-        });
+        const error = ErrorTypes.RATE_LIMIT_ERROR(
+          `Rate limit exceeded for ${eventName}. Max ${maxRequests} requests per ${Math.round(windowMs / 1000)} seconds.`,
+          { limit: maxRequests, window_ms: windowMs, retry_after_ms: entry.resetTime - now }
+        );
+        if (respond) {
+          respond.error(error);
+        } else {
+          handleSocketError(socket, error, { event: eventName });
+        }
         return false;
       }
     }
@@ -127,6 +137,14 @@ export const rateLimiters = {
     maxRequests: parseInt(process.env.RATE_LIMIT_LEAVE_GROUP || '20', 10),
     windowMs: RATE_LIMIT_WINDOW
   }),
+  subscribe_thread: createRateLimiter('subscribe_thread', {
+    maxRequests: parseInt(process.env.RATE_LIMIT_SUBSCRIBE_THREAD || '30', 10),
+    windowMs: RATE_LIMIT_WINDOW
+  }),
+  unsubscribe_thread: createRateLimiter('unsubscribe_thread', {
+    maxRequests: parseInt(process.env.RATE_LIMIT_UNSUBSCRIBE_THREAD || '30', 10),
+    windowMs: RATE_LIMIT_WINDOW
+  }),
   
   // Status updates
   message_read: createRateLimiter('message_read', { 
@@ -141,10 +159,66 @@ export const rateLimiters = {
     maxRequests: parseInt(process.env.RATE_LIMIT_MESSAGE_READ_STATUS || '100', 10),
     windowMs: RATE_LIMIT_WINDOW
   }),
+  get_message_receipts: createRateLimiter('get_message_receipts', {
+    maxRequests: parseInt(process.env.RATE_LIMIT_GET_MESSAGE_RECEIPTS || '30', 10),
+    windowMs: RATE_LIMIT_WINDOW
+  }),
+  subscribe_presence: createRateLimiter('subscribe_presence', {
+    maxRequests: parseInt(process.env.RATE_LIMIT_SUBSCRIBE_PRESENCE || '30', 10),
+    windowMs: RATE_LIMIT_WINDOW
+  }),
+  unsubscribe_presence: createRateLimiter('unsubscribe_presence', {
+    maxRequests: parseInt(process.env.RATE_LIMIT_UNSUBSCRIBE_PRESENCE || '30', 10),
+    windowMs: RATE_LIMIT_WINDOW
+  }),
+  refresh_token: createRateLimiter('refresh_token', {
+    maxRequests: parseInt(process.env.RATE_LIMIT_REFRESH_TOKEN || '10', 10),
+    windowMs: RATE_LIMIT_WINDOW
+  }),
+  get_last_seen: createRateLimiter('get_last_seen', {
+    maxRequests: parseInt(process.env.RATE_LIMIT_GET_LAST_SEEN || '30', 10),
+    windowMs: RATE_LIMIT_WINDOW
+  }),
+  set_status: createRateLimiter('set_status', {
+    maxRequests: parseInt(process.env.RATE_LIMIT_SET_STATUS || '20', 10),
+    windowMs: RATE_LIMIT_WINDOW
+  }),
+  activity: createRateLimiter('activity', {
+    maxRequests: parseInt(process.env.RATE_LIMIT_ACTIVITY || '60', 10),
+    windowMs: RATE_LIMIT_WINDOW
+  }),
+  update_privacy_settings: createRateLimiter('update_privacy_settings', {
+    maxRequests: parseInt(process.env.RATE_LIMIT_UPDATE_PRIVACY_SETTINGS || '10', 10),
+    windowMs: RATE_LIMIT_WINDOW
+  }),
   delete_message: createRateLimiter('delete_message', { 
     maxRequests: parseInt(process.env.RATE_LIMIT_DELETE_MESSAGE || '20', 10),
     windowMs: RATE_LIMIT_WINDOW
   }),
+  edit_message: createRateLimiter('edit_message', {
+    maxRequests: parseInt(process.env.RATE_LIMIT_EDIT_MESSAGE || '20', 10),
+    windowMs: RATE_LIMIT_WINDOW
+  }),
+
+  // Reactions
+  add_reaction: createRateLimiter('add_reaction', {
+    maxRequests: parseInt(process.env.RATE_LIMIT_ADD_REACTION || '60', 10),
+    windowMs: RATE_LIMIT_WINDOW
+  }),
+  remove_reaction: createRateLimiter('remove_reaction', {
+    maxRequests: parseInt(process.env.RATE_LIMIT_REMOVE_REACTION || '60', 10),
+    windowMs: RATE_LIMIT_WINDOW
+  }),
+
+  // Sync after reconnect & history
+  sync: createRateLimiter('sync', {
+    maxRequests: parseInt(process.env.RATE_LIMIT_SYNC || '10', 10),
+    windowMs: RATE_LIMIT_WINDOW
+  }),
+  fetch_history: createRateLimiter('fetch_history', {
+    maxRequests: parseInt(process.env.RATE_LIMIT_FETCH_HISTORY || '60', 10),
+    windowMs: RATE_LIMIT_WINDOW
+  }),
 };
 
 /**
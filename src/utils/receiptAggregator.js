@@ -0,0 +1,281 @@
+/**
+ * Group Read Receipt Aggregator
+ *
+ * Collects who has read which group message, records the reads in
+ * chat-service in batches and produces per-message read summaries
+ * ("read by 7 of 12") for the sender.
+ *
+ * Architecture Decision:
+ * ──────────────────────
+ * • Bounded memory: at most RECEIPT_MAX_MESSAGES messages are tracked (least
+ *   recently read dropped first) and at most RECEIPT_MAX_PENDING reads wait
+ *   to be flushed (oldest dropped first while chat-service is down)
+ * • Batched: reads are flushed every RECEIPT_FLUSH_INTERVAL ms, or as soon as
+ *   RECEIPT_FLUSH_BATCH_SIZE are waiting; a failed batch is kept for the next flush
+ * • Throttled: a message's summary goes out at most once per
+ *   RECEIPT_SUMMARY_INTERVAL ms, however many members read it meanwhile
+ * • chat-service is the authority: counts it returns for a flushed batch
+ *   (which include reads seen by other instances) replace local counts
+ */
+
+import { createLogger } from '../middleware/logger.js';
+
+const logger = createLogger('Receipts');
+
+// Configuration from environment variables
+const RECEIPT_FLUSH_INTERVAL = parseInt(process.env.RECEIPT_FLUSH_INTERVAL || '2000', 10);
+const RECEIPT_FLUSH_BATCH_SIZE = parseInt(process.env.RECEIPT_FLUSH_BATCH_SIZE || '500', 10);
+const RECEIPT_SUMMARY_INTERVAL = parseInt(process.env.RECEIPT_SUMMARY_INTERVAL || '5000', 10);
+const RECEIPT_MAX_MESSAGES = parseInt(process.env.RECEIPT_MAX_MESSAGES || '10000', 10);
+const RECEIPT_MAX_PENDING = parseInt(process.env.RECEIPT_MAX_PENDING || '50000', 10);
+
+// Readers listed in a summary
+const RECENT_READERS = 5;
+
+/**
+ * Tracked messages, least recently read first
+ * Format: Map<messageId, { messageId, groupId, senderId, readers: Map<userId, readAt>,
+ *                          readCount, memberCount, dirty, lastSummaryAt }>
+ */
+const messages = new Map();
+
+/**
+ * Reads not yet recorded in chat-service, oldest first
+ * Format: Map<"messageId:userId", { message_id, user_id, read_at }>
+ */
+let pending = new Map();
+
+let flushFn = null;
+let summaryFn = null;
+let flushInterval = null;
+let flushing = false;
+
+/**
+ * Get (or start) tracking a message and mark it most recently used
+ */
+const track = ({ messageId, groupId, senderId }) => {
+  let entry = messages.get(messageId);
+
+  if (entry) {
+    messages.delete(messageId);
+  } else {
+    entry = {
+      messageId,
+      groupId,
+      senderId,
+      readers: new Map(),
+      readCount: 0,
+      memberCount: null,
+      dirty: false,
+      lastSummaryAt: 0,
+    };
+  }
+  messages.set(messageId, entry);
+
+  while (messages.size > RECEIPT_MAX_MESSAGES) {
+    messages.delete(messages.keys().next().value);
+  }
+  return entry;
+};
+
+const buildSummary = (entry) => ({
+  message_id: entry.messageId,
+  group_id: entry.groupId,
+  sender_id: entry.senderId,
+  read_count: Math.max(entry.readCount, entry.readers.size),
+  member_count: entry.memberCount,
+  recent_readers: Array.from(entry.readers.keys()).slice(-RECENT_READERS),
+  timestamp: new Date().toISOString(),
+});
+
+/**
+ * Drop the oldest waiting reads beyond RECEIPT_MAX_PENDING
+ */
+const trimPending = () => {
+  let dropped = 0;
+  while (pending.size > RECEIPT_MAX_PENDING) {
+    pending.delete(pending.keys().next().value);
+    dropped++;
+  }
+
+  if (dropped > 0) {
+    logger.warn('Read receipt buffer full, dropped oldest receipts', { dropped, max: RECEIPT_MAX_PENDING });
+  }
+};
+
+/**
+ * Send the summaries of messages read since their last summary
+ */
+const emitSummaries = () => {
+  const now = Date.now();
+
+  for (const entry of messages.values()) {
+    if (!entry.dirty || now - entry.lastSummaryAt < RECEIPT_SUMMARY_INTERVAL) {
+      continue;
+    }
+    entry.dirty = false;
+    entry.lastSummaryAt = now;
+
+    try {
+      summaryFn?.(buildSummary(entry));
+    } catch (error) {
+      logger.error('Failed to send receipt summary', error, { messageId: entry.messageId });
+    }
+  }
+};
+
+/**
+ * Record the oldest waiting reads in chat-service, then send due summaries
+ *
+ * @returns {Promise<number>} Number of reads recorded
+ */
+export const flushReceipts = async () => {
+  if (flushing || !flushFn) {
+    return 0;
+  }
+  if (pending.size === 0) {
+    emitSummaries();
+    return 0;
+  }
+
+  flushing = true;
+  const batch = Array.from(pending.entries()).slice(0, RECEIPT_FLUSH_BATCH_SIZE);
+  for (const [key] of batch) {
+    pending.delete(key);
+  }
+
+  try {
+    const result = await flushFn(batch.map(([, receipt]) => receipt));
+
+    for (const counts of result?.messages || []) {
+      const entry = messages.get(counts.message_id);
+      if (entry) {
+        entry.readCount = counts.read_count ?? entry.readCount;
+        entry.memberCount = counts.member_count ?? entry.memberCount;
+      }
+    }
+    return batch.length;
+  } catch (error) {
+    // Keep the batch ahead of newer reads for the next flush
+    pending = new Map([...batch, ...pending]);
+    trimPending();
+    logger.warn('Failed to flush read receipts, will retry', { count: batch.length, error: error.message });
+    return 0;
+  } finally {
+    flushing = false;
+    emitSummaries();
+  }
+};
+
+/**
+ * Get the tracked conversation of a message, if it has been read recently
+ *
+ * @param {string} messageId - Message ID
+ * @returns {{ groupId: string, senderId: string }|null}
+ */
+export const getTrackedMessage = (messageId) => {
+  const entry = messages.get(messageId);
+  return entry ? { groupId: entry.groupId, senderId: entry.senderId } : null;
+};
+
+/**
+ * Record that a member read a group message
+ *
+ * @param {object} message - { messageId, groupId, senderId } (as stored in chat-service)
+ * @param {string} readerId - Reading user ID
+ * @returns {boolean} False if the read was already recorded (or the reader is the sender)
+ */
+export const recordGroupRead = (message, readerId) => {
+  if (readerId === message.senderId) {
+    return false;
+  }
+
+  const entry = track(message);
+  if (entry.readers.has(readerId)) {
+    return false;
+  }
+
+  const readAt = new Date().toISOString();
+  entry.readers.set(readerId, readAt);
+  entry.dirty = true;
+
+  pending.set(`${message.messageId}:${readerId}`, {
+    message_id: message.messageId,
+    user_id: readerId,
+    read_at: readAt,
+  });
+
+  trimPending();
+
+  if (pending.size >= RECEIPT_FLUSH_BATCH_SIZE) {
+    flushReceipts().catch(error => {
+      logger.error('Read receipt flush failed', error);
+    });
+  }
+  return true;
+};
+
+/**
+ * Reads of a message not yet recorded in chat-service
+ *
+ * @param {string} messageId - Message ID
+ * @returns {Array<{ user_id: string, read_at: string }>}
+ */
+export const getPendingReaders = (messageId) => {
+  const readers = [];
+  for (const receipt of pending.values()) {
+    if (receipt.message_id === messageId) {
+      readers.push({ user_id: receipt.user_id, read_at: receipt.read_at });
+    }
+  }
+  return readers;
+};
+
+/**
+ * Start flushing reads
+ *
+ * @param {Function} flush - async (receipts) => { messages: [{ message_id, read_count, member_count }] }
+ * @param {Function} onSummary - (summary) => void; delivers a summary to the sender
+ */
+export const startReceiptAggregator = (flush, onSummary) => {
+  flushFn = flush;
+  summaryFn = onSummary;
+
+  clearInterval(flushInterval);
+  flushInterval = setInterval(() => {
+    flushReceipts().catch(error => {
+      logger.error('Read receipt flush failed', error);
+    });
+  }, RECEIPT_FLUSH_INTERVAL);
+};
+
+/**
+ * Stop the flush interval and record what is still waiting - call on server shutdown
+ *
+ * @returns {Promise<number>} Number of reads recorded by the final flush
+ */
+export const stopReceiptAggregator = async () => {
+  clearInterval(flushInterval);
+  flushInterval = null;
+  return flushReceipts();
+};
+
+/**
+ * Aggregator sizes for metrics
+ *
+ * @returns {{ tracked: number, pending: number }}
+ */
+export const getReceiptStats = () => ({
+  tracked: messages.size,
+  pending: pending.size,
+});
+
+export default {
+  recordGroupRead,
+  getTrackedMessage,
+  getPendingReaders,
+  flushReceipts,
+  startReceiptAggregator,
+  stopReceiptAggregator,
+  getReceiptStats,
+};
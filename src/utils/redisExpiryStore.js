@@ -0,0 +1,83 @@
+/**
+ * Redis Expiry Store
+ *
+ * Shares scheduled message expiries between gateway instances, so a job is
+ * fired even if the instance that scheduled it is gone.
+ *
+ * Key layout (prefix = PRESENCE_KEY_PREFIX):
+ * ──────────────────────────────────────────
+ * • {prefix}expiry:due                    sorted set  messageId scored by expiresAt (ms)
+ * • {prefix}expiry:jobs                   hash        messageId → job JSON
+ * • {prefix}expiry:claim:{messageId}      string      instance running the job (expires after the lease)
+ *
+ * Architecture Decision:
+ * - Every instance loads jobs that are due soon; the claim key (SET NX PX)
+ *   makes sure only one of them runs each job
+ * - A claim is a lease, not a removal: if the claiming instance dies the
+ *   job stays stored and another instance runs it once the lease lapses
+ */
+
+/**
+ * Create a Redis-backed expiry store
+ *
+ * @param {object} client - Connected node-redis client
+ * @param {object} options - Store configuration
+ * @param {string} options.keyPrefix - Prefix for every key
+ * @param {string} options.instanceId - ID of this gateway instance
+ * @returns {object} Expiry store
+ */
+export const createRedisExpiryStore = (client, { keyPrefix, instanceId }) => {
+  const dueKey = `${keyPrefix}expiry:due`;
+  const jobsKey = `${keyPrefix}expiry:jobs`;
+  const claimKey = (messageId) => `${keyPrefix}expiry:claim:${messageId}`;
+
+  return {
+    type: 'redis',
+
+    async add(job) {
+      // Re-adding (retry) releases this instance's claim so the job can run again
+      await client
+        .multi()
+        .hSet(jobsKey, job.messageId, JSON.stringify(job))
+        .zAdd(dueKey, { score: job.expiresAt, value: job.messageId })
+        .del(claimKey(job.messageId))
+        .exec();
+    },
+
+    async remove(messageId) {
+      await client
+        .multi()
+        .zRem(dueKey, messageId)
+        .hDel(jobsKey, messageId)
+        .del(claimKey(messageId))
+        .exec();
+    },
+
+    async claim(messageId, leaseMs) {
+      const result = await client.set(claimKey(messageId), instanceId, { NX: true, PX: leaseMs });
+      if (result !== 'OK') {
+        return false;
+      }
+      // Cancelled or finished by another instance since it was loaded
+      return (await client.zScore(dueKey, messageId)) !== null;
+    },
+
+    async loadDue(until) {
+      const messageIds = await client.zRangeByScore(dueKey, '-inf', String(until));
+      if (messageIds.length === 0) {
+        return [];
+      }
+      const values = await client.hmGet(jobsKey, messageIds);
+      return values.filter(Boolean).map(value => JSON.parse(value));
+    },
+
+    count: () => client.zCard(dueKey),
+
+    // The client is shared with the presence store, which closes it
+    close() {},
+  };
+};
+
+export default {
+  createRedisExpiryStore,
+};
@@ -0,0 +1,181 @@
+/**
+ * Redis Presence Store
+ *
+ * Shares presence between gateway instances through a Redis-protocol server.
+ * Only plain hash/set commands and MULTI are used so the store also works
+ * against Redis-compatible servers and local stand-ins.
+ *
+ * Key layout (prefix = PRESENCE_KEY_PREFIX):
+ * ──────────────────────────────────────────
+ * • {prefix}presence:user:{userId}        hash  socketId → session JSON
+ * • {prefix}presence:idle:{userId}        set   socketIds of idle sessions
+ * • {prefix}presence:status               hash  userId → chosen status JSON
+ * • {prefix}presence:last_seen            hash  userId → end of the last session (ms)
+ * • {prefix}presence:online               set   userIds with ≥ 1 session
+ * • {prefix}presence:instance:{id}        set   [userId, socketId] owned by an instance
+ * • {prefix}presence:instances            hash  instanceId → last heartbeat (ms)
+ *
+ * Architecture Decision:
+ * - The per-user hash is the source of truth; the online set is an index
+ * - Instances heartbeat so a crashed instance's sessions can be swept by
+ *   the survivors instead of lingering as ghost "online" users
+ */
+
+import { createLogger } from '../middleware/logger.js';
+
+const logger = createLogger('RedisPresence');
+
+/**
+ * Create a Redis-backed presence store
+ *
+ * @param {object} client - Connected node-redis client
+ * @param {object} options - Presence configuration
+ * @param {string} options.keyPrefix - Prefix for every key
+ * @param {string} options.instanceId - ID of this gateway instance
+ * @param {number} options.instanceTtl - Heartbeat age after which an instance is dead (ms)
+ * @returns {object} Presence store
+ */
+export const createRedisPresenceStore = (client, { keyPrefix, instanceId, instanceTtl }) => {
+  const userKey = (userId) => `${keyPrefix}presence:user:${userId}`;
+  const idleKey = (userId) => `${keyPrefix}presence:idle:${userId}`;
+  const statusKey = `${keyPrefix}presence:status`;
+  const lastSeenKey = `${keyPrefix}presence:last_seen`;
+  const onlineKey = `${keyPrefix}presence:online`;
+  const instanceKey = (id) => `${keyPrefix}presence:instance:${id}`;
+  const instancesKey = `${keyPrefix}presence:instances`;
+
+  const removeSession = async (userId, socketId, ownerId = instanceId) => {
+    const [, , , remaining] = await client
+      .multi()
+      .hDel(userKey(userId), socketId)
+      .sRem(idleKey(userId), socketId)
+      .sRem(instanceKey(ownerId), JSON.stringify([userId, socketId]))
+      .hLen(userKey(userId))
+      .exec();
+
+    if (Number(remaining) === 0) {
+      await client.sRem(onlineKey, userId);
+    }
+    return Number(remaining);
+  };
+
+  // Remove an instance's sessions; returns the users left without sessions
+  const purge = async (id) => {
+    const members = await client.sMembers(instanceKey(id));
+    const offlineUserIds = new Set();
+    for (const member of members) {
+      const [userId, socketId] = JSON.parse(member);
+      if (await removeSession(userId, socketId, id) === 0) {
+        offlineUserIds.add(userId);
+      }
+    }
+    await client.multi().del(instanceKey(id)).hDel(instancesKey, id).exec();
+    return { sessions: members.length, offlineUserIds: Array.from(offlineUserIds) };
+  };
+
+  return {
+    type: 'redis',
+
+    async addSession(userId, session) {
+      const [, , , , count] = await client
+        .multi()
+        .hSet(userKey(userId), session.socketId, JSON.stringify({ ...session, instanceId }))
+        .sAdd(onlineKey, userId)
+        .sAdd(instanceKey(instanceId), JSON.stringify([userId, session.socketId]))
+        .hSet(instancesKey, instanceId, String(Date.now()))
+        .hLen(userKey(userId))
+        .exec();
+      return Number(count);
+    },
+
+    removeSession: (userId, socketId) => removeSession(userId, socketId),
+
+    async getSessions(userId) {
+      const [entries, idle] = await Promise.all([
+        client.hGetAll(userKey(userId)),
+        client.sMembers(idleKey(userId)),
+      ]);
+      const idleSockets = new Set(idle);
+      return Object.values(entries).map((value) => {
+        const session = JSON.parse(value);
+        return { ...session, idle: idleSockets.has(session.socketId) };
+      });
+    },
+
+    async setSessionIdle(userId, socketId, idle) {
+      if (idle) {
+        await client.sAdd(idleKey(userId), socketId);
+      } else {
+        await client.sRem(idleKey(userId), socketId);
+      }
+    },
+
+    async getStatus(userId) {
+      const value = await client.hGet(statusKey, userId);
+      return value ? JSON.parse(value) : null;
+    },
+
+    async setStatus(userId, status) {
+      if (status) {
+        await client.hSet(statusKey, userId, JSON.stringify(status));
+      } else {
+        await client.hDel(statusKey, userId);
+      }
+    },
+
+    async getLastSeen(userId) {
+      const value = await client.hGet(lastSeenKey, userId);
+      return value ? Number(value) : null;
+    },
+
+    async setLastSeen(userId, at) {
+      await client.hSet(lastSeenKey, userId, String(at));
+    },
+
+    async isOnline(userId) {
+      return (await client.exists(userKey(userId))) > 0;
+    },
+
+    async getOnlineUserIds() {
+      return client.sMembers(onlineKey);
+    },
+
+    async countOnlineUsers() {
+      return client.sCard(onlineKey);
+    },
+
+    async heartbeat() {
+      await client.hSet(instancesKey, instanceId, String(Date.now()));
+    },
+
+    async sweepDeadInstances() {
+      const instances = await client.hGetAll(instancesKey);
+      const now = Date.now();
+      const removed = { sessions: 0, offlineUserIds: [] };
+
+      for (const [id, lastSeen] of Object.entries(instances)) {
+        if (id !== instanceId && now - Number(lastSeen) > instanceTtl) {
+          const { sessions, offlineUserIds } = await purge(id);
+          removed.sessions += sessions;
+          removed.offlineUserIds.push(...offlineUserIds);
+          logger.warn('Purged sessions of dead gateway instance', { instanceId: id, sessions });
+        }
+      }
+
+      return removed;
+    },
+
+    async purgeInstance() {
+      const { sessions } = await purge(instanceId);
+      logger.info('Purged own sessions', { instanceId, sessions });
+    },
+
+    async close() {
+      await client.quit();
+    },
+  };
+};
+
+export default {
+  createRedisPresenceStore,
+};
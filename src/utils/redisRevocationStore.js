@@ -0,0 +1,60 @@
+/**
+ * Redis Revocation Store
+ *
+ * Shares revoked tokens and users between gateway instances.
+ *
+ * Key layout (prefix = PRESENCE_KEY_PREFIX):
+ * ──────────────────────────────────────────
+ * • {prefix}revoked:token:{tokenId}       string  '1' (expires with the token)
+ * • {prefix}revoked:user:{userId}         string  time of the revocation (ms, expires with the user's tokens)
+ *
+ * Architecture Decision:
+ * - Plain SET PX keys: Redis drops an entry once the tokens it rejects have
+ *   expired, so no instance has to clean up
+ */
+
+/**
+ * Milliseconds until `until`, at least 1 (PX must be positive)
+ */
+const ttl = (until) => Math.max(1, Math.ceil(until - Date.now()));
+
+/**
+ * Create a Redis-backed revocation store
+ *
+ * @param {object} client - Connected node-redis client
+ * @param {object} options - Store configuration
+ * @param {string} options.keyPrefix - Prefix for every key
+ * @returns {object} Revocation store
+ */
+export const createRedisRevocationStore = (client, { keyPrefix }) => {
+  const tokenKey = (tokenId) => `${keyPrefix}revoked:token:${tokenId}`;
+  const userKey = (userId) => `${keyPrefix}revoked:user:${userId}`;
+
+  return {
+    type: 'redis',
+
+    async revokeToken(tokenId, until) {
+      await client.set(tokenKey(tokenId), '1', { PX: ttl(until) });
+    },
+
+    async isTokenRevoked(tokenId) {
+      return (await client.exists(tokenKey(tokenId))) > 0;
+    },
+
+    async revokeUser(userId, at, until) {
+      await client.set(userKey(userId), String(at), { PX: ttl(until) });
+    },
+
+    async getUserRevokedAt(userId) {
+      const value = await client.get(userKey(userId));
+      return value ? Number(value) : null;
+    },
+
+    // The client is shared with the presence store, which closes it
+    close() {},
+  };
+};
+
+export default {
+  createRedisRevocationStore,
+};
@@ -10,6 +10,7 @@
 
 import { API_CONFIG } from '../config/apiGateway.js';
 import { createLogger } from '../middleware/logger.js';
+import { ErrorTypes } from '../middleware/errorHandler.js';
 
 const logger = createLogger('RetryLogic');
 
@@ -171,6 +172,10 @@ class CircuitBreaker {
     this.failureThreshold = options.failureThreshold || 5; // Number of failures before opening
     this.resetTimeout = options.resetTimeout || 60000; // Time before trying again (ms)
     this.monitorInterval = options.monitorInterval || 10000; // Time window for counting failures
+    // Client errors (4xx) mean the service answered, so they don't count as failures
+    this.isFailure = options.isFailure || ((error) => !(error.response?.status >= 400 && error.response?.status < 500));
+    // Optional callback invoked with the new state on OPEN / CLOSED transitions
+    this.onStateChange = options.onStateChange || null;
     
     this.failures = 0;
     this.lastFailureTime = null;
@@ -197,7 +202,7 @@ class CircuitBreaker {
         if (fallback) {
           return fallback();
         }
-        throw new Error('Service unavailable - circuit breaker is OPEN');
+        throw ErrorTypes.SERVICE_UNAVAILABLE('Service unavailable - circuit breaker is OPEN');
       }
       
       // Try to close the circuit (half-open state)
@@ -216,7 +221,12 @@ class CircuitBreaker {
       
       return result;
     } catch (error) {
-      this.recordFailure();
+      if (this.isFailure(error)) {
+        this.recordFailure();
+      } else if (this.state === 'HALF_OPEN') {
+        this.logger.info('Circuit breaker closing after service responded');
+        this.close();
+      }
       throw error;
     }
   }
@@ -252,16 +262,39 @@ class CircuitBreaker {
       failures: this.failures,
       nextAttempt: new Date(this.nextAttemptTime).toISOString(),
     });
+
+    this.notifyStateChange('OPEN');
   }
 
   /**
    * Close the circuit breaker
    */
   close() {
+    const wasClosed = this.state === 'CLOSED';
+
     this.state = 'CLOSED';
     this.failures = 0;
     this.lastFailureTime = null;
     this.nextAttemptTime = null;
+
+    if (!wasClosed) {
+      this.notifyStateChange('CLOSED');
+    }
+  }
+
+  /**
+   * Invoke the state change callback without letting it break the breaker
+   */
+  notifyStateChange(state) {
+    if (!this.onStateChange) {
+      return;
+    }
+
+    try {
+      this.onStateChange(state);
+    } catch (error) {
+      this.logger.error('Circuit breaker state change callback failed', error, { state });
+    }
   }
 
   /**
@@ -0,0 +1,99 @@
+/**
+ * Revocation Store
+ *
+ * Cluster-wide record of revoked tokens and users, so a revoked token cannot
+ * open a new connection on any gateway instance.
+ *
+ * Store contract (all methods async):
+ * ───────────────────────────────────
+ * • revokeToken(tokenId, until)      → reject a token ID (`jti`) until `until` (ms)
+ * • isTokenRevoked(tokenId)          → boolean
+ * • revokeUser(userId, at, until)    → reject the user's tokens issued before `at` (ms)
+ *                                      until `until` (ms)
+ * • getUserRevokedAt(userId)         → time of the user's revocation (ms), or null
+ * • close()                          → release connections
+ *
+ * Architecture Decision:
+ * - Entries only live as long as the tokens they reject, so the store stays
+ *   small without a cleanup job
+ * - memory: in-process Maps (single instance; revocations are lost on restart)
+ * - redis:  any Redis-protocol server (see redisRevocationStore.js)
+ */
+
+import { createLogger } from '../middleware/logger.js';
+import { PRESENCE_CONFIG } from '../config/presence.js';
+import { createRedisRevocationStore } from './redisRevocationStore.js';
+
+const logger = createLogger('RevocationStore');
+
+/**
+ * In-memory revocation store
+ * Format: Map<tokenId, until>, Map<userId, { at, until }>
+ *
+ * @returns {object} Revocation store
+ */
+export const createMemoryRevocationStore = () => {
+  const tokens = new Map();
+  const users = new Map();
+
+  // Drop entries whose tokens have expired anyway
+  const prune = () => {
+    const now = Date.now();
+    for (const [tokenId, until] of tokens) {
+      if (until <= now) tokens.delete(tokenId);
+    }
+    for (const [userId, entry] of users) {
+      if (entry.until <= now) users.delete(userId);
+    }
+  };
+
+  return {
+    type: 'memory',
+
+    async revokeToken(tokenId, until) {
+      prune();
+      tokens.set(tokenId, until);
+    },
+
+    async isTokenRevoked(tokenId) {
+      const until = tokens.get(tokenId);
+      return until !== undefined && until > Date.now();
+    },
+
+    async revokeUser(userId, at, until) {
+      prune();
+      users.set(userId, { at, until });
+    },
+
+    async getUserRevokedAt(userId) {
+      const entry = users.get(userId);
+      return entry && entry.until > Date.now() ? entry.at : null;
+    },
+
+    close() {},
+  };
+};
+
+/**
+ * Create the revocation store matching the presence store backend
+ *
+ * @param {object|null} redisClients - Clients from connectRedis() (required for redis)
+ * @returns {object} Revocation store
+ */
+export const createRevocationStore = (redisClients = null) => {
+  if (PRESENCE_CONFIG.store === 'redis') {
+    if (!redisClients?.client) {
+      throw new Error('Redis revocation store requires a connected Redis client');
+    }
+    logger.info('Using Redis revocation store');
+    return createRedisRevocationStore(redisClients.client, PRESENCE_CONFIG);
+  }
+
+  logger.info('Using in-memory revocation store');
+  return createMemoryRevocationStore();
+};
+
+export default {
+  createMemoryRevocationStore,
+  createRevocationStore,
+};
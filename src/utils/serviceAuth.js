@@ -1,92 +1,131 @@
 /**
  * Service-to-Service Authentication Utility
- * 
+ *
  * Provides JWT token generation for authenticated communication between microservices.
  * Each service request includes a Bearer token to verify the request originates from
- * the socket-gateway and not from an external source.
+ * the socket-gateway and not from an external source. Requests from other services
+ * to the gateway's internal endpoints carry the same kind of token.
+ *
+ * Architecture Decision:
+ * - With SERVICE_KEYS_DIR, tokens are signed with the gateway's private key
+ *   (RS256 / ES256, `kid` header) from the service key ring, and verified with
+ *   the public keys of the calling services; no shared secret can mint tokens
+ * - Every token names its target service in `aud`, so a token sent to one
+ *   service can't be replayed against another
+ * - Without SERVICE_KEYS_DIR the legacy HS256 tokens signed with JWT_SECRET
+ *   are used; SERVICE_AUTH_ACCEPT_HS256=true keeps accepting them from peers
+ *   while they migrate
  */
 
 import jwt from 'jsonwebtoken';
 import { createLogger } from '../middleware/logger.js';
+import { isServiceKeyRingEnabled, getSigningKey, getTrustedKey } from './serviceKeyRing.js';
 
 const logger = createLogger('ServiceAuth');
 
 const JWT_SECRET = process.env.JWT_SECRET;
 
-if (!JWT_SECRET) {
-  logger.error('JWT_SECRET environment variable is not set');
+// Name of this service (`iss` / `service` of its tokens, `aud` of tokens sent to it)
+const SERVICE_NAME = process.env.SERVICE_NAME || 'socket-gateway';
+
+// Lifetime of the gateway's service tokens (milliseconds)
+const SERVICE_TOKEN_TTL = parseInt(process.env.SERVICE_TOKEN_TTL || '300000', 10);
+
+// Accept HS256 tokens signed with JWT_SECRET (always true without a key ring)
+const ACCEPT_HS256 = !isServiceKeyRingEnabled() || process.env.SERVICE_AUTH_ACCEPT_HS256 === 'true';
+
+if (!isServiceKeyRingEnabled()) {
+  if (!JWT_SECRET) {
+    logger.error('JWT_SECRET environment variable is not set');
+  }
+  logger.warn('SERVICE_KEYS_DIR is not set, using legacy HS256 service tokens');
 }
 
 /**
  * Service token cache
  * Stores generated tokens to avoid re-generating on every request
- * Tokens are cached for 1 hour (3600 seconds) before regeneration
+ * Format: Map<audience, { token, kid, expiresAt }>; a token is regenerated once
+ * less than a quarter of its lifetime is left or the signing key has rotated
  */
-let cachedServiceToken = null;
-let tokenExpiryTime = null;
+const cachedServiceTokens = new Map();
 
 /**
  * Generate a JWT token for inter-service communication
- * Tokens include service identification and expiration
- * 
- * @returns {string} Signed JWT token
+ * Tokens include service identification, target service and expiration
+ *
+ * @param {string|undefined} audience - Target service (`aud` claim)
+ * @returns {{ token: string, kid: string|null, expiresAt: number }} Signed JWT token
  */
-const generateServiceToken = () => {
+const generateServiceToken = (audience) => {
   try {
+    const now = Date.now();
     const payload = {
-      iss: 'socket-gateway', // Issuer
-      service: 'socket-gateway',
-      iat: Math.floor(Date.now() / 1000),
-      exp: Math.floor(Date.now() / 1000) + 3600, // 1 hour expiration
+      iss: SERVICE_NAME, // Issuer
+      service: SERVICE_NAME,
+      ...(audience && { aud: audience }),
+      iat: Math.floor(now / 1000),
+      exp: Math.floor((now + SERVICE_TOKEN_TTL) / 1000),
     };
 
-    const token = jwt.sign(payload, JWT_SECRET, { algorithm: 'HS256' });
-    logger.debug('Generated new service token', { exp: new Date(payload.exp * 1000) });
-    return token;
+    let token;
+    let kid = null;
+    if (isServiceKeyRingEnabled()) {
+      const signingKey = getSigningKey();
+      if (!signingKey) {
+        throw new Error('No service signing key available');
+      }
+      kid = signingKey.kid;
+      token = jwt.sign(payload, signingKey.key, { algorithm: signingKey.algorithm, keyid: kid });
+    } else {
+      token = jwt.sign(payload, JWT_SECRET, { algorithm: 'HS256' });
+    }
+
+    logger.debug('Generated new service token', { audience, kid, exp: new Date(payload.exp * 1000) });
+    return { token, kid, expiresAt: payload.exp * 1000 };
   } catch (error) {
-    logger.error('Failed to generate service token', error);
+    logger.error('Failed to generate service token', error, { audience });
     throw error;
   }
 };
 
 /**
  * Get a valid service token, using cache if available
- * Automatically regenerates token if expired
- * 
+ * Automatically regenerates token if expired or the signing key rotated
+ *
+ * @param {string} [audience] - Target service (`aud` claim)
  * @returns {string} Valid JWT token for inter-service communication
  */
-export const getServiceToken = () => {
-  const now = Math.floor(Date.now() / 1000);
+export const getServiceToken = (audience) => {
+  const now = Date.now();
+  const cached = cachedServiceTokens.get(audience);
+  const currentKid = isServiceKeyRingEnabled() ? getSigningKey()?.kid ?? null : null;
 
-  // Return cached token if still valid (with 5-minute buffer)
-  if (cachedServiceToken && tokenExpiryTime && tokenExpiryTime > now + 300) {
-    return cachedServiceToken;
+  if (cached && cached.kid === currentKid && cached.expiresAt - now > SERVICE_TOKEN_TTL / 4) {
+    return cached.token;
   }
 
-  // Generate new token if cache is expired or not set
-  cachedServiceToken = generateServiceToken();
-  
-  // Extract expiration from token payload
-  const decoded = jwt.decode(cachedServiceToken);
-  tokenExpiryTime = decoded.exp;
+  // Generate new token if cache is expired, not set or signed with a retired key
+  const generated = generateServiceToken(audience);
+  cachedServiceTokens.set(audience, generated);
 
-  return cachedServiceToken;
+  return generated.token;
 };
 
 /**
  * Configure axios instance with inter-service authentication headers
  * Adds a request interceptor that includes the Authorization header
- * 
+ *
  * @param {object} axiosInstance - Axios instance to configure
+ * @param {string} audience - Service the instance talks to (`aud` claim)
  * @returns {object} The configured axios instance
  */
-export const attachServiceAuth = (axiosInstance) => {
+export const attachServiceAuth = (axiosInstance, audience) => {
   axiosInstance.interceptors.request.use(
     (config) => {
       try {
-        const token = getServiceToken();
+        const token = getServiceToken(audience);
         config.headers.Authorization = `Bearer ${token}`;
-        logger.debug('Added service auth header', { url: config.url });
+        logger.debug('Added service auth header', { url: config.url, audience });
       } catch (error) {
         logger.error('Failed to attach service auth', error);
         // Continue without auth header if token generation fails
@@ -105,12 +144,13 @@ export const attachServiceAuth = (axiosInstance) => {
 /**
  * Get Authorization header value for inline requests
  * Useful when not using an axios instance with interceptors
- * 
+ *
+ * @param {string} audience - Service the request goes to (`aud` claim)
  * @returns {object} Object with Authorization header for axios config
  */
-export const getServiceAuthHeader = () => {
+export const getServiceAuthHeader = (audience) => {
   try {
-    const token = getServiceToken();
+    const token = getServiceToken(audience);
     return { Authorization: `Bearer ${token}` };
   } catch (error) {
     logger.error('Failed to get service auth header', error);
@@ -118,12 +158,54 @@ export const getServiceAuthHeader = () => {
   }
 };
 
+/**
+ * Verify a service token sent to the gateway by another service
+ * Asymmetric tokens must be signed with a trusted key of the service they
+ * name as issuer and be addressed to this service. Legacy HS256 tokens share
+ * JWT_SECRET with user tokens, so only tokens that name a `service` are accepted
+ *
+ * @param {string} token - JWT from the Authorization header
+ * @returns {object} Token payload ({ iss, service, aud?, iat, exp })
+ * @throws {Error} If the token is invalid, expired or not a service token
+ */
+export const verifyServiceToken = (token) => {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded?.header || !decoded.payload || typeof decoded.payload !== 'object') {
+    throw new Error('Malformed service token');
+  }
+
+  const { header, payload: claimed } = decoded;
+
+  if (header.alg === 'HS256') {
+    if (!ACCEPT_HS256) {
+      throw new Error('HS256 service tokens are not accepted');
+    }
+    const payload = jwt.verify(token, JWT_SECRET, { algorithms: ['HS256'] });
+    if (typeof payload.service !== 'string') {
+      throw new Error('Not a service token');
+    }
+    return payload;
+  }
+
+  // The key is looked up for the claimed issuer; a forged issuer doesn't verify
+  const trusted = typeof claimed.iss === 'string' && header.kid ? getTrustedKey(claimed.iss, header.kid) : null;
+  if (!trusted) {
+    throw new Error('Unknown service key');
+  }
+
+  const payload = jwt.verify(token, trusted.key, {
+    algorithms: [trusted.algorithm],
+    audience: SERVICE_NAME,
+    issuer: claimed.iss,
+  });
+  return { ...payload, service: payload.iss };
+};
+
 /**
  * Force token refresh (useful for testing or emergency token rotation)
  */
 export const refreshServiceToken = () => {
-  cachedServiceToken = null;
-  tokenExpiryTime = null;
+  cachedServiceTokens.clear();
   logger.info('Service token cache cleared, will regenerate on next request');
 };
 
@@ -131,5 +213,6 @@ export default {
   getServiceToken,
   attachServiceAuth,
   getServiceAuthHeader,
+  verifyServiceToken,
   refreshServiceToken,
 };
@@ -0,0 +1,213 @@
+/**
+ * Service Key Ring
+ *
+ * Keys for service-to-service tokens, loaded from SERVICE_KEYS_DIR:
+ *
+ * • {dir}/signing/{kid}.pem              private keys of this gateway (RSA or EC P-256)
+ * • {dir}/trusted/{service}/{kid}.pem    public keys of services that may call the gateway
+ *
+ * Architecture Decision:
+ * - The file name is the key ID (`kid` header), so verifiers look a key up
+ *   instead of trying each one
+ * - Tokens are signed with SERVICE_SIGNING_KID, or else the newest signing
+ *   key; rotate by giving peers the new public key first, then adding the
+ *   private key here (the old one can go once its tokens have expired)
+ * - A trusted key belongs to the service whose directory it is in, so a
+ *   service can only present tokens as itself
+ * - The directory is re-read every SERVICE_KEYS_RELOAD_INTERVAL ms, so keys
+ *   rotate without a restart; unreadable keys are skipped and logged
+ * - Only for services: user tokens are verified with their own keys
+ *   (see config/auth.js)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { createLogger } from '../middleware/logger.js';
+
+const logger = createLogger('ServiceKeyRing');
+
+const SERVICE_KEYS_DIR = process.env.SERVICE_KEYS_DIR || null;
+const SERVICE_SIGNING_KID = process.env.SERVICE_SIGNING_KID || null;
+const SERVICE_KEYS_RELOAD_INTERVAL = parseInt(process.env.SERVICE_KEYS_RELOAD_INTERVAL || '60000', 10);
+
+/**
+ * Loaded keys
+ * signing: { kid, key, algorithm } used to sign, or null
+ * trusted: Map<service, Map<kid, { key, algorithm }>>
+ */
+let signingKey = null;
+let trustedKeys = new Map();
+let fingerprint = null;
+let reloadInterval = null;
+
+/**
+ * JWT algorithm for a key: RS256 for RSA, ES256 for EC P-256, otherwise unsupported
+ *
+ * @param {KeyObject} key - Private or public key
+ * @returns {string|null} Algorithm
+ */
+const algorithmFor = (key) => {
+  if (key.asymmetricKeyType === 'rsa') {
+    return 'RS256';
+  }
+  if (key.asymmetricKeyType === 'ec' && key.asymmetricKeyDetails?.namedCurve === 'prime256v1') {
+    return 'ES256';
+  }
+  return null;
+};
+
+/**
+ * PEM files of a directory as [{ kid, file, mtimeMs, size }] (missing directory = none)
+ */
+const listKeyFiles = (dir) => {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isFile() && entry.name.endsWith('.pem'))
+    .map(entry => {
+      const file = path.join(dir, entry.name);
+      const { mtimeMs, size } = fs.statSync(file);
+      return { kid: path.basename(entry.name, '.pem'), file, mtimeMs, size };
+    });
+};
+
+/**
+ * Read a key file, or null (logged) if it is unusable
+ */
+const readKey = ({ kid, file }, parse) => {
+  try {
+    const key = parse(fs.readFileSync(file, 'utf8'));
+    const algorithm = algorithmFor(key);
+    if (!algorithm) {
+      logger.error('Unsupported service key type (use RSA or EC P-256)', null, { kid, file });
+      return null;
+    }
+    return { kid, key, algorithm };
+  } catch (error) {
+    logger.error('Failed to read service key', error, { kid, file });
+    return null;
+  }
+};
+
+/**
+ * (Re)load the key ring from SERVICE_KEYS_DIR if its files changed
+ *
+ * @returns {boolean} True if the ring was reloaded
+ */
+export const loadServiceKeyRing = () => {
+  if (!SERVICE_KEYS_DIR) {
+    return false;
+  }
+
+  try {
+    const signingFiles = listKeyFiles(path.join(SERVICE_KEYS_DIR, 'signing'));
+    const trustedDir = path.join(SERVICE_KEYS_DIR, 'trusted');
+    const services = fs.existsSync(trustedDir)
+      ? fs.readdirSync(trustedDir, { withFileTypes: true }).filter(entry => entry.isDirectory()).map(entry => entry.name)
+      : [];
+    const trustedFiles = services.map(service => [service, listKeyFiles(path.join(trustedDir, service))]);
+
+    const nextFingerprint = JSON.stringify([signingFiles, trustedFiles]);
+    if (nextFingerprint === fingerprint) {
+      return false;
+    }
+    fingerprint = nextFingerprint;
+
+    // Explicit key ID, otherwise the newest usable key
+    const preferred = SERVICE_SIGNING_KID
+      ? signingFiles.filter(entry => entry.kid === SERVICE_SIGNING_KID)
+      : [...signingFiles].sort((a, b) => b.mtimeMs - a.mtimeMs);
+    signingKey = null;
+    for (const entry of preferred) {
+      signingKey = readKey(entry, crypto.createPrivateKey);
+      if (signingKey) break;
+    }
+
+    trustedKeys = new Map(trustedFiles.map(([service, files]) => [
+      service,
+      new Map(files.map(entry => readKey(entry, crypto.createPublicKey)).filter(Boolean).map(entry => [entry.kid, entry])),
+    ]));
+
+    if (!signingKey) {
+      logger.error('No usable service signing key', null, { dir: SERVICE_KEYS_DIR, kid: SERVICE_SIGNING_KID });
+    }
+    logger.info('Service key ring loaded', {
+      signingKid: signingKey?.kid ?? null,
+      trusted: Object.fromEntries([...trustedKeys].map(([service, keys]) => [service, [...keys.keys()]])),
+    });
+    return true;
+  } catch (error) {
+    logger.error('Failed to load service key ring, keeping the previous keys', error, { dir: SERVICE_KEYS_DIR });
+    return false;
+  }
+};
+
+/**
+ * Whether service tokens use the key ring (SERVICE_KEYS_DIR set)
+ *
+ * @returns {boolean}
+ */
+export const isServiceKeyRingEnabled = () => Boolean(SERVICE_KEYS_DIR);
+
+/**
+ * Key to sign this gateway's service tokens with
+ *
+ * @returns {{ kid: string, key: KeyObject, algorithm: string }|null}
+ */
+export const getSigningKey = () => signingKey;
+
+/**
+ * Public key a service signs its tokens with
+ *
+ * @param {string} service - Calling service (directory under trusted/)
+ * @param {string} kid - Key ID from the token header
+ * @returns {{ kid: string, key: KeyObject, algorithm: string }|null}
+ */
+export const getTrustedKey = (service, kid) => trustedKeys.get(service)?.get(kid) ?? null;
+
+/**
+ * Key ring summary for the metrics endpoint
+ *
+ * @returns {object} { enabled, signingKid, trustedKeys }
+ */
+export const getServiceKeyRingStats = () => ({
+  enabled: isServiceKeyRingEnabled(),
+  signingKid: signingKey?.kid ?? null,
+  trustedKeys: [...trustedKeys.values()].reduce((count, keys) => count + keys.size, 0),
+});
+
+/**
+ * Re-read the key ring periodically so keys rotate without a restart
+ */
+export const startServiceKeyRingReload = () => {
+  if (!SERVICE_KEYS_DIR) {
+    return;
+  }
+
+  clearInterval(reloadInterval);
+  reloadInterval = setInterval(loadServiceKeyRing, SERVICE_KEYS_RELOAD_INTERVAL);
+};
+
+/**
+ * Stop re-reading the key ring - call on server shutdown
+ */
+export const stopServiceKeyRingReload = () => {
+  clearInterval(reloadInterval);
+  reloadInterval = null;
+};
+
+// Keys are needed by the first request, before the server starts
+loadServiceKeyRing();
+
+export default {
+  loadServiceKeyRing,
+  isServiceKeyRingEnabled,
+  getSigningKey,
+  getTrustedKey,
+  getServiceKeyRingStats,
+  startServiceKeyRingReload,
+  stopServiceKeyRingReload,
+};
@@ -0,0 +1,278 @@
+/**
+ * Session Registry
+ *
+ * Tracks every live socket per user so that a user can be connected from
+ * several devices (browser tabs, phone, desktop app) at the same time.
+ *
+ * Architecture Decision:
+ * ──────────────────────
+ * • Presence store: userId → sessions, shared by all gateway instances
+ *   (in-memory by default, Redis when horizontally scaled)
+ * • Local sessions: sockets connected to THIS instance, for stale cleanup
+ * • User rooms: every socket joins `user:<userId>`, so emitting to a user
+ *   reaches all of their devices on any instance via the Socket.IO adapter
+ * • A user is online while at least one session remains anywhere
+ */
+
+import { createLogger } from '../middleware/logger.js';
+import { createMemoryPresenceStore } from './presenceStore.js';
+
+const logger = createLogger('Sessions');
+
+/**
+ * Prefix of the per-user rooms; reserved, clients cannot join these rooms
+ */
+export const USER_ROOM_PREFIX = 'user:';
+
+/**
+ * Cluster-wide presence store (replaced at startup via setPresenceStore)
+ */
+let presenceStore = createMemoryPresenceStore();
+
+/**
+ * Sockets connected to this instance
+ * Format: Map<socketId, { socketId, userId, device, connectedAt }>
+ */
+const localSessions = new Map();
+
+/**
+ * Use a different presence store (called once on startup)
+ *
+ * @param {object} store - Presence store (see presenceStore.js)
+ */
+export const setPresenceStore = (store) => {
+  presenceStore = store;
+};
+
+/**
+ * Get the active presence store
+ *
+ * @returns {object} Presence store
+ */
+export const getPresenceStore = () => presenceStore;
+
+/**
+ * Get the room that holds every socket of a user
+ *
+ * @param {string} userId - User ID
+ * @returns {string} Room name
+ */
+export const getUserRoom = (userId) => `${USER_ROOM_PREFIX}${userId}`;
+
+/**
+ * Build device metadata from the socket handshake
+ * Clients may send `auth.device` ({ type, name }) alongside their token
+ *
+ * @param {object} socket - Socket.io socket instance
+ * @returns {object} Device metadata
+ */
+const getDeviceInfo = (socket) => {
+  const handshake = socket.handshake || {};
+  const device = handshake.auth?.device || {};
+
+  return {
+    type: typeof device.type === 'string' ? device.type.slice(0, 32) : 'unknown',
+    name: typeof device.name === 'string' ? device.name.slice(0, 64) : null,
+    userAgent: handshake.headers?.['user-agent'] || null,
+    address: handshake.address || null,
+  };
+};
+
+/**
+ * Register a socket for a user and join it to the user's room
+ *
+ * @param {string} userId - User ID
+ * @param {object} socket - Socket.io socket instance
+ * @returns {Promise<boolean>} False if the socket already disconnected (nothing registered)
+ */
+export const addSession = async (userId, socket) => {
+  // Its disconnect handler has run already and would never remove the session
+  if (!socket.connected) {
+    return false;
+  }
+
+  const session = {
+    socketId: socket.id,
+    userId,
+    device: getDeviceInfo(socket),
+    connectedAt: new Date().toISOString(),
+    idle: false,
+  };
+
+  socket.join(getUserRoom(userId));
+  localSessions.set(socket.id, session);
+
+  const count = await presenceStore.addSession(userId, session);
+  logger.debug('Session added', { userId, socketId: socket.id, sessions: count });
+  return true;
+};
+
+/**
+ * Remove a socket from a user's sessions
+ *
+ * @param {string} userId - User ID
+ * @param {string} socketId - Socket ID to remove
+ * @returns {Promise<boolean>} True if the user has no remaining sessions (went offline)
+ */
+export const removeSession = async (userId, socketId) => {
+  if (!localSessions.delete(socketId)) {
+    return false;
+  }
+
+  const remaining = await presenceStore.removeSession(userId, socketId);
+  logger.debug('Session removed', { userId, socketId, remaining });
+  return remaining === 0;
+};
+
+/**
+ * Get session metadata for all of a user's devices (across instances)
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<object[]>} Session entries
+ */
+export const getUserSessions = (userId) => presenceStore.getSessions(userId);
+
+/**
+ * Mark one of a user's sessions idle (no recent activity) or active again
+ *
+ * @param {string} userId - User ID
+ * @param {string} socketId - Socket ID
+ * @param {boolean} idle - True if the device is idle
+ * @returns {Promise<void>}
+ */
+export const setSessionIdle = (userId, socketId, idle) => presenceStore.setSessionIdle(userId, socketId, idle);
+
+/**
+ * Get the status a user chose (set_status)
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<object|null>} { status, custom_status, updated_at } or null if never set
+ */
+export const getUserStatus = (userId) => presenceStore.getStatus(userId);
+
+/**
+ * Store the status a user chose, shared by all gateway instances
+ *
+ * @param {string} userId - User ID
+ * @param {object|null} status - { status, custom_status, updated_at }, or null to reset
+ * @returns {Promise<void>}
+ */
+export const setUserStatus = (userId, status) => presenceStore.setStatus(userId, status);
+
+/**
+ * Get when a user's last session ended
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<number|null>} Timestamp (ms), or null if unknown
+ */
+export const getLastSeen = (userId) => presenceStore.getLastSeen(userId);
+
+/**
+ * Record when a user's last session ended
+ *
+ * @param {string} userId - User ID
+ * @param {number} at - Timestamp (ms)
+ * @returns {Promise<void>}
+ */
+export const setLastSeen = (userId, at) => presenceStore.setLastSeen(userId, at);
+
+/**
+ * Check if a user has at least one active session
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>}
+ */
+export const isUserOnline = (userId) => presenceStore.isOnline(userId);
+
+/**
+ * Get IDs of all online users
+ *
+ * @returns {Promise<string[]>} User IDs
+ */
+export const getOnlineUserIds = () => presenceStore.getOnlineUserIds();
+
+/**
+ * Get number of online users (not sockets)
+ *
+ * @returns {Promise<number>}
+ */
+export const getOnlineUserCount = () => presenceStore.countOnlineUsers();
+
+/**
+ * Get sessions of sockets connected to this instance
+ * Used by the stale connection cleanup
+ *
+ * @returns {object[]} Local session entries
+ */
+export const getLocalSessions = () => Array.from(localSessions.values());
+
+/**
+ * Emit an event to every device of a user, on any gateway instance
+ *
+ * @param {object} io - Socket.io server instance
+ * @param {string} userId - Target user ID
+ * @param {string} event - Event name
+ * @param {object} payload - Event payload
+ */
+export const emitToUser = (io, userId, event, payload) => {
+  if (!userId) {
+    return;
+  }
+  io.to(getUserRoom(userId)).emit(event, payload);
+};
+
+/**
+ * Emit an event to everyone in the conversation a message belongs to
+ * Group messages go to the group room, private messages to every device
+ * of both the sender and the receiver. The sender's devices are always
+ * included, even if they have not joined the group room.
+ *
+ * @param {object} io - Socket.io server instance
+ * @param {object} message - Message with group_id, or sender_id and receiver_id
+ * @param {string} event - Event name
+ * @param {object} payload - Event payload
+ */
+export const emitToConversation = (io, message, event, payload) => {
+  const rooms = [message.sender_id, message.receiver_id]
+    .filter(Boolean)
+    .map(getUserRoom);
+
+  if (message.group_id) {
+    rooms.push(`group_${message.group_id}`);
+  }
+
+  // A socket in several of the rooms still receives the event once
+  if (rooms.length > 0) {
+    io.to(rooms).emit(event, payload);
+  }
+};
+
+/**
+ * Clear this instance's sessions (called on shutdown)
+ */
+export const clearSessions = async () => {
+  localSessions.clear();
+  await presenceStore.purgeInstance();
+};
+
+export default {
+  USER_ROOM_PREFIX,
+  setPresenceStore,
+  getPresenceStore,
+  getUserRoom,
+  addSession,
+  removeSession,
+  getUserSessions,
+  setSessionIdle,
+  getUserStatus,
+  setUserStatus,
+  getLastSeen,
+  setLastSeen,
+  isUserOnline,
+  getOnlineUserIds,
+  getOnlineUserCount,
+  getLocalSessions,
+  emitToUser,
+  emitToConversation,
+  clearSessions,
+};
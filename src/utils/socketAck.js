@@ -0,0 +1,100 @@
+/**
+ * Socket Acknowledgement Utilities
+ *
+ * Lets every client event optionally take a Socket.IO acknowledgement callback,
+ * so a client can correlate a reply with the request that caused it:
+ *
+ *   socket.emit('join_room', { room_id }, (res) => {
+ *     if (!res.ok) console.warn(res.error.code, res.error.message);
+ *   });
+ *
+ * Response shape:
+ * • { ok: true, data }                                  - success
+ * • { ok: false, error: { code, message, details? } }   - failure (codes: SocketErrorCodes)
+ *
+ * Architecture Decision:
+ * - Legacy reply events (message_sent, room_joined, error, ...) are still
+ *   emitted so existing clients keep working; the ack is an additional reply
+ * - Each request is acknowledged at most once
+ * - Failures go through handleSocketError, so the 'error' event and the ack
+ *   always carry the same catalogued code
+ * - Errors a handler doesn't catch are acknowledged as INTERNAL_ERROR
+ */
+
+import { handleSocketError, createSocketError } from '../middleware/errorHandler.js';
+
+/**
+ * Create the responder passed to handlers wrapped with withAck
+ *
+ * @param {object} socket - Socket.io socket instance
+ * @param {Function|null} ack - Acknowledgement callback sent by the client, if any
+ * @param {string} [eventName] - Event being handled (for logging)
+ * @returns {object} Responder with ok(data), fail(code, message, context) and error(err, context)
+ */
+export const createResponder = (socket, ack, eventName = null) => {
+  let settled = false;
+
+  const reply = (response) => {
+    if (ack && !settled) {
+      settled = true;
+      ack(response);
+    }
+  };
+
+  const responder = {
+    /**
+     * Acknowledge success
+     * @param {*} [data] - Result returned to the client
+     */
+    ok(data = null) {
+      reply({ ok: true, data });
+    },
+
+    /**
+     * Report a failure with a catalogued code
+     * @param {string} code - Key of SocketErrorCodes
+     * @param {string} [message] - Human-readable message (defaults to the code's message)
+     * @param {object} [context] - Extra fields for the legacy 'error' payload (e.g. group_id)
+     */
+    fail(code, message, context = {}) {
+      responder.error(createSocketError(code, message), context);
+    },
+
+    /**
+     * Report a thrown error (AppError, axios error, ...) mapped to its code
+     * @param {Error} error - Error to report
+     * @param {object} [context] - Extra fields for the legacy 'error' payload
+     */
+    error(error, context = {}) {
+      handleSocketError(socket, error, { ack: reply, context, event: eventName });
+    },
+  };
+
+  return responder;
+};
+
+/**
+ * Wrap a socket event handler so it receives (data, respond)
+ * Works whether or not the client passed a payload and/or an ack callback
+ *
+ * @param {object} socket - Socket.io socket instance
+ * @param {string} eventName - Event name (for logging)
+ * @param {Function} handler - async (data, respond) => void
+ * @returns {Function} Listener for socket.on
+ */
+export const withAck = (socket, eventName, handler) => async (...args) => {
+  const ack = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+  const data = args[0] ?? {};
+  const respond = createResponder(socket, ack, eventName);
+
+  try {
+    await handler(data, respond);
+  } catch (error) {
+    respond.error(error);
+  }
+};
+
+export default {
+  createResponder,
+  withAck,
+};
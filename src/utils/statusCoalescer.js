@@ -0,0 +1,175 @@
+/**
+ * Message Status Coalescer
+ *
+ * Collects delivery / read status updates per sender over a short window and
+ * sends them as one 'message_status_updates' event instead of one
+ * 'message_status_update' per message.
+ *
+ * Architecture Decision:
+ * - One window per sender: the first update opens it, every update arriving
+ *   within STATUS_COALESCE_WINDOW ms joins the same event
+ * - One entry per message: 'read' supersedes 'delivered', never the reverse
+ * - Bounded: a window is flushed early once it holds STATUS_COALESCE_MAX_UPDATES
+ * - Delivery acks are recorded in chat-service the same way, one window per
+ *   acknowledging user, so its undelivered set (offline sync) stays current
+ */
+
+import { createLogger } from '../middleware/logger.js';
+import { emitToUser } from './sessionRegistry.js';
+
+const logger = createLogger('StatusCoalescer');
+
+const STATUS_COALESCE_WINDOW = parseInt(process.env.STATUS_COALESCE_WINDOW || '250', 10);
+const STATUS_COALESCE_MAX_UPDATES = parseInt(process.env.STATUS_COALESCE_MAX_UPDATES || '1000', 10);
+
+// Later statuses win over earlier ones for the same message
+const STATUS_RANK = { delivered: 1, read: 2 };
+
+/**
+ * Open windows per sender
+ * Format: Map<senderId, { updates: Map<messageId, { message_id, status, timestamp }>, timer }>
+ */
+const windows = new Map();
+
+/**
+ * Delivery acks waiting to be recorded, per acknowledging user
+ * Format: Map<userId, { messageIds: Set<string>, token, timer }>
+ */
+const deliveryWindows = new Map();
+
+let recordDeliveredFn = null;
+
+/**
+ * Send a sender's collected updates and close the window
+ *
+ * @param {object} io - Socket.io server instance
+ * @param {string} senderId - Sender user ID
+ */
+const flush = (io, senderId) => {
+  const window = windows.get(senderId);
+  if (!window) {
+    return;
+  }
+
+  clearTimeout(window.timer);
+  windows.delete(senderId);
+
+  const updates = Array.from(window.updates.values());
+  emitToUser(io, senderId, 'message_status_updates', { updates });
+  logger.debug('Sent coalesced status updates', { senderId, count: updates.length });
+};
+
+/**
+ * Queue status updates for a sender's messages
+ *
+ * @param {object} io - Socket.io server instance
+ * @param {string} senderId - User who sent the messages (receives the updates)
+ * @param {string[]} messageIds - Message IDs
+ * @param {string} status - 'delivered' or 'read'
+ */
+export const queueStatusUpdates = (io, senderId, messageIds, status) => {
+  let window = windows.get(senderId);
+  if (!window) {
+    window = {
+      updates: new Map(),
+      timer: setTimeout(() => flush(io, senderId), STATUS_COALESCE_WINDOW),
+    };
+    windows.set(senderId, window);
+  }
+
+  const timestamp = new Date().toISOString();
+  for (const messageId of messageIds) {
+    const existing = window.updates.get(messageId);
+    if (!existing || STATUS_RANK[status] >= STATUS_RANK[existing.status]) {
+      window.updates.set(messageId, { message_id: messageId, status, timestamp });
+    }
+  }
+
+  if (window.updates.size >= STATUS_COALESCE_MAX_UPDATES) {
+    flush(io, senderId);
+  }
+};
+
+/**
+ * Record a user's collected delivery acks and close the window
+ * Best effort: a message that stays undelivered is sent again on the next
+ * sync, and clients dedupe by message ID
+ *
+ * @param {string} userId - User who acknowledged the messages
+ */
+const flushDeliveryAcks = async (userId) => {
+  const window = deliveryWindows.get(userId);
+  if (!window) {
+    return;
+  }
+
+  clearTimeout(window.timer);
+  deliveryWindows.delete(userId);
+
+  const messageIds = Array.from(window.messageIds);
+  try {
+    await recordDeliveredFn(messageIds, window.token);
+    logger.debug('Recorded delivery acks', { userId, count: messageIds.length });
+  } catch (error) {
+    logger.warn('Could not record delivery acks', { userId, count: messageIds.length });
+  }
+};
+
+/**
+ * Set how delivery acks are recorded (called once on startup)
+ *
+ * @param {Function} recordDelivered - async (messageIds, token) => * ; throws on failure
+ */
+export const setDeliveryRecorder = (recordDelivered) => {
+  recordDeliveredFn = recordDelivered;
+};
+
+/**
+ * Queue delivery acks of a user to be recorded in chat-service
+ *
+ * @param {string} userId - User who received the messages
+ * @param {string[]} messageIds - Message IDs
+ * @param {string} [token] - The user's JWT token (the latest one is used)
+ */
+export const queueDeliveryAcks = (userId, messageIds, token) => {
+  if (!recordDeliveredFn) {
+    return;
+  }
+
+  let window = deliveryWindows.get(userId);
+  if (!window) {
+    window = {
+      messageIds: new Set(),
+      token,
+      timer: setTimeout(() => flushDeliveryAcks(userId), STATUS_COALESCE_WINDOW),
+    };
+    deliveryWindows.set(userId, window);
+  }
+
+  window.token = token;
+  messageIds.forEach(messageId => window.messageIds.add(messageId));
+
+  if (window.messageIds.size >= STATUS_COALESCE_MAX_UPDATES) {
+    flushDeliveryAcks(userId);
+  }
+};
+
+/**
+ * Send every open window now - call on server shutdown
+ *
+ * @param {object} io - Socket.io server instance
+ * @returns {Promise<void>} Resolves once the queued delivery acks are recorded
+ */
+export const flushStatusUpdates = (io) => {
+  for (const senderId of Array.from(windows.keys())) {
+    flush(io, senderId);
+  }
+  return Promise.all(Array.from(deliveryWindows.keys()).map(flushDeliveryAcks)).then(() => {});
+};
+
+export default {
+  queueStatusUpdates,
+  setDeliveryRecorder,
+  queueDeliveryAcks,
+  flushStatusUpdates,
+};
@@ -0,0 +1,99 @@
+/**
+ * Token Revocation
+ *
+ * Decides whether a token may still be used to connect, after auth-service
+ * has revoked a single token (logout of one session) or every token of a
+ * user (ban, password change).
+ *
+ * Architecture Decision:
+ * ──────────────────────
+ * • Revocation store: shared by all gateway instances (in-memory by default,
+ *   Redis when horizontally scaled), like the presence store
+ * • A user revocation rejects the tokens issued before it (`iat`), so the
+ *   user can log in again with a new token
+ * • Entries are kept until the affected tokens expire: the `expires_at`
+ *   given by auth-service, or TOKEN_REVOCATION_TTL ms
+ */
+
+import { createLogger } from '../middleware/logger.js';
+import { createMemoryRevocationStore } from './revocationStore.js';
+
+const logger = createLogger('Revocation');
+
+// How long revocations are kept when auth-service doesn't say (milliseconds);
+// should be at least the lifetime of a user token
+const TOKEN_REVOCATION_TTL = parseInt(process.env.TOKEN_REVOCATION_TTL || '86400000', 10);
+
+/**
+ * Cluster-wide revocation store (replaced at startup via setRevocationStore)
+ */
+let revocationStore = createMemoryRevocationStore();
+
+/**
+ * Use a different revocation store (called once on startup)
+ *
+ * @param {object} store - Revocation store (see revocationStore.js)
+ */
+export const setRevocationStore = (store) => {
+  revocationStore = store;
+};
+
+/**
+ * Get the active revocation store
+ *
+ * @returns {object} Revocation store
+ */
+export const getRevocationStore = () => revocationStore;
+
+/**
+ * Revoke a single token
+ *
+ * @param {string} tokenId - Token ID (`jti` claim)
+ * @param {number} [until] - When the token expires (ms)
+ */
+export const revokeToken = async (tokenId, until = Date.now() + TOKEN_REVOCATION_TTL) => {
+  await revocationStore.revokeToken(tokenId, until);
+  logger.info('Token revoked', { tokenId, until: new Date(until).toISOString() });
+};
+
+/**
+ * Revoke every token issued to a user until now
+ *
+ * @param {string} userId - User ID
+ * @param {number} [until] - When the user's last token issued until now expires (ms)
+ */
+export const revokeUser = async (userId, until = Date.now() + TOKEN_REVOCATION_TTL) => {
+  await revocationStore.revokeUser(userId, Date.now(), until);
+  logger.info('User tokens revoked', { userId, until: new Date(until).toISOString() });
+};
+
+/**
+ * Check whether a verified token has been revoked
+ *
+ * @param {string} userId - User the token belongs to
+ * @param {object} claims - { tokenId, issuedAt } (see getTokenClaims)
+ * @returns {Promise<boolean>}
+ */
+export const isTokenRevoked = async (userId, { tokenId, issuedAt }) => {
+  if (tokenId && await revocationStore.isTokenRevoked(tokenId)) {
+    return true;
+  }
+
+  const revokedAt = await revocationStore.getUserRevokedAt(userId);
+  if (revokedAt === null) {
+    return false;
+  }
+
+  // `iat` only has second precision: a token issued in the same second as
+  // the revocation is rejected too. Without `iat` a token can't show that
+  // it was issued after the revocation.
+  return issuedAt === null || issuedAt <= revokedAt;
+};
+
+export default {
+  setRevocationStore,
+  getRevocationStore,
+  revokeToken,
+  revokeUser,
+  isTokenRevoked,
+};
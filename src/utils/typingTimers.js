@@ -118,6 +118,36 @@ export const clearUserTypingTimers = (userId) => {
   }
 };
 
+/**
+ * Clear all typing timers started from a specific socket (called on disconnect)
+ * Leaves timers owned by the user's other devices untouched
+ * 
+ * @param {string} socketId - Socket ID of the disconnected connection
+ * @returns {number} Number of timers cleared
+ */
+export const clearSocketTypingTimers = (socketId) => {
+  try {
+    let cleared = 0;
+    
+    for (const [key, timerEntry] of typingTimers.entries()) {
+      if (timerEntry.socketId === socketId) {
+        clearTimeout(timerEntry.timeout);
+        typingTimers.delete(key);
+        cleared++;
+      }
+    }
+    
+    if (cleared > 0) {
+      logger.info('Cleared socket typing timers on disconnect', { socketId, count: cleared });
+    }
+    
+    return cleared;
+  } catch (error) {
+    logger.error('Failed to clear socket typing timers', error, { socketId });
+    return 0;
+  }
+};
+
 /**
  * Periodic cleanup of stale typing timers (e.g., for orphaned sockets)
  * Should be called periodically (e.g., every minute) to prevent memory leaks
@@ -176,6 +206,7 @@ export default {
   setTypingTimer,
   clearTypingTimer,
   clearUserTypingTimers,
+  clearSocketTypingTimers,
   cleanupStaleTypingTimers,
   getTypingTimersCount,
   startPeriodicCleanup,
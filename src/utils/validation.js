@@ -7,6 +7,7 @@
  */
 
 import { createLogger } from '../middleware/logger.js';
+import { ErrorTypes, createSocketError } from '../middleware/errorHandler.js';
 
 const logger = createLogger('Validation');
 
@@ -16,53 +17,142 @@ const MAX_USER_ID_LENGTH = parseInt(process.env.MAX_USER_ID_LENGTH || '256', 10)
 const MAX_RECEIVER_ID_LENGTH = parseInt(process.env.MAX_RECEIVER_ID_LENGTH || '256', 10);
 const MAX_GROUP_ID_LENGTH = parseInt(process.env.MAX_GROUP_ID_LENGTH || '256', 10);
 const MAX_ROOM_ID_LENGTH = parseInt(process.env.MAX_ROOM_ID_LENGTH || '256', 10);
+const MAX_CLIENT_MSG_ID_LENGTH = parseInt(process.env.MAX_CLIENT_MSG_ID_LENGTH || '128', 10);
+const MAX_TOKEN_LENGTH = parseInt(process.env.MAX_TOKEN_LENGTH || '8192', 10);
+const MAX_TOKEN_ID_LENGTH = parseInt(process.env.MAX_TOKEN_ID_LENGTH || '256', 10);
+const MAX_REVOCATION_REASON_LENGTH = parseInt(process.env.MAX_REVOCATION_REASON_LENGTH || '64', 10);
+const MAX_MESSAGE_ID_LENGTH = parseInt(process.env.MAX_MESSAGE_ID_LENGTH || '256', 10);
+const MAX_HISTORY_LIMIT = parseInt(process.env.MAX_HISTORY_LIMIT || '100', 10);
+const MAX_STATUS_BATCH_SIZE = parseInt(process.env.MAX_STATUS_BATCH_SIZE || '100', 10);
+const MAX_PRESENCE_BATCH_SIZE = parseInt(process.env.MAX_PRESENCE_BATCH_SIZE || '200', 10);
+const MAX_CUSTOM_STATUS_LENGTH = parseInt(process.env.MAX_CUSTOM_STATUS_LENGTH || '100', 10);
+const MAX_CUSTOM_STATUS_DAYS = parseInt(process.env.MAX_CUSTOM_STATUS_DAYS || '7', 10);
+const MAX_CUSTOM_STATUS_MS = MAX_CUSTOM_STATUS_DAYS * 24 * 60 * 60 * 1000;
 const MAX_MESSAGE_EXPIRY_HOURS = parseInt(process.env.MAX_MESSAGE_EXPIRY_HOURS || '24', 10);
 const MAX_MESSAGE_EXPIRY_MS = MAX_MESSAGE_EXPIRY_HOURS * 60 * 60 * 1000;
+const MESSAGE_EDIT_WINDOW_MINUTES = parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES || '15', 10);
+const MESSAGE_EDIT_WINDOW_MS = MESSAGE_EDIT_WINDOW_MINUTES * 60 * 1000;
+
+// Supported message deletion modes
+export const DELETE_MODES = ['for_me', 'for_everyone'];
+
+// Privacy settings (true = shared):
+// • read_receipts      - senders see that the user read their messages
+// • typing_indicators  - others see the user typing
+// • online_status      - others see the user come online / go offline
+// • last_seen          - others see when the user was last online
+export const PRIVACY_SETTINGS = ['read_receipts', 'typing_indicators', 'online_status', 'last_seen'];
+
+// Statuses a user can choose (set_status); 'invisible' looks offline to others
+export const USER_STATUSES = ['online', 'away', 'busy', 'invisible'];
+
+// A reaction is a single emoji (grapheme): pictographs, flags, keycaps,
+// skin tone modifiers and ZWJ sequences
+const EMOJI_CHARS = /^[\p{Extended_Pictographic}\p{Regional_Indicator}\p{Emoji_Modifier}\u200d\ufe0f\u20e3#*0-9]+$/u;
+const EMOJI_BASE = /[\p{Extended_Pictographic}\p{Regional_Indicator}\u20e3]/u;
+const MAX_REACTION_LENGTH = parseInt(process.env.MAX_REACTION_LENGTH || '32', 10);
+const graphemes = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+/**
+ * Check that a value is exactly one emoji
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+const isSingleEmoji = (value) => (
+  typeof value === 'string' &&
+  value.length <= MAX_REACTION_LENGTH &&
+  EMOJI_CHARS.test(value) &&
+  EMOJI_BASE.test(value) &&
+  Array.from(graphemes.segment(value)).length === 1
+);
+
+/**
+ * Throw a validation error listing every invalid field
+ * The error's details are [{ field, message }] so clients can highlight inputs
+ *
+ * @param {Array<{ field: string, message: string }>} errors - Collected errors
+ * @throws {AppError} VALIDATION_FAILED
+ */
+const throwValidationError = (errors) => {
+  throw ErrorTypes.VALIDATION_ERROR(
+    `Validation error: ${errors.map(error => error.message).join(', ')}`,
+    errors
+  );
+};
+
+/**
+ * Collect errors for message content (shared by send and edit)
+ * @param {*} content - Content to check
+ * @param {Array} errors - Error list to append to
+ */
+const checkContent = (content, errors) => {
+  if (!content) {
+    errors.push({ field: 'content', message: 'content is required' });
+  } else if (typeof content !== 'string') {
+    errors.push({ field: 'content', message: 'content must be a string' });
+  } else if (content.trim().length === 0) {
+    errors.push({ field: 'content', message: 'content cannot be empty' });
+  } else if (content.length > MAX_MESSAGE_LENGTH) {
+    errors.push({ field: 'content', message: `content must be less than ${MAX_MESSAGE_LENGTH} characters` });
+  }
+};
 
 /**
  * Validate message data
  * @param {object} message - Message object to validate
- * @throws {Error} If validation fails
+ * @throws {AppError} VALIDATION_FAILED with the invalid fields as details
  */
 export const validateMessage = (message) => {
   const errors = [];
 
   // Validate sender_id
   if (!message.sender_id) {
-    errors.push('sender_id is required');
+    errors.push({ field: 'sender_id', message: 'sender_id is required' });
   } else if (typeof message.sender_id !== 'string' || message.sender_id.trim().length === 0) {
-    errors.push('sender_id must be a non-empty string');
+    errors.push({ field: 'sender_id', message: 'sender_id must be a non-empty string' });
   } else if (message.sender_id.length > MAX_USER_ID_LENGTH) {
-    errors.push(`sender_id must be less than ${MAX_USER_ID_LENGTH} characters`);
+    errors.push({ field: 'sender_id', message: `sender_id must be less than ${MAX_USER_ID_LENGTH} characters` });
   }
 
   // Validate receiver OR group context
   if (!message.receiver_id && !message.group_id) {
-    errors.push('Either receiver_id or group_id is required');
+    errors.push({ field: 'receiver_id', message: 'Either receiver_id or group_id is required' });
   }
 
   if (message.receiver_id && (typeof message.receiver_id !== 'string' || message.receiver_id.length > MAX_RECEIVER_ID_LENGTH)) {
-    errors.push(`receiver_id must be a string less than ${MAX_RECEIVER_ID_LENGTH} characters`);
+    errors.push({ field: 'receiver_id', message: `receiver_id must be a string less than ${MAX_RECEIVER_ID_LENGTH} characters` });
   }
 
   if (message.group_id && (typeof message.group_id !== 'string' || message.group_id.length > MAX_GROUP_ID_LENGTH)) {
-    errors.push(`group_id must be a string less than ${MAX_GROUP_ID_LENGTH} characters`);
+    errors.push({ field: 'group_id', message: `group_id must be a string less than ${MAX_GROUP_ID_LENGTH} characters` });
   }
 
   // Validate content
-  if (!message.content) {
-    errors.push('content is required');
-  } else if (typeof message.content !== 'string') {
-    errors.push('content must be a string');
-  } else if (message.content.trim().length === 0) {
-    errors.push('content cannot be empty');
-  } else if (message.content.length > MAX_MESSAGE_LENGTH) {
-    errors.push(`content must be less than ${MAX_MESSAGE_LENGTH} characters`);
-  }
+  checkContent(message.content, errors);
 
   // Validate message_type if provided
   if (message.message_type && !['text', 'image', 'file', 'video'].includes(message.message_type)) {
-    errors.push('message_type must be one of: text, image, file, video');
+    errors.push({ field: 'message_type', message: 'message_type must be one of: text, image, file, video' });
+  }
+
+  // Validate reply / thread references if provided
+  for (const field of ['reply_to', 'thread_root_id']) {
+    const value = message[field];
+    if (value !== undefined && value !== null && (
+      typeof value !== 'string' || value.length === 0 || value.length > MAX_MESSAGE_ID_LENGTH
+    )) {
+      errors.push({ field, message: `${field} must be a message ID less than ${MAX_MESSAGE_ID_LENGTH} characters` });
+    }
+  }
+
+  // Validate client_msg_id (idempotency key) if provided
+  if (message.client_msg_id !== undefined && (
+    typeof message.client_msg_id !== 'string' ||
+    message.client_msg_id.trim().length === 0 ||
+    message.client_msg_id.length > MAX_CLIENT_MSG_ID_LENGTH
+  )) {
+    errors.push({ field: 'client_msg_id', message: `client_msg_id must be a non-empty string less than ${MAX_CLIENT_MSG_ID_LENGTH} characters` });
   }
 
   // Validate expires_at if provided
@@ -71,106 +161,482 @@ export const validateMessage = (message) => {
     const now = Date.now();
     
     if (isNaN(expiryTime)) {
-      errors.push('expires_at must be a valid ISO timestamp');
+      errors.push({ field: 'expires_at', message: 'expires_at must be a valid ISO timestamp' });
     } else if (expiryTime <= now) {
-      errors.push('expires_at must be in the future');
+      errors.push({ field: 'expires_at', message: 'expires_at must be in the future' });
     } else if (expiryTime - now > MAX_MESSAGE_EXPIRY_MS) {
-      errors.push(`expires_at cannot be more than ${MAX_MESSAGE_EXPIRY_HOURS} hours in the future`);
+      errors.push({ field: 'expires_at', message: `expires_at cannot be more than ${MAX_MESSAGE_EXPIRY_HOURS} hours in the future` });
     }
   }
 
   if (errors.length > 0) {
     logger.warn('Message validation failed', { errors, sender_id: message.sender_id });
-    throw new Error(`Validation error: ${errors.join(', ')}`);
+    throwValidationError(errors);
   }
 };
 
 /**
  * Validate typing indicator data
  * @param {object} data - Typing data to validate
- * @throws {Error} If validation fails
+ * @throws {AppError} VALIDATION_FAILED with the invalid fields as details
  */
 export const validateTypingData = (data) => {
   const errors = [];
 
   if (!data.receiver_id && !data.group_id) {
-    errors.push('Either receiver_id or group_id is required');
+    errors.push({ field: 'receiver_id', message: 'Either receiver_id or group_id is required' });
   }
 
   if (data.receiver_id && (typeof data.receiver_id !== 'string' || data.receiver_id.length > MAX_RECEIVER_ID_LENGTH)) {
-    errors.push(`receiver_id must be a string less than ${MAX_RECEIVER_ID_LENGTH} characters`);
+    errors.push({ field: 'receiver_id', message: `receiver_id must be a string less than ${MAX_RECEIVER_ID_LENGTH} characters` });
   }
 
   if (data.group_id && (typeof data.group_id !== 'string' || data.group_id.length > MAX_GROUP_ID_LENGTH)) {
-    errors.push(`group_id must be a string less than ${MAX_GROUP_ID_LENGTH} characters`);
+    errors.push({ field: 'group_id', message: `group_id must be a string less than ${MAX_GROUP_ID_LENGTH} characters` });
   }
 
   if (errors.length > 0) {
-    throw new Error(`Validation error: ${errors.join(', ')}`);
+    throwValidationError(errors);
   }
 };
 
 /**
  * Validate room data
  * @param {object} data - Room data to validate
- * @throws {Error} If validation fails
+ * @throws {AppError} VALIDATION_FAILED with the invalid fields as details
  */
 export const validateRoomData = (data) => {
   const errors = [];
 
   if (!data.room_id) {
-    errors.push('room_id is required');
+    errors.push({ field: 'room_id', message: 'room_id is required' });
   } else if (typeof data.room_id !== 'string' || data.room_id.length === 0) {
-    errors.push('room_id must be a non-empty string');
+    errors.push({ field: 'room_id', message: 'room_id must be a non-empty string' });
   } else if (data.room_id.length > MAX_ROOM_ID_LENGTH) {
-    errors.push(`room_id must be less than ${MAX_ROOM_ID_LENGTH} characters`);
+    errors.push({ field: 'room_id', message: `room_id must be less than ${MAX_ROOM_ID_LENGTH} characters` });
   }
 
   if (errors.length > 0) {
-    throw new Error(`Validation error: ${errors.join(', ')}`);
+    throwValidationError(errors);
   }
 };
 
 /**
  * Validate group data
  * @param {object} data - Group data to validate
- * @throws {Error} If validation fails
+ * @throws {AppError} VALIDATION_FAILED with the invalid fields as details
  */
 export const validateGroupData = (data) => {
   const errors = [];
 
   if (!data.group_id) {
-    errors.push('group_id is required');
+    errors.push({ field: 'group_id', message: 'group_id is required' });
   } else if (typeof data.group_id !== 'string' || data.group_id.length === 0) {
-    errors.push('group_id must be a non-empty string');
+    errors.push({ field: 'group_id', message: 'group_id must be a non-empty string' });
   } else if (data.group_id.length > MAX_GROUP_ID_LENGTH) {
-    errors.push(`group_id must be less than ${MAX_GROUP_ID_LENGTH} characters`);
+    errors.push({ field: 'group_id', message: `group_id must be less than ${MAX_GROUP_ID_LENGTH} characters` });
   }
 
   if (errors.length > 0) {
-    throw new Error(`Validation error: ${errors.join(', ')}`);
+    throwValidationError(errors);
   }
 };
 
 /**
  * Validate message status data
+ * Takes a single `message_id` or a batch of `message_ids`; a batch names the
+ * sender of its messages (`sender_id`) or their group (`group_id`)
  * @param {object} data - Message status data to validate
- * @throws {Error} If validation fails
+ * @throws {AppError} VALIDATION_FAILED with the invalid fields as details
  */
 export const validateMessageStatusData = (data) => {
   const errors = [];
 
-  if (!data.message_id) {
-    errors.push('message_id is required');
+  if (data.message_ids !== undefined) {
+    if (data.message_id) {
+      errors.push({ field: 'message_ids', message: 'Send either message_id or message_ids, not both' });
+    } else if (!Array.isArray(data.message_ids) || data.message_ids.length === 0 || data.message_ids.length > MAX_STATUS_BATCH_SIZE) {
+      errors.push({ field: 'message_ids', message: `message_ids must be an array of 1 to ${MAX_STATUS_BATCH_SIZE} message IDs` });
+    } else if (data.message_ids.some(id => typeof id !== 'string' || id.length === 0 || id.length > MAX_MESSAGE_ID_LENGTH)) {
+      errors.push({ field: 'message_ids', message: `message_ids must only contain non-empty strings less than ${MAX_MESSAGE_ID_LENGTH} characters` });
+    }
+
+    if (!data.sender_id && !data.group_id) {
+      errors.push({ field: 'sender_id', message: 'sender_id is required with message_ids' });
+    }
+  } else if (!data.message_id) {
+    errors.push({ field: 'message_id', message: 'message_id is required' });
   } else if (typeof data.message_id !== 'string' || data.message_id.length === 0) {
-    errors.push('message_id must be a non-empty string');
+    errors.push({ field: 'message_id', message: 'message_id must be a non-empty string' });
   }
 
   if (data.sender_id && (typeof data.sender_id !== 'string' || data.sender_id.length > MAX_USER_ID_LENGTH)) {
-    errors.push(`sender_id must be a string less than ${MAX_USER_ID_LENGTH} characters`);
+    errors.push({ field: 'sender_id', message: `sender_id must be a string less than ${MAX_USER_ID_LENGTH} characters` });
+  }
+
+  if (data.group_id && (typeof data.group_id !== 'string' || data.group_id.length > MAX_GROUP_ID_LENGTH)) {
+    errors.push({ field: 'group_id', message: `group_id must be a string less than ${MAX_GROUP_ID_LENGTH} characters` });
+  }
+
+  if (errors.length > 0) {
+    throwValidationError(errors);
+  }
+};
+
+/**
+ * Validate message deletion data
+ * @param {object} data - Deletion data to validate
+ * @throws {AppError} VALIDATION_FAILED with the invalid fields as details
+ */
+export const validateDeleteData = (data) => {
+  const errors = [];
+
+  if (!data.message_id) {
+    errors.push({ field: 'message_id', message: 'message_id is required' });
+  } else if (typeof data.message_id !== 'string' || data.message_id.length === 0) {
+    errors.push({ field: 'message_id', message: 'message_id must be a non-empty string' });
+  }
+
+  if (data.mode && !DELETE_MODES.includes(data.mode)) {
+    errors.push({ field: 'mode', message: `mode must be one of: ${DELETE_MODES.join(', ')}` });
+  }
+
+  if (errors.length > 0) {
+    throwValidationError(errors);
+  }
+};
+
+/**
+ * Validate message edit data
+ * @param {object} data - Edit data to validate ({ message_id, content })
+ * @throws {AppError} VALIDATION_FAILED with the invalid fields as details
+ */
+export const validateEditData = (data) => {
+  const errors = [];
+
+  if (!data.message_id) {
+    errors.push({ field: 'message_id', message: 'message_id is required' });
+  } else if (typeof data.message_id !== 'string' || data.message_id.length > MAX_MESSAGE_ID_LENGTH) {
+    errors.push({ field: 'message_id', message: `message_id must be a string less than ${MAX_MESSAGE_ID_LENGTH} characters` });
+  }
+
+  checkContent(data.content, errors);
+
+  if (errors.length > 0) {
+    throwValidationError(errors);
+  }
+};
+
+/**
+ * Check that a message is still inside the edit window
+ * @param {object} message - Stored message (timestamp or created_at)
+ * @throws {AppError} EDIT_WINDOW_EXPIRED if the window has passed
+ */
+export const validateEditWindow = (message) => {
+  const sentAt = new Date(message.timestamp || message.created_at || message.createdAt).getTime();
+
+  if (isNaN(sentAt) || Date.now() - sentAt > MESSAGE_EDIT_WINDOW_MS) {
+    throw createSocketError(
+      'EDIT_WINDOW_EXPIRED',
+      `Messages can only be edited within ${MESSAGE_EDIT_WINDOW_MINUTES} minutes of sending`
+    );
+  }
+};
+
+/**
+ * Validate reaction data
+ * @param {object} data - Reaction data to validate ({ message_id, emoji })
+ * @throws {AppError} VALIDATION_FAILED with the invalid fields as details
+ */
+export const validateReactionData = (data) => {
+  const errors = [];
+
+  if (!data.message_id) {
+    errors.push({ field: 'message_id', message: 'message_id is required' });
+  } else if (typeof data.message_id !== 'string' || data.message_id.length > MAX_MESSAGE_ID_LENGTH) {
+    errors.push({ field: 'message_id', message: `message_id must be a string less than ${MAX_MESSAGE_ID_LENGTH} characters` });
+  }
+
+  const { emoji } = data;
+  if (!emoji) {
+    errors.push({ field: 'emoji', message: 'emoji is required' });
+  } else if (!isSingleEmoji(emoji)) {
+    errors.push({ field: 'emoji', message: 'emoji must be a single emoji' });
+  }
+
+  if (errors.length > 0) {
+    throwValidationError(errors);
+  }
+};
+
+/**
+ * Validate thread subscription data
+ * @param {object} data - Thread data to validate ({ thread_root_id })
+ * @throws {AppError} VALIDATION_FAILED with the invalid fields as details
+ */
+export const validateThreadData = (data) => {
+  const errors = [];
+
+  if (!data.thread_root_id) {
+    errors.push({ field: 'thread_root_id', message: 'thread_root_id is required' });
+  } else if (typeof data.thread_root_id !== 'string' || data.thread_root_id.length > MAX_MESSAGE_ID_LENGTH) {
+    errors.push({ field: 'thread_root_id', message: `thread_root_id must be a string less than ${MAX_MESSAGE_ID_LENGTH} characters` });
+  }
+
+  if (errors.length > 0) {
+    throwValidationError(errors);
+  }
+};
+
+/**
+ * Validate sync request data
+ * @param {object} data - Sync data to validate ({ after, limit })
+ * @throws {AppError} VALIDATION_FAILED with the invalid fields as details
+ */
+export const validateSyncData = (data) => {
+  const errors = [];
+
+  if (data.after !== undefined && data.after !== null && (
+    typeof data.after !== 'string' ||
+    data.after.length === 0 ||
+    data.after.length > MAX_MESSAGE_ID_LENGTH
+  )) {
+    errors.push({ field: 'after', message: `after must be a message ID less than ${MAX_MESSAGE_ID_LENGTH} characters` });
+  }
+
+  if (data.limit !== undefined && (!Number.isInteger(data.limit) || data.limit < 1)) {
+    errors.push({ field: 'limit', message: 'limit must be a positive integer' });
+  }
+
+  if (errors.length > 0) {
+    throwValidationError(errors);
+  }
+};
+
+/**
+ * Validate history request data
+ * @param {object} data - History data to validate ({ receiver_id | group_id, before, after, limit })
+ * @throws {AppError} VALIDATION_FAILED with the invalid fields as details
+ */
+export const validateHistoryData = (data) => {
+  const errors = [];
+
+  if (!data.receiver_id && !data.group_id) {
+    errors.push({ field: 'receiver_id', message: 'Either receiver_id or group_id is required' });
+  } else if (data.receiver_id && data.group_id) {
+    errors.push({ field: 'group_id', message: 'Only one of receiver_id or group_id may be given' });
+  }
+
+  if (data.receiver_id && (typeof data.receiver_id !== 'string' || data.receiver_id.length > MAX_RECEIVER_ID_LENGTH)) {
+    errors.push({ field: 'receiver_id', message: `receiver_id must be a string less than ${MAX_RECEIVER_ID_LENGTH} characters` });
+  }
+
+  if (data.group_id && (typeof data.group_id !== 'string' || data.group_id.length > MAX_GROUP_ID_LENGTH)) {
+    errors.push({ field: 'group_id', message: `group_id must be a string less than ${MAX_GROUP_ID_LENGTH} characters` });
+  }
+
+  for (const field of ['before', 'after']) {
+    const value = data[field];
+    if (value !== undefined && value !== null && (
+      typeof value !== 'string' || value.length === 0 || value.length > MAX_MESSAGE_ID_LENGTH
+    )) {
+      errors.push({ field, message: `${field} must be a message ID less than ${MAX_MESSAGE_ID_LENGTH} characters` });
+    }
+  }
+
+  if (data.before && data.after) {
+    errors.push({ field: 'after', message: 'Only one of before or after may be given' });
+  }
+
+  if (data.limit !== undefined && (!Number.isInteger(data.limit) || data.limit < 1 || data.limit > MAX_HISTORY_LIMIT)) {
+    errors.push({ field: 'limit', message: `limit must be an integer between 1 and ${MAX_HISTORY_LIMIT}` });
+  }
+
+  if (errors.length > 0) {
+    throwValidationError(errors);
+  }
+};
+
+/**
+ * Validate a privacy settings update
+ * @param {object} data - Settings to change ({ read_receipts?, typing_indicators?, online_status?, last_seen? })
+ * @throws {AppError} VALIDATION_FAILED with the invalid fields as details
+ */
+export const validatePrivacySettings = (data) => {
+  const errors = [];
+  const fields = Object.keys(data || {});
+
+  if (fields.length === 0) {
+    errors.push({ field: 'settings', message: `At least one of ${PRIVACY_SETTINGS.join(', ')} is required` });
+  }
+
+  for (const field of fields) {
+    if (!PRIVACY_SETTINGS.includes(field)) {
+      errors.push({ field, message: `${field} is not a privacy setting` });
+    } else if (typeof data[field] !== 'boolean') {
+      errors.push({ field, message: `${field} must be a boolean` });
+    }
+  }
+
+  if (errors.length > 0) {
+    throwValidationError(errors);
+  }
+};
+
+/**
+ * Validate a list of users for presence (subscribe, unsubscribe, last seen)
+ * @param {object} data - { user_ids }
+ * @throws {AppError} VALIDATION_FAILED with the invalid fields as details
+ */
+export const validatePresenceSubscription = (data) => {
+  const errors = [];
+
+  if (!Array.isArray(data.user_ids) || data.user_ids.length === 0 || data.user_ids.length > MAX_PRESENCE_BATCH_SIZE) {
+    errors.push({ field: 'user_ids', message: `user_ids must be an array of 1 to ${MAX_PRESENCE_BATCH_SIZE} user IDs` });
+  } else if (data.user_ids.some(id => typeof id !== 'string' || id.length === 0 || id.length > MAX_USER_ID_LENGTH)) {
+    errors.push({ field: 'user_ids', message: `user_ids must only contain non-empty strings less than ${MAX_USER_ID_LENGTH} characters` });
+  }
+
+  if (errors.length > 0) {
+    throwValidationError(errors);
+  }
+};
+
+/**
+ * Validate a status change
+ * @param {object} data - { status?, custom_status?: { text?, emoji?, expires_at? } | null }
+ * @throws {AppError} VALIDATION_FAILED with the invalid fields as details
+ */
+export const validateStatusData = (data) => {
+  const errors = [];
+  const { status, custom_status } = data;
+
+  if (status === undefined && custom_status === undefined) {
+    errors.push({ field: 'status', message: 'status or custom_status is required' });
+  }
+
+  if (status !== undefined && !USER_STATUSES.includes(status)) {
+    errors.push({ field: 'status', message: `status must be one of: ${USER_STATUSES.join(', ')}` });
+  }
+
+  // null clears the custom status
+  if (custom_status !== undefined && custom_status !== null) {
+    const { text, emoji, expires_at } = custom_status;
+
+    if (typeof custom_status !== 'object' || Array.isArray(custom_status)) {
+      errors.push({ field: 'custom_status', message: 'custom_status must be an object or null' });
+    } else if (!text && !emoji) {
+      errors.push({ field: 'custom_status', message: 'custom_status requires text or emoji' });
+    }
+
+    if (text !== undefined && (typeof text !== 'string' || text.length > MAX_CUSTOM_STATUS_LENGTH)) {
+      errors.push({ field: 'custom_status.text', message: `custom_status.text must be a string of at most ${MAX_CUSTOM_STATUS_LENGTH} characters` });
+    }
+
+    if (emoji !== undefined && !isSingleEmoji(emoji)) {
+      errors.push({ field: 'custom_status.emoji', message: 'custom_status.emoji must be a single emoji' });
+    }
+
+    if (expires_at !== undefined) {
+      const expiryTime = new Date(expires_at).getTime();
+      const now = Date.now();
+
+      if (typeof expires_at !== 'string' || isNaN(expiryTime)) {
+        errors.push({ field: 'custom_status.expires_at', message: 'custom_status.expires_at must be a valid ISO timestamp' });
+      } else if (expiryTime <= now) {
+        errors.push({ field: 'custom_status.expires_at', message: 'custom_status.expires_at must be in the future' });
+      } else if (expiryTime - now > MAX_CUSTOM_STATUS_MS) {
+        errors.push({ field: 'custom_status.expires_at', message: `custom_status.expires_at cannot be more than ${MAX_CUSTOM_STATUS_DAYS} days in the future` });
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    throwValidationError(errors);
+  }
+};
+
+/**
+ * Validate a token refresh
+ * @param {object} data - { token }
+ * @throws {AppError} VALIDATION_FAILED with the invalid fields as details
+ */
+export const validateTokenData = (data) => {
+  const errors = [];
+
+  if (!data.token) {
+    errors.push({ field: 'token', message: 'token is required' });
+  } else if (typeof data.token !== 'string' || data.token.length > MAX_TOKEN_LENGTH) {
+    errors.push({ field: 'token', message: `token must be a string less than ${MAX_TOKEN_LENGTH} characters` });
+  }
+
+  if (errors.length > 0) {
+    throwValidationError(errors);
+  }
+};
+
+/**
+ * Validate a group membership change from chat-service
+ * @param {object} data - { group_id, user_id?, removed? }
+ * @throws {AppError} VALIDATION_FAILED with the invalid fields as details
+ */
+export const validateGroupMembershipChange = (data) => {
+  const errors = [];
+  const { group_id, user_id, removed } = data || {};
+
+  if (!group_id) {
+    errors.push({ field: 'group_id', message: 'group_id is required' });
+  } else if (typeof group_id !== 'string' || group_id.length > MAX_GROUP_ID_LENGTH) {
+    errors.push({ field: 'group_id', message: `group_id must be a string less than ${MAX_GROUP_ID_LENGTH} characters` });
+  }
+
+  if (user_id !== undefined && (typeof user_id !== 'string' || user_id.length === 0 || user_id.length > MAX_USER_ID_LENGTH)) {
+    errors.push({ field: 'user_id', message: `user_id must be a non-empty string less than ${MAX_USER_ID_LENGTH} characters` });
+  }
+
+  if (removed !== undefined && typeof removed !== 'boolean') {
+    errors.push({ field: 'removed', message: 'removed must be a boolean' });
+  }
+
+  if (errors.length > 0) {
+    throwValidationError(errors);
+  }
+};
+
+/**
+ * Validate a revocation request from another service
+ * @param {object} data - { user_id, token_id?, expires_at?, reason? }
+ * @throws {AppError} VALIDATION_FAILED with the invalid fields as details
+ */
+export const validateRevocationData = (data) => {
+  const errors = [];
+  const { user_id, token_id, expires_at, reason } = data || {};
+
+  if (!user_id) {
+    errors.push({ field: 'user_id', message: 'user_id is required' });
+  } else if (typeof user_id !== 'string' || user_id.length > MAX_USER_ID_LENGTH) {
+    errors.push({ field: 'user_id', message: `user_id must be a string less than ${MAX_USER_ID_LENGTH} characters` });
+  }
+
+  if (token_id !== undefined && (typeof token_id !== 'string' || token_id.length === 0 || token_id.length > MAX_TOKEN_ID_LENGTH)) {
+    errors.push({ field: 'token_id', message: `token_id must be a non-empty string less than ${MAX_TOKEN_ID_LENGTH} characters` });
+  }
+
+  if (expires_at !== undefined) {
+    const expiryTime = new Date(expires_at).getTime();
+
+    if (typeof expires_at !== 'string' || isNaN(expiryTime)) {
+      errors.push({ field: 'expires_at', message: 'expires_at must be a valid ISO timestamp' });
+    } else if (expiryTime <= Date.now()) {
+      errors.push({ field: 'expires_at', message: 'expires_at must be in the future' });
+    }
+  }
+
+  if (reason !== undefined && (typeof reason !== 'string' || reason.length === 0 || reason.length > MAX_REVOCATION_REASON_LENGTH)) {
+    errors.push({ field: 'reason', message: `reason must be a non-empty string less than ${MAX_REVOCATION_REASON_LENGTH} characters` });
   }
 
   if (errors.length > 0) {
-    throw new Error(`Validation error: ${errors.join(', ')}`);
+    throwValidationError(errors);
   }
 };
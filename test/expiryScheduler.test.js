@@ -0,0 +1,198 @@
+/**
+ * Expiry scheduler: timing wheel, reload, claims and retries on fake timers
+ * against the file expiry store in a temp dir
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Read by the scheduler when it is imported
+const TICK = 1000;
+const REFRESH_INTERVAL = 1000000;
+const RETRY_DELAY = 5000;
+process.env.EXPIRY_TICK_MS = String(TICK);
+process.env.EXPIRY_REFRESH_INTERVAL = String(REFRESH_INTERVAL);
+process.env.EXPIRY_RETRY_DELAY = String(RETRY_DELAY);
+process.env.EXPIRY_MAX_ATTEMPTS = '3';
+
+const {
+  scheduleExpiry,
+  cancelExpiry,
+  startExpiryScheduler,
+  stopExpiryScheduler,
+  getScheduledExpiryCount,
+} = await import('../src/utils/expiryScheduler.js');
+const { createFileExpiryStore } = await import('../src/utils/expiryStore.js');
+
+const WHEEL_TURN = 512 * TICK;
+const START = Date.UTC(2024, 0, 1);
+
+// Let jobs started by a tick (claim → expire → remove) finish
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+const advance = async (ms) => {
+  for (let elapsed = 0; elapsed < ms; elapsed += TICK) {
+    mock.timers.tick(Math.min(TICK, ms - elapsed));
+    await settle();
+  }
+};
+
+const message = (id, inMs) => ({
+  _id: id,
+  sender_id: 'alice',
+  receiver_id: 'bob',
+  expires_at: new Date(Date.now() + inMs).toISOString(),
+});
+
+describe('expiry scheduler', () => {
+  let dir;
+  let store;
+  let expired;
+
+  const onExpire = async (job) => {
+    expired.push({ messageId: job.messageId, at: Date.now() - START, attempts: job.attempts, notified: job.notified });
+  };
+
+  beforeEach(async () => {
+    mock.timers.enable({ apis: ['setInterval', 'Date'], now: START });
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'expiry-'));
+    store = createFileExpiryStore(dir);
+    expired = [];
+  });
+
+  afterEach(() => {
+    stopExpiryScheduler();
+    mock.timers.reset();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('fires a job on the tick it is due, not before', async () => {
+    await startExpiryScheduler(store, onExpire);
+    await scheduleExpiry(message('m1', 5 * TICK));
+
+    await advance(4 * TICK);
+    assert.deepEqual(expired, []);
+
+    await advance(TICK);
+    assert.deepEqual(expired.map(entry => [entry.messageId, entry.at]), [['m1', 5 * TICK]]);
+    assert.equal(store.count(), 0);
+  });
+
+  it('waits full wheel turns for jobs due after more than one turn', async () => {
+    await startExpiryScheduler(store, onExpire);
+    await scheduleExpiry(message('one-turn', WHEEL_TURN));
+    await scheduleExpiry(message('past-one-turn', WHEEL_TURN + 3 * TICK));
+    await scheduleExpiry(message('two-turns', 2 * WHEEL_TURN));
+
+    // Same slot as a job 3 ticks out, one round later
+    await advance(3 * TICK);
+    assert.deepEqual(expired, []);
+
+    await advance(2 * WHEEL_TURN - 3 * TICK);
+    assert.deepEqual(expired.map(entry => [entry.messageId, entry.at]), [
+      ['one-turn', WHEEL_TURN],
+      ['past-one-turn', WHEEL_TURN + 3 * TICK],
+      ['two-turns', 2 * WHEEL_TURN],
+    ]);
+  });
+
+  it('loads jobs beyond the horizon on a later refresh', async () => {
+    await startExpiryScheduler(store, onExpire);
+    const dueIn = 3 * REFRESH_INTERVAL;
+    await scheduleExpiry(message('far', dueIn));
+    assert.equal(getScheduledExpiryCount(), 0);
+    assert.equal(store.count(), 1);
+
+    await advance(REFRESH_INTERVAL);
+    assert.equal(getScheduledExpiryCount(), 1);
+
+    await advance(dueIn - REFRESH_INTERVAL);
+    assert.deepEqual(expired.map(entry => [entry.messageId, entry.at]), [['far', dueIn]]);
+  });
+
+  it('runs jobs that became overdue while stopped on the first tick after a reload', async () => {
+    await startExpiryScheduler(store, onExpire);
+    await scheduleExpiry(message('m1', 2 * TICK));
+    await scheduleExpiry(message('m2', 60 * TICK));
+    stopExpiryScheduler();
+
+    // Down for a while: both jobs are overdue when the gateway comes back
+    mock.timers.tick(120 * TICK);
+    const reloaded = createFileExpiryStore(dir);
+    assert.equal(await startExpiryScheduler(reloaded, onExpire), 2);
+
+    await advance(TICK);
+    assert.deepEqual(expired.map(entry => entry.messageId), ['m1', 'm2']);
+    assert.equal(createFileExpiryStore(dir).count(), 0);
+  });
+
+  it('does not run cancelled jobs', async () => {
+    await startExpiryScheduler(store, onExpire);
+    await scheduleExpiry(message('m1', 2 * TICK));
+    await cancelExpiry('m1');
+
+    await advance(5 * TICK);
+    assert.deepEqual(expired, []);
+    assert.equal(store.count(), 0);
+  });
+
+  it('leaves jobs claimed by another instance to it', async () => {
+    const claims = [];
+    const claimedElsewhere = {
+      ...store,
+      claim: async (messageId, leaseMs) => {
+        claims.push({ messageId, leaseMs });
+        return false;
+      },
+    };
+    await startExpiryScheduler(claimedElsewhere, onExpire);
+    await scheduleExpiry(message('m1', 2 * TICK));
+
+    await advance(3 * TICK);
+    assert.deepEqual(expired, []);
+    assert.deepEqual(claims, [{ messageId: 'm1', leaseMs: 60000 }]);
+    assert.equal(store.count(), 1);
+  });
+
+  it('retries failed jobs as notified after the retry delay', async () => {
+    let failures = 1;
+    await startExpiryScheduler(store, async (job) => {
+      await onExpire(job);
+      if (failures-- > 0) {
+        throw new Error('chat-service unavailable');
+      }
+    });
+    await scheduleExpiry(message('m1', 2 * TICK));
+
+    await advance(2 * TICK);
+    assert.deepEqual(store.loadDue(Infinity).map(job => [job.attempts, job.notified, job.expiresAt - START]), [
+      [1, true, 2 * TICK + RETRY_DELAY],
+    ]);
+
+    // The retry survives a restart
+    assert.equal(createFileExpiryStore(dir).count(), 1);
+
+    await advance(RETRY_DELAY);
+    assert.deepEqual(expired, [
+      { messageId: 'm1', at: 2 * TICK, attempts: 0, notified: false },
+      { messageId: 'm1', at: 2 * TICK + RETRY_DELAY, attempts: 1, notified: true },
+    ]);
+    assert.equal(store.count(), 0);
+  });
+
+  it('gives up after EXPIRY_MAX_ATTEMPTS', async () => {
+    await startExpiryScheduler(store, async (job) => {
+      await onExpire(job);
+      throw new Error('chat-service unavailable');
+    });
+    await scheduleExpiry(message('m1', TICK));
+
+    await advance(TICK + 5 * RETRY_DELAY);
+    assert.deepEqual(expired.map(entry => entry.attempts), [0, 1, 2]);
+    assert.equal(store.count(), 0);
+    assert.equal(getScheduledExpiryCount(), 0);
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * File journal: durable append, replay and compaction in a temp dir
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createFileJournal } from '../src/utils/fileJournal.js';
+
+describe('file journal', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('creates its directory', () => {
+    const nested = path.join(dir, 'a', 'b');
+    const journal = createFileJournal(nested, 'test');
+    assert.equal(journal.path, path.join(nested, 'test.jsonl'));
+    assert.equal(fs.existsSync(nested), true);
+  });
+
+  it('reads nothing before the first append', () => {
+    const journal = createFileJournal(dir, 'test');
+    assert.deepEqual(journal.readAll(), []);
+    assert.equal(journal.size, 0);
+  });
+
+  it('appends one JSON line per record, on disk before append returns', () => {
+    const journal = createFileJournal(dir, 'test');
+    journal.append({ op: 'add', id: 1 });
+    journal.append({ op: 'add', id: 2 });
+
+    assert.equal(fs.readFileSync(journal.path, 'utf8'), '{"op":"add","id":1}\n{"op":"add","id":2}\n');
+    assert.equal(journal.size, 2);
+  });
+
+  it('replays records in append order after a reload', () => {
+    const first = createFileJournal(dir, 'test');
+    first.append({ id: 1 });
+    first.append({ id: 2 });
+    first.append({ id: 3 });
+
+    const reloaded = createFileJournal(dir, 'test');
+    assert.deepEqual(reloaded.readAll(), [{ id: 1 }, { id: 2 }, { id: 3 }]);
+    assert.equal(reloaded.size, 3);
+  });
+
+  it('skips a torn last line', () => {
+    const journal = createFileJournal(dir, 'test');
+    journal.append({ id: 1 });
+    journal.append({ id: 2 });
+    fs.appendFileSync(journal.path, '{"id":3,"mess');
+
+    assert.deepEqual(createFileJournal(dir, 'test').readAll(), [{ id: 1 }, { id: 2 }]);
+  });
+
+  it('skips corrupt lines in the middle and blank lines', () => {
+    const journal = createFileJournal(dir, 'test');
+    fs.writeFileSync(journal.path, '{"id":1}\nnot json\n\n{"id":2}\n');
+
+    assert.deepEqual(journal.readAll(), [{ id: 1 }, { id: 2 }]);
+  });
+
+  it('compacts by replacing the contents atomically', () => {
+    const journal = createFileJournal(dir, 'test');
+    for (let id = 1; id <= 5; id++) {
+      journal.append({ id });
+    }
+
+    journal.rewrite([{ id: 4 }, { id: 5 }]);
+
+    assert.equal(journal.size, 2);
+    assert.deepEqual(createFileJournal(dir, 'test').readAll(), [{ id: 4 }, { id: 5 }]);
+    assert.deepEqual(fs.readdirSync(dir), ['test.jsonl']);
+  });
+
+  it('drops a torn line on compaction so later appends stay readable', () => {
+    const journal = createFileJournal(dir, 'test');
+    journal.append({ id: 1 });
+    fs.appendFileSync(journal.path, '{"id":2,"mess');
+
+    journal.rewrite(journal.readAll());
+    journal.append({ id: 3 });
+
+    assert.deepEqual(createFileJournal(dir, 'test').readAll(), [{ id: 1 }, { id: 3 }]);
+  });
+
+  it('keeps appending after a compaction', () => {
+    const journal = createFileJournal(dir, 'test');
+    journal.append({ id: 1 });
+    journal.rewrite([]);
+    journal.append({ id: 2 });
+
+    assert.equal(journal.size, 1);
+    assert.deepEqual(createFileJournal(dir, 'test').readAll(), [{ id: 2 }]);
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Redis Stand-in
+ *
+ * Minimal in-process Redis-protocol (RESP2) server for tests. It implements
+ * only the commands the gateway's stores use, so the real node-redis client
+ * can talk to it without a Redis server.
+ */
+
+import net from 'net';
+
+/**
+ * Parse complete RESP arrays from a buffer
+ *
+ * @param {Buffer} buffer - Received bytes
+ * @returns {{ commands: string[][], rest: Buffer }} Parsed commands and unparsed bytes
+ */
+const parseCommands = (buffer) => {
+  const commands = [];
+  let offset = 0;
+
+  const readLine = (from) => {
+    const end = buffer.indexOf('\r\n', from);
+    return end === -1 ? null : { line: buffer.toString('utf8', from, end), next: end + 2 };
+  };
+
+  while (offset < buffer.length) {
+    const header = readLine(offset);
+    if (!header) break;
+
+    const count = parseInt(header.line.slice(1), 10);
+    const args = [];
+    let cursor = header.next;
+    for (let i = 0; i < count; i++) {
+      const length = readLine(cursor);
+      if (!length) break;
+      const size = parseInt(length.line.slice(1), 10);
+      if (length.next + size + 2 > buffer.length) break;
+      args.push(buffer.toString('utf8', length.next, length.next + size));
+      cursor = length.next + size + 2;
+    }
+    if (args.length < count) break;
+
+    commands.push(args);
+    offset = cursor;
+  }
+
+  return { commands, rest: buffer.subarray(offset) };
+};
+
+/**
+ * Encode a reply: string (bulk), number (integer), null, array or { error } / { status }
+ */
+const encode = (value) => {
+  if (value === null || value === undefined) return '$-1\r\n';
+  if (typeof value === 'number') return `:${value}\r\n`;
+  if (Array.isArray(value)) return `*${value.length}\r\n${value.map(encode).join('')}`;
+  if (value.error) return `-${value.error}\r\n`;
+  if (value.status) return `+${value.status}\r\n`;
+  return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+};
+
+const OK = { status: 'OK' };
+
+/**
+ * Start a stand-in server on a random local port
+ *
+ * @returns {Promise<{ url: string, data: Map, close: Function }>}
+ *   data holds every key (Map for hashes, Set for sets, string for strings)
+ */
+export const startRedisStandIn = async () => {
+  const data = new Map();
+  const sockets = new Set();
+
+  const typed = (key, Type) => {
+    if (!data.has(key)) data.set(key, new Type());
+    return data.get(key);
+  };
+  const dropIfEmpty = (key) => {
+    if (data.get(key)?.size === 0) data.delete(key);
+  };
+
+  const handlers = {
+    PING: () => ({ status: 'PONG' }),
+    QUIT: () => OK,
+    GET: ([key]) => (typeof data.get(key) === 'string' ? data.get(key) : null),
+    SET: ([key, value]) => { data.set(key, value); return OK; },
+    EXISTS: (keys) => keys.filter(key => data.has(key)).length,
+    DEL: (keys) => keys.filter(key => data.delete(key)).length,
+
+    HSET: ([key, ...pairs]) => {
+      const hash = typed(key, Map);
+      let added = 0;
+      for (let i = 0; i < pairs.length; i += 2) {
+        if (!hash.has(pairs[i])) added++;
+        hash.set(pairs[i], pairs[i + 1]);
+      }
+      return added;
+    },
+    HGET: ([key, field]) => data.get(key)?.get(field) ?? null,
+    HGETALL: ([key]) => [...(data.get(key) || new Map())].flat(),
+    HLEN: ([key]) => data.get(key)?.size ?? 0,
+    HDEL: ([key, ...fields]) => {
+      const removed = fields.filter(field => data.get(key)?.delete(field)).length;
+      dropIfEmpty(key);
+      return removed;
+    },
+
+    SADD: ([key, ...members]) => {
+      const set = typed(key, Set);
+      const before = set.size;
+      members.forEach(member => set.add(member));
+      return set.size - before;
+    },
+    SREM: ([key, ...members]) => {
+      const removed = members.filter(member => data.get(key)?.delete(member)).length;
+      dropIfEmpty(key);
+      return removed;
+    },
+    SMEMBERS: ([key]) => [...(data.get(key) || [])],
+    SCARD: ([key]) => data.get(key)?.size ?? 0,
+  };
+
+  const execute = ([name, ...args]) => {
+    const handler = handlers[name.toUpperCase()];
+    return handler ? handler(args) : { error: `ERR unknown command '${name}'` };
+  };
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+
+    let buffer = Buffer.alloc(0);
+    let queued = null;
+
+    socket.on('data', (chunk) => {
+      const { commands, rest } = parseCommands(Buffer.concat([buffer, chunk]));
+      buffer = rest;
+
+      for (const command of commands) {
+        const name = command[0].toUpperCase();
+        let reply;
+        if (name === 'MULTI') {
+          queued = [];
+          reply = OK;
+        } else if (name === 'EXEC') {
+          reply = (queued || []).map(execute);
+          queued = null;
+        } else if (queued) {
+          queued.push(command);
+          reply = { status: 'QUEUED' };
+        } else {
+          reply = execute(command);
+        }
+        socket.write(encode(reply));
+        if (name === 'QUIT') socket.end();
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `redis://127.0.0.1:${server.address().port}`,
+    data,
+    close: () => {
+      sockets.forEach(socket => socket.destroy());
+      return new Promise(resolve => server.close(resolve));
+    },
+  };
+};
@@ -0,0 +1,218 @@
+/**
+ * Message outbox: queued messages survive reloads and are replayed in order
+ */
+
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+
+// Read by the outbox when it is imported
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+process.env.OUTBOX_DIR = dir;
+process.env.OUTBOX_MAX_ENTRIES = '5';
+process.env.OUTBOX_REPLAY_INTERVAL = '3600000';
+
+const {
+  outboxEvents,
+  loadOutbox,
+  enqueueMessage,
+  replayOutbox,
+  triggerOutboxReplay,
+  startOutboxReplay,
+  stopOutboxReplay,
+  getOutboxSize,
+} = await import('../src/utils/outbox.js');
+const { createCircuitBreaker } = await import('../src/utils/retry.js');
+
+const journalPath = path.join(dir, 'outbox.jsonl');
+const readJournal = () => fs.readFileSync(journalPath, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+const message = (content) => ({ sender_id: 'alice', receiver_id: 'bob', content });
+
+const httpError = (status) => Object.assign(new Error(`HTTP ${status}`), { response: { status } });
+
+const waitFor = async (condition, timeout = 2000) => {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await sleep(5);
+  }
+};
+
+/**
+ * Collect outbox events of one test
+ */
+const recordEvents = () => {
+  const events = { persisted: [], dropped: [] };
+  const onPersisted = ({ message: { content } }) => events.persisted.push(content);
+  const onDropped = ({ message: { content }, reason }) => events.dropped.push({ content, reason });
+  outboxEvents.on('persisted', onPersisted);
+  outboxEvents.on('dropped', onDropped);
+  events.stop = () => {
+    outboxEvents.off('persisted', onPersisted);
+    outboxEvents.off('dropped', onDropped);
+  };
+  return events;
+};
+
+describe('message outbox', () => {
+  let events;
+
+  before(() => {
+    loadOutbox();
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    fs.rmSync(journalPath, { force: true });
+    loadOutbox();
+    events = recordEvents();
+  });
+
+  afterEach(() => {
+    stopOutboxReplay();
+    events.stop();
+  });
+
+  it('gives queued messages a temp ID and journals them before returning', () => {
+    const entry = enqueueMessage(message('hi'));
+
+    assert.match(entry.tempId, /^temp_[0-9a-f-]{36}$/);
+    assert.deepEqual(readJournal(), [{ op: 'enqueue', ...entry }]);
+    assert.equal(getOutboxSize(), 1);
+  });
+
+  it('restores queued messages in order after a restart', () => {
+    const entries = ['one', 'two', 'three'].map(content => enqueueMessage(message(content)));
+
+    assert.equal(loadOutbox(), 3);
+    assert.deepEqual(readJournal().map(record => record.tempId), entries.map(entry => entry.tempId));
+  });
+
+  it('forgets acknowledged and dropped messages on reload and compacts them away', () => {
+    const [first, second, third] = ['one', 'two', 'three'].map(content => enqueueMessage(message(content)));
+    fs.appendFileSync(journalPath, `${JSON.stringify({ op: 'ack', tempId: first.tempId, messageId: 'm1' })}\n`);
+    fs.appendFileSync(journalPath, `${JSON.stringify({ op: 'drop', tempId: third.tempId, reason: 'rejected (400)' })}\n`);
+
+    assert.equal(loadOutbox(), 1);
+    assert.deepEqual(readJournal(), [{ op: 'enqueue', ...second }]);
+  });
+
+  it('survives a torn last write and keeps later messages readable', () => {
+    const first = enqueueMessage(message('one'));
+    fs.appendFileSync(journalPath, '{"op":"enqueue","tempId":"temp_torn","mess');
+
+    assert.equal(loadOutbox(), 1);
+    const second = enqueueMessage(message('two'));
+
+    assert.equal(loadOutbox(), 2);
+    assert.deepEqual(readJournal().map(record => record.tempId), [first.tempId, second.tempId]);
+  });
+
+  it('refuses messages once full', () => {
+    for (let i = 0; i < 5; i++) {
+      enqueueMessage(message(`m${i}`));
+    }
+
+    assert.throws(() => enqueueMessage(message('one too many')), { code: 'UPSTREAM_UNAVAILABLE' });
+    assert.equal(getOutboxSize(), 5);
+  });
+
+  it('replays in queue order and empties the journal', async () => {
+    ['one', 'two', 'three'].forEach(content => enqueueMessage(message(content)));
+    const saved = [];
+    startOutboxReplay(async (queued) => {
+      saved.push(queued.content);
+      return { _id: `id_${queued.content}` };
+    });
+
+    await waitFor(() => getOutboxSize() === 0);
+
+    assert.deepEqual(saved, ['one', 'two', 'three']);
+    assert.deepEqual(events.persisted, ['one', 'two', 'three']);
+    assert.equal(fs.readFileSync(journalPath, 'utf8'), '');
+  });
+
+  it('stops at the first transient failure so order is kept', async () => {
+    ['one', 'two', 'three'].forEach(content => enqueueMessage(message(content)));
+    let available = true;
+    const saved = [];
+    startOutboxReplay(async (queued) => {
+      if (queued.content === 'two' && available) {
+        available = false;
+        throw httpError(503);
+      }
+      saved.push(queued.content);
+      return { _id: `id_${queued.content}` };
+    });
+    await waitFor(() => !available);
+    await sleep(10);
+    assert.equal(getOutboxSize(), 2);
+
+    // Restart: 'one' is acknowledged in the journal, 'two' and 'three' are not
+    assert.equal(loadOutbox(), 2);
+    assert.equal(await replayOutbox(), 2);
+    assert.deepEqual(saved, ['one', 'two', 'three']);
+  });
+
+  it('drops messages chat-service rejects and continues with the rest', async () => {
+    ['one', 'bad', 'three'].forEach(content => enqueueMessage(message(content)));
+    startOutboxReplay(async (queued) => {
+      if (queued.content === 'bad') {
+        throw httpError(400);
+      }
+      return { _id: `id_${queued.content}` };
+    });
+
+    await waitFor(() => getOutboxSize() === 0);
+
+    assert.deepEqual(events.persisted, ['one', 'three']);
+    assert.deepEqual(events.dropped, [{ content: 'bad', reason: 'rejected' }]);
+  });
+
+  it('replays once, in order, when the breaker closes again', async () => {
+    let chatUp = false;
+    const calls = [];
+    const breaker = createCircuitBreaker('ChatService:Test', {
+      failureThreshold: 1,
+      resetTimeout: 30,
+      onStateChange: (state) => {
+        if (state === 'CLOSED') {
+          triggerOutboxReplay();
+        }
+      },
+    });
+    const save = (payload) => breaker.execute(async () => {
+      calls.push(payload.content);
+      if (!chatUp) {
+        throw httpError(503);
+      }
+      return { _id: `id_${payload.content}` };
+    });
+
+    // chat-service goes down: the breaker opens and messages are queued
+    await assert.rejects(save(message('lost')));
+    ['one', 'two', 'three'].forEach(content => enqueueMessage(message(content)));
+    startOutboxReplay(save);
+    await sleep(10);
+    assert.equal(getOutboxSize(), 3);
+
+    // It recovers: the replay's half-open probe closes the breaker, which
+    // triggers another replay while the first one is still running
+    chatUp = true;
+    await sleep(40);
+    assert.equal(await replayOutbox(), 3);
+    await sleep(20);
+
+    assert.deepEqual(events.persisted, ['one', 'two', 'three']);
+    assert.deepEqual(calls.filter(content => content !== 'lost'), ['one', 'two', 'three']);
+    assert.equal(breaker.getStatus().state, 'CLOSED');
+  });
+});
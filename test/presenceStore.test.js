@@ -0,0 +1,218 @@
+/**
+ * Presence store contract
+ *
+ * The memory and Redis stores run the same contract; the Redis store talks
+ * to a stand-in server through the real node-redis client.
+ */
+
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createClient } from 'redis';
+import { createMemoryPresenceStore } from '../src/utils/presenceStore.js';
+import { createRedisPresenceStore } from '../src/utils/redisPresenceStore.js';
+import { startRedisStandIn } from './helpers/redisStandIn.js';
+
+const session = (socketId, extra = {}) => ({ socketId, connectedAt: Date.now(), idle: false, ...extra });
+
+/**
+ * Contract every presence store must satisfy
+ *
+ * @param {Function} createStore - async () => store
+ */
+const presenceStoreContract = (createStore) => {
+  let store;
+
+  beforeEach(async () => {
+    store = await createStore();
+  });
+
+  afterEach(async () => {
+    await store.close();
+  });
+
+  it('counts sessions per user as they are added and removed', async () => {
+    assert.equal(await store.addSession('alice', session('s1')), 1);
+    assert.equal(await store.addSession('alice', session('s2')), 2);
+    assert.equal(await store.addSession('bob', session('s3')), 1);
+
+    assert.equal(await store.removeSession('alice', 's1'), 1);
+    assert.equal(await store.isOnline('alice'), true);
+    assert.equal(await store.removeSession('alice', 's2'), 0);
+    assert.equal(await store.isOnline('alice'), false);
+  });
+
+  it('returns 0 when removing an unknown session', async () => {
+    assert.equal(await store.removeSession('nobody', 'missing'), 0);
+  });
+
+  it('lists and counts online users', async () => {
+    await store.addSession('alice', session('s1'));
+    await store.addSession('alice', session('s2'));
+    await store.addSession('bob', session('s3'));
+
+    assert.deepEqual((await store.getOnlineUserIds()).sort(), ['alice', 'bob']);
+    assert.equal(await store.countOnlineUsers(), 2);
+
+    await store.removeSession('bob', 's3');
+    assert.deepEqual(await store.getOnlineUserIds(), ['alice']);
+    assert.equal(await store.countOnlineUsers(), 1);
+  });
+
+  it('returns every session of a user', async () => {
+    await store.addSession('alice', session('s1', { device: 'phone' }));
+    await store.addSession('alice', session('s2', { device: 'laptop' }));
+
+    const sessions = await store.getSessions('alice');
+    assert.deepEqual(sessions.map(entry => entry.socketId).sort(), ['s1', 's2']);
+    assert.deepEqual(sessions.map(entry => entry.device).sort(), ['laptop', 'phone']);
+    assert.deepEqual(await store.getSessions('nobody'), []);
+  });
+
+  it('flags sessions idle and active again', async () => {
+    await store.addSession('alice', session('s1'));
+    await store.addSession('alice', session('s2'));
+
+    await store.setSessionIdle('alice', 's1', true);
+    let idle = Object.fromEntries((await store.getSessions('alice')).map(entry => [entry.socketId, entry.idle]));
+    assert.deepEqual(idle, { s1: true, s2: false });
+
+    await store.setSessionIdle('alice', 's1', false);
+    idle = Object.fromEntries((await store.getSessions('alice')).map(entry => [entry.socketId, entry.idle]));
+    assert.deepEqual(idle, { s1: false, s2: false });
+  });
+
+  it('stores and clears a chosen status', async () => {
+    assert.equal(await store.getStatus('alice'), null);
+
+    const status = { status: 'busy', custom_status: { text: 'In a meeting' } };
+    await store.setStatus('alice', status);
+    assert.deepEqual(await store.getStatus('alice'), status);
+
+    await store.setStatus('alice', null);
+    assert.equal(await store.getStatus('alice'), null);
+  });
+
+  it('stores last seen independently of sessions', async () => {
+    assert.equal(await store.getLastSeen('alice'), null);
+
+    await store.setLastSeen('alice', 1700000000000);
+    assert.equal(await store.getLastSeen('alice'), 1700000000000);
+
+    await store.addSession('alice', session('s1'));
+    await store.removeSession('alice', 's1');
+    assert.equal(await store.getLastSeen('alice'), 1700000000000);
+  });
+
+  it('purges the sessions of its own instance', async () => {
+    await store.addSession('alice', session('s1'));
+    await store.addSession('bob', session('s2'));
+
+    await store.purgeInstance();
+
+    assert.equal(await store.countOnlineUsers(), 0);
+    assert.equal(await store.isOnline('alice'), false);
+    assert.deepEqual(await store.getSessions('bob'), []);
+  });
+
+  it('finds nothing to sweep while only live instances exist', async () => {
+    await store.heartbeat();
+    await store.addSession('alice', session('s1'));
+
+    assert.deepEqual(await store.sweepDeadInstances(), { sessions: 0, offlineUserIds: [] });
+    assert.equal(await store.isOnline('alice'), true);
+  });
+};
+
+describe('memory presence store', () => {
+  presenceStoreContract(async () => createMemoryPresenceStore());
+});
+
+describe('redis presence store', () => {
+  let standIn;
+  let prefixCount = 0;
+  const instanceTtl = 60000;
+
+  const connect = async () => {
+    const client = createClient({ url: standIn.url });
+    await client.connect();
+    return client;
+  };
+
+  before(async () => {
+    standIn = await startRedisStandIn();
+  });
+
+  after(async () => {
+    await standIn.close();
+  });
+
+  describe('contract', () => {
+    presenceStoreContract(async () => {
+      prefixCount++;
+      return createRedisPresenceStore(await connect(), {
+        keyPrefix: `test${prefixCount}:`,
+        instanceId: 'gateway-1',
+        instanceTtl,
+      });
+    });
+  });
+
+  describe('across instances', () => {
+    let live;
+    let dead;
+    let keyPrefix;
+
+    beforeEach(async () => {
+      prefixCount++;
+      keyPrefix = `test${prefixCount}:`;
+      live = createRedisPresenceStore(await connect(), { keyPrefix, instanceId: 'live', instanceTtl });
+      dead = createRedisPresenceStore(await connect(), { keyPrefix, instanceId: 'dead', instanceTtl });
+    });
+
+    afterEach(async () => {
+      await live.close();
+      await dead.close();
+    });
+
+    it('sees sessions added by other instances', async () => {
+      await live.addSession('alice', session('s1'));
+      await dead.addSession('alice', session('s2'));
+
+      assert.equal(await live.countOnlineUsers(), 1);
+      assert.deepEqual((await live.getSessions('alice')).map(entry => entry.instanceId).sort(), ['dead', 'live']);
+    });
+
+    it('sweeps the sessions of instances whose heartbeat is too old', async () => {
+      await live.addSession('alice', session('s1'));
+      await dead.addSession('alice', session('s2'));
+      await dead.addSession('bob', session('s3'));
+
+      // The dead instance last reported itself long ago
+      standIn.data.get(`${keyPrefix}presence:instances`).set('dead', String(Date.now() - instanceTtl - 1));
+
+      const removed = await live.sweepDeadInstances();
+      assert.equal(removed.sessions, 2);
+      assert.deepEqual(removed.offlineUserIds, ['bob']);
+
+      assert.deepEqual((await live.getSessions('alice')).map(entry => entry.socketId), ['s1']);
+      assert.deepEqual(await live.getOnlineUserIds(), ['alice']);
+      assert.equal(standIn.data.get(`${keyPrefix}presence:instances`).has('dead'), false);
+    });
+
+    it('leaves instances with a recent heartbeat alone', async () => {
+      await dead.addSession('bob', session('s3'));
+
+      assert.deepEqual(await live.sweepDeadInstances(), { sessions: 0, offlineUserIds: [] });
+      assert.equal(await live.isOnline('bob'), true);
+    });
+
+    it('purges only its own sessions', async () => {
+      await live.addSession('alice', session('s1'));
+      await dead.addSession('bob', session('s2'));
+
+      await live.purgeInstance();
+
+      assert.deepEqual(await dead.getOnlineUserIds(), ['bob']);
+    });
+  });
+});